@@ -0,0 +1,146 @@
+// @ts-check
+
+/**
+ * @name `UTBC+POL` Price Boundary Analytics
+ * @note Computes the curve ceiling and pool floor of a live system (see `docs/price-boundaries.en.md`).
+ * Floors use the marginal price of whichever pool model the system was built with.
+ * @units Same as `model.js`: amounts and prices in `PRECISION`, shares and ratios in `PPM`.
+ * @module analytics.js
+ */
+
+import { ACCOUNTS, BigMath, PPM } from "./model.js";
+
+/** @typedef {ReturnType<typeof import("./model.js").create_system>} System */
+/** @typedef {{ native_sold: bigint, native_net: bigint, foreign_out: bigint, share_ppm: bigint, ceiling_price: bigint, ceiling_price_after: bigint, floor_price: bigint, floor_ceiling_ppm: bigint }} FloorEstimate */
+/** @typedef {FloorEstimate & { name: string, formula_floor_ceiling_ppm: bigint }} BoundaryScenario */
+
+/** Ceiling: the curve price a buyer pays to mint the next token */
+export const get_ceiling = (/** @type {System} */ system) =>
+  system.utbc_minter.get_price();
+
+/**
+ * Exact pool floor after `native_sold` is sold through the router into the pool
+ * @note Mirrors `SmartRouter.swap_native_to_foreign`: the router fee is taken first, so only the net
+ * amount reaches the pool, where the pool's output math applies its own fee. Only the burn share of
+ * the fee (`fee_split`) lowers supply, which `ceiling_price_after` reflects. A POL share is zapped into
+ * the pool after the sale; its swap leg is not modelled, so the floor is slightly optimistic then.
+ * @returns {FloorEstimate}
+ */
+export const calculate_floor = (
+  /** @type {System} */ system,
+  /** @type {bigint} */ native_sold,
+) => {
+  const { config, xyk_pool, utbc_minter, fee_manager } = system;
+  if (native_sold < 0n) {
+    throw new Error("Amount sold must not be negative");
+  }
+  if (!xyk_pool.has_liquidity()) {
+    throw new Error("Cannot calculate floor without pool liquidity");
+  }
+  const native_fee = BigMath.mul_div(native_sold, config.fee_router_ppm, PPM);
+  const native_net = native_sold - native_fee;
+  const foreign_out = xyk_pool.get_out_foreign(native_net);
+  const floor_price = xyk_pool.calculate_spot_price(
+    xyk_pool.reserve_native + native_net,
+    xyk_pool.reserve_foreign - foreign_out,
+  );
+  const ceiling_price = utbc_minter.get_price();
+  const ceiling_price_after = utbc_minter.get_price(
+    utbc_minter.supply - fee_manager.get_split(native_fee).burn,
+  );
+  return {
+    native_sold,
+    native_net,
+    foreign_out,
+    share_ppm:
+      utbc_minter.supply > 0n
+        ? BigMath.mul_div(native_sold, PPM, utbc_minter.supply)
+        : 0n,
+    ceiling_price,
+    ceiling_price_after,
+    floor_price,
+    floor_ceiling_ppm: BigMath.mul_div(floor_price, PPM, ceiling_price),
+  };
+};
+
+/** Floor after selling `share_ppm` of total supply */
+export const calculate_floor_for_share = (
+  /** @type {System} */ system,
+  /** @type {bigint} */ share_ppm,
+) =>
+  calculate_floor(
+    system,
+    BigMath.mul_div(system.utbc_minter.supply, share_ppm, PPM),
+  );
+
+/**
+ * Closed-form estimate `floor / ceiling = 1 / (1 + 3s)^2`
+ * @note Assumes POL holds a third of supply at the ceiling price and ignores fees.
+ */
+export const estimate_floor_ceiling_ppm = (/** @type {bigint} */ share_ppm) => {
+  const denominator = PPM + 3n * share_ppm;
+  return BigMath.mul_div(PPM * PPM, PPM, denominator * denominator);
+};
+
+/**
+ * Regenerates the price-boundaries scenario matrix from the holdings of the live system
+ * @note Users are every account outside the protocol accounts; POL native is never sellable. The
+ * team-unlock row sells only what vesting has released; the abandonment row sells the whole allocation.
+ * @returns {BoundaryScenario[]}
+ */
+export const analyze_price_boundaries = (/** @type {System} */ system) => {
+  const { ledger } = system;
+  const team = ledger.get_native(ACCOUNTS.TEAM);
+  const team_unlocked = ledger.get_spendable_native(ACCOUNTS.TEAM);
+  const treasury = ledger.get_native(ACCOUNTS.TREASURY);
+  const users = ledger.get_circulating_native();
+  return [
+    { name: "Team unlocks only", native: team_unlocked },
+    { name: "Treasury only", native: treasury },
+    { name: "User panic", native: users },
+    { name: "Users + half treasury", native: users + treasury / 2n },
+    { name: "Users + treasury (team locked)", native: users + treasury },
+    { name: "Total abandonment", native: users + treasury + team },
+  ].map(({ name, native }) => {
+    const floor = calculate_floor(system, native);
+    return {
+      name,
+      ...floor,
+      formula_floor_ceiling_ppm: estimate_floor_ceiling_ppm(floor.share_ppm),
+    };
+  });
+};
+
+/** Formats the scenario matrix in the layout of the price-boundaries document */
+export const format_price_boundaries = (
+  /** @type {BoundaryScenario[]} */ scenarios,
+) => {
+  const percent = (/** @type {bigint} */ ppm) =>
+    `${(Number(ppm) / 10_000).toFixed(1)}%`;
+  const header = [
+    "Scenario",
+    "Sellable share (s)",
+    "Floor ÷ Ceiling",
+    "Formula",
+    "Price range",
+  ];
+  const rows = scenarios.map((s) => [
+    s.name,
+    (Number(s.share_ppm) / Number(PPM)).toFixed(3),
+    percent(s.floor_ceiling_ppm),
+    percent(s.formula_floor_ceiling_ppm),
+    s.floor_ceiling_ppm > 0n
+      ? `${(Number(PPM) / Number(s.floor_ceiling_ppm)).toFixed(1)}×`
+      : "∞",
+  ]);
+  const widths = header.map((h, i) =>
+    Math.max(h.length, ...rows.map((row) => row[i].length)),
+  );
+  const line = (/** @type {string[]} */ cells) =>
+    `| ${cells.map((cell, i) => cell.padEnd(widths[i])).join(" | ")} |`;
+  return [
+    line(header),
+    `| ${widths.map((w) => "-".repeat(w)).join(" | ")} |`,
+    ...rows.map(line),
+  ].join("\n");
+};
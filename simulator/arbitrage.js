@@ -0,0 +1,169 @@
+// @ts-check
+
+/**
+ * @name `UTBC+POL` Arbitrage Agent
+ * @note Trades the spread between the bonding curve and the XYK pool through `SmartRouter`.
+ * @units Same as `model.js`: amounts and prices in `PRECISION`, fractions in `PPM`.
+ * @module arbitrage.js
+ */
+
+import { BigMath, PPM, PRECISION } from "./model.js";
+
+/** @typedef {ReturnType<typeof import("./model.js").create_system>} System */
+/** @typedef {{ account: string, order_foreign_max: bigint, min_profit_foreign: bigint, interval_blocks: bigint, search_iterations: number }} ArbitrageConfig */
+/** @typedef {{ block: bigint, spread_ppm: bigint, foreign_in: bigint, native: bigint, foreign_out: bigint, profit: bigint, total_profit: bigint }} ArbitrageStep */
+
+/**
+ * `ArbitrageAgent` mints through the router and sells into the pool when the pool pays more
+ * @note Minting is one-way, so the only closed loop is foreign → mint → sell to XYK → foreign.
+ * Its cost per native is the curve price grossed up by the user share and router fee; its proceeds
+ * are the pool price net of router and XYK fees. When the pool trades below the curve no loop exists
+ * and the step records zero profit. Order size is chosen by ternary search over `(0, order_foreign_max]`
+ * on router quotes, so the search leaves the live system untouched and only the chosen size executes.
+ */
+export class ArbitrageAgent {
+  constructor(
+    /** @type {System} */ system,
+    /** @type {ArbitrageConfig} */ config,
+  ) {
+    if (config.order_foreign_max <= 0n) {
+      throw new Error("Maximum order size must be positive");
+    }
+    if (config.interval_blocks <= 0n) {
+      throw new Error("Arbitrage interval must be positive");
+    }
+    if (config.search_iterations <= 0) {
+      throw new Error("Search iterations must be positive");
+    }
+    this.system = system;
+    this.account = config.account;
+    this.order_foreign_max = config.order_foreign_max;
+    this.min_profit_foreign = config.min_profit_foreign;
+    this.interval_blocks = config.interval_blocks;
+    this.search_iterations = config.search_iterations;
+    this.total_profit = 0n;
+    this.total_foreign_traded = 0n;
+    this.trades = 0;
+    /** @type {ArbitrageStep[]} */
+    this.history = [];
+  }
+
+  start(/** @type {import("./model.js").Scheduler} */ scheduler) {
+    return scheduler.schedule_every(
+      this.interval_blocks,
+      () => this.execute(),
+      "arbitrage_agent",
+    );
+  }
+
+  /**
+   * Loop spread after fees: positive when selling minted native into the pool is profitable at the margin
+   */
+  get_spread_ppm() {
+    const { config, xyk_pool, utbc_minter } = this.system;
+    if (!xyk_pool.has_liquidity() || config.shares.user_ppm === 0n) {
+      return -PPM;
+    }
+    const cost = BigMath.mul_div(
+      BigMath.mul_div(utbc_minter.get_price(), PPM, config.shares.user_ppm),
+      PPM,
+      PPM - config.fee_router_ppm,
+    );
+    const proceeds = BigMath.mul_div(
+      BigMath.mul_div(xyk_pool.get_price(), PPM - config.fee_router_ppm, PPM),
+      PPM - config.fee_xyk_ppm,
+      PPM,
+    );
+    return BigMath.mul_div(proceeds, PPM, cost) - PPM;
+  }
+
+  execute() {
+    const spread_ppm = this.get_spread_ppm();
+    const foreign_in = spread_ppm > 0n ? this.#find_best_order() : 0n;
+    let native = 0n;
+    let foreign_out = 0n;
+    if (foreign_in > 0n) {
+      ({ native, foreign_out } = this.#trade(this.system, foreign_in));
+      this.total_foreign_traded += foreign_in;
+      this.trades++;
+    }
+    const profit = foreign_out - foreign_in;
+    this.total_profit += profit;
+    const step = {
+      block: this.system.clock.block,
+      spread_ppm,
+      foreign_in,
+      native,
+      foreign_out,
+      profit,
+      total_profit: this.total_profit,
+    };
+    this.history.push(step);
+    return step;
+  }
+
+  /**
+   * Quoted profit of a loop of `foreign_in`, or null when the router rejects it or would not mint
+   * @note The mint leg is the router's buy quote. The sale is the router's sell quote repriced on the
+   * pool the mint leaves behind: its fee burn and POL deposit (zapped whole, up to dust) join the
+   * reserves first. `execute` records the actual profit.
+   */
+  quote_profit(/** @type {bigint} */ foreign_in) {
+    const { router, fee_manager, xyk_pool } = this.system;
+    try {
+      const buy = router.quote_foreign_to_native(foreign_in);
+      if (buy.route !== "UTBC") {
+        return null;
+      }
+      const sell = router.quote_native_to_foreign(buy.amount_out);
+      const burn = fee_manager.get_burn_quote_foreign(buy.router_fee);
+      const foreign_out = xyk_pool.calculate_swap_output(
+        buy.amount_out - sell.router_fee,
+        true,
+        xyk_pool.reserve_native - burn.native_burned + buy.pol_native,
+        xyk_pool.reserve_foreign + burn.foreign_swapped + buy.pol_foreign,
+      );
+      return foreign_out - foreign_in;
+    } catch {
+      return null;
+    }
+  }
+
+  #trade(/** @type {System} */ system, /** @type {bigint} */ foreign_in) {
+    const buy = system.router.swap_foreign_to_native(
+      foreign_in,
+      0n,
+      this.account,
+    );
+    if (buy.route !== "UTBC") {
+      throw new Error("Arbitrage requires the mint route");
+    }
+    const sell = system.router.swap_native_to_foreign(
+      buy.native_out,
+      0n,
+      this.account,
+    );
+    return { native: buy.native_out, foreign_out: sell.foreign_out };
+  }
+
+  /** Order size maximizing loop profit, or 0 when no order clears `min_profit_foreign` */
+  #find_best_order() {
+    const profit = (/** @type {bigint} */ foreign_in) =>
+      this.quote_profit(foreign_in) ?? -this.order_foreign_max;
+    let low = this.system.config.min_swap_foreign;
+    let high = this.order_foreign_max;
+    for (let i = 0; i < this.search_iterations && high - low > PRECISION; i++) {
+      const third = (high - low) / 3n;
+      if (profit(low + third) < profit(high - third)) {
+        low += third;
+      } else {
+        high -= third;
+      }
+    }
+    const best = (low + high) / 2n;
+    const best_profit = this.quote_profit(best);
+    return best_profit !== null && best_profit > this.min_profit_foreign
+      ? best
+      : 0n;
+  }
+}
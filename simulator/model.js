@@ -8,17 +8,44 @@
  * @module model.js
  */
 
+/** @typedef {string} AccountId */
+/** @typedef {string} AssetId */
 /** @typedef {{ user_ppm: bigint, pol_ppm: bigint, treasury_ppm: bigint, team_ppm: bigint }} ShareConfig */
-/** @typedef {{ price_initial: bigint, slope_ppm: bigint, fee_xyk_ppm: bigint, fee_router_ppm: bigint, min_swap_foreign: bigint, min_initial_foreign: bigint, shares: ShareConfig }} SystemConfig */
-/** @typedef {{ fee_ppm: bigint }} XykPoolConfig */
-/** @typedef {{ price_initial: bigint, slope_ppm: bigint, shares: ShareConfig }} UtbcMinterConfig */
-/** @typedef {{ min_swap_foreign: bigint }} FeeManagerConfig */
+/** @typedef {{ price_initial: bigint, slope_ppm: bigint, fee_xyk_ppm: bigint, fee_router_ppm: bigint, fee_split: FeeSplitConfig, min_swap_foreign: bigint, min_initial_foreign: bigint, block_time_seconds: bigint, curve: CurveConfig, pool: PoolConfig, supply_cap: bigint, cap_factor_ppm: bigint, cap_partial_fill: boolean, shares: ShareConfig, vesting: Record<AccountId, VestingConfig>, foreign_assets: Record<AssetId, ForeignAssetConfig>, axial_router: AxialRoutingConfig, oracle: PriceOracleConfig, circuit_breaker: CircuitBreakerConfig }} SystemConfig */
+/** @typedef {{ rate: bigint, fee_xyk_ppm: bigint, pool?: PoolConfig }} ForeignAssetConfig */
+/** @typedef {{ ledger: Ledger, xyk_pool: Pool, pol_manager: PolManager, rate: bigint }} ForeignAsset */
+/** @typedef {{ fee_ppm: bigint }} PoolFeeConfig */
+/** @typedef {{ kind: "xyk" } | { kind: "stable", amplification: bigint } | { kind: "weighted", weight_native_ppm: bigint } | { kind: "concentrated", price_lower_ppm: bigint, price_upper_ppm: bigint }} PoolConfig */
+/** @typedef {{ block_time_seconds: bigint }} ClockConfig */
+/** @typedef {{ ema_alpha_ppm: bigint, ttl_blocks: bigint, min_liquidity: bigint }} PriceOracleConfig */
+/** @typedef {{ max_price_move_ppm: bigint, min_reserve_foreign: bigint }} CircuitBreakerConfig */
+/** @typedef {{ kind: "cliff" | "linear" | "step", cliff_blocks: bigint, duration_blocks: bigint, step_blocks: bigint }} VestingConfig */
+/** @typedef {{ account: AccountId, amount: bigint, start_block: bigint }} VestingTranche */
+/** @typedef {{ type: string, block: bigint, seq: number } & Record<string, any>} SystemEvent */
+/** @typedef {{ id: number, name: string, action: (block: bigint) => any, next_block: bigint, interval: bigint, runs: bigint, runs_max: bigint }} ScheduledTask */
+/** @typedef {{ supply: bigint, price: bigint }} CurvePoint */
+/** @typedef {{ kind: "linear" } | { kind: "exponential", growth_ppm: bigint } | { kind: "power", exponent: bigint } | { kind: "sigmoid", price_max: bigint, midpoint: bigint, width: bigint } | { kind: "piecewise", points: CurvePoint[] }} CurveConfig */
+/** @typedef {{ price_initial: bigint, slope_ppm: bigint, curve: CurveConfig, shares: ShareConfig, supply_cap: bigint, cap_factor_ppm: bigint, cap_partial_fill: boolean }} UtbcMinterConfig */
+/** @typedef {{ burn_ppm: bigint, pol_ppm: bigint, treasury_ppm: bigint, team_ppm: bigint }} FeeSplitConfig */
+/** @typedef {{ min_swap_foreign: bigint, fee_split: FeeSplitConfig }} FeeManagerConfig */
 /** @typedef {{ fee_router_ppm: bigint, min_swap_foreign: bigint, min_initial_foreign: bigint }} SmartRouterConfig */
+/** @typedef {{ fee_router_ppm: bigint, min_swap_foreign: bigint, min_initial_foreign: bigint } & AxialRoutingConfig} AxialRouterConfig */
+/** @typedef {{ pol_preference_ppm: bigint, native_preference_ppm: bigint, max_hops: number, min_liquidity: bigint }} AxialRoutingConfig */
+/** @typedef {{ venue: "XYK" | "UTBC", asset: AssetId, from: AssetId, to: AssetId }} AxialHop */
+/** @typedef {{ label: string, hop: string | null, reason: string }} AxialFilteredRoute */
+/** @typedef {{ label: string, hops: AxialHop[], outputs: bigint[], amount_out: bigint, builds_pol: boolean, uses_native: boolean, score: bigint }} AxialRoute */
+/** @typedef {{ account: AccountId, source: AccountId, tranche_foreign: bigint, cap_factor_guard_ppm: bigint, pol_route_ppm: bigint, interval_blocks: bigint }} DripVaultConfig */
+/** @typedef {{ block: bigint, route: string, foreign_in: bigint, native_out: bigint, native_to_pol: bigint, native_to_treasury: bigint, lp_generated: bigint }} DripTranche */
+/** @typedef {{ account: AccountId, source: AccountId, budget_foreign: bigint, order_foreign: bigint, discount_threshold_ppm: bigint, disposition: "relock" | "resell" | "redirect", redirect_account?: AccountId, interval_blocks: bigint }} BuybackConfig */
+/** @typedef {{ block: bigint, action: "buy" | "sell", foreign: bigint, native: bigint, discount_ppm: bigint, price_before: bigint, price_after: bigint }} BuybackAction */
 
 export const DECIMALS = 12n;
 export const PRECISION = 10n ** DECIMALS;
 export const PPM = 1_000_000n;
 
+/** Extra fixed-point digits carried inside `BigMath.exp` and `BigMath.ln` */
+const EXP_GUARD = 10n ** 9n;
+
 export const DEFAULT_CONFIG = /** @type {SystemConfig} */ ({
   min_initial_foreign: 100n * PRECISION,
   min_swap_foreign: PRECISION / 100n,
@@ -26,14 +53,73 @@ export const DEFAULT_CONFIG = /** @type {SystemConfig} */ ({
   slope_ppm: PPM / 1_000n,
   fee_xyk_ppm: (3n * PPM) / 1_000n,
   fee_router_ppm: (2n * PPM) / 1_000n,
+  fee_split: {
+    burn_ppm: PPM,
+    pol_ppm: 0n,
+    treasury_ppm: 0n,
+    team_ppm: 0n,
+  },
+  block_time_seconds: 6n,
+  curve: { kind: "linear" },
+  pool: { kind: "xyk" },
+  supply_cap: 0n,
+  cap_factor_ppm: 0n,
+  cap_partial_fill: false,
   shares: {
     user_ppm: PPM / 3n,
     pol_ppm: PPM / 3n,
     treasury_ppm: (2n * PPM) / 9n,
     team_ppm: PPM - (8n * PPM) / 9n,
   },
+  vesting: {},
+  foreign_assets: {},
+  axial_router: {
+    pol_preference_ppm: PPM / 1_000n,
+    native_preference_ppm: PPM / 2_000n,
+    max_hops: 2,
+    min_liquidity: 0n,
+  },
+  oracle: {
+    ema_alpha_ppm: (3n * PPM) / 100n,
+    ttl_blocks: 100n,
+    min_liquidity: 0n,
+  },
+  circuit_breaker: {
+    max_price_move_ppm: 0n,
+    min_reserve_foreign: 0n,
+  },
 });
 
+/** Ledger accounts owned by the protocol; any other string identifies a user */
+export const ACCOUNTS = {
+  USER: "user",
+  TREASURY: "treasury",
+  TEAM: "team",
+  POL: "pol",
+  FEE_MANAGER: "fee_manager",
+};
+
+/** Accounts whose native is protocol-held rather than circulating */
+export const PROTOCOL_ACCOUNTS = [
+  ACCOUNTS.TREASURY,
+  ACCOUNTS.TEAM,
+  ACCOUNTS.POL,
+  ACCOUNTS.FEE_MANAGER,
+];
+
+/** The primary foreign asset; the bonding curve prices native in it */
+export const FOREIGN = "foreign";
+
+/** Token id of native in axial routes; never a foreign asset id */
+export const NATIVE = "native";
+
+/** POL buffer account of a foreign asset; each asset's `PolManager` buffers native separately */
+export const get_pol_account = (/** @type {AssetId} */ asset) =>
+  asset === FOREIGN ? ACCOUNTS.POL : `${ACCOUNTS.POL}:${asset}`;
+
+export const is_protocol_account = (/** @type {AccountId} */ account) =>
+  PROTOCOL_ACCOUNTS.includes(account) || account.startsWith(`${ACCOUNTS.POL}:`);
+
 export class BigMath {
   static mul_div(
     /** @type {bigint} */ a,
@@ -69,6 +155,76 @@ export class BigMath {
     return x;
   }
 
+  /**
+   * e^x for non-negative `x` in `scale` fixed point
+   * @note Taylor series for the fractional part, binary exponentiation of e for the integer part.
+   * Intermediate values carry `EXP_GUARD` extra digits so truncation does not reach the result.
+   */
+  static exp(/** @type {bigint} */ x, /** @type {bigint} */ scale = PRECISION) {
+    if (x < 0n) {
+      throw new Error("Exponent must be non-negative");
+    }
+    const unit = scale * EXP_GUARD;
+    const taylor = (/** @type {bigint} */ fraction) => {
+      let sum = unit;
+      let term = unit;
+      for (let i = 1n; term > 0n; i++) {
+        term = (term * fraction) / (unit * i);
+        sum += term;
+      }
+      return sum;
+    };
+    let result = taylor((x % scale) * EXP_GUARD);
+    let base = taylor(unit);
+    for (let n = x / scale; n > 0n; n >>= 1n) {
+      if (n & 1n) {
+        result = (result * base) / unit;
+      }
+      base = (base * base) / unit;
+    }
+    return result / EXP_GUARD;
+  }
+
+  /**
+   * ln(x) for positive `x` in `scale` fixed point
+   * @note Scales `x` by powers of two into [1, 2) and sums `ln(y) = 2 * atanh((y - 1) / (y + 1))`.
+   * Intermediate values carry `EXP_GUARD` extra digits; truncation rounds results towards zero.
+   */
+  static ln(/** @type {bigint} */ x, /** @type {bigint} */ scale = PRECISION) {
+    if (x <= 0n) {
+      throw new Error("Logarithm argument must be positive");
+    }
+    const unit = scale * EXP_GUARD;
+    // 2 * atanh(numerator / denominator) in `unit`
+    const atanh_2 = (
+      /** @type {bigint} */ numerator,
+      /** @type {bigint} */ denominator,
+    ) => {
+      const t = (numerator * unit) / denominator;
+      const t_squared = (t * t) / unit;
+      let sum = 0n;
+      let term = t;
+      for (let i = 1n; term > 0n; i += 2n) {
+        sum += term / i;
+        term = (term * t_squared) / unit;
+      }
+      return 2n * sum;
+    };
+    let y = x * EXP_GUARD;
+    let one = unit;
+    let doublings = 0n;
+    while (y >= 2n * one) {
+      one *= 2n;
+      doublings++;
+    }
+    while (y < one) {
+      y *= 2n;
+      doublings--;
+    }
+    const ln_2 = atanh_2(1n, 3n);
+    return (atanh_2(y - one, y + one) + doublings * ln_2) / EXP_GUARD;
+  }
+
   static min(/** @type {bigint} */ a, /** @type {bigint} */ b) {
     return a < b ? a : b;
   }
@@ -82,776 +238,4321 @@ export class BigMath {
   }
 }
 
-export class XykPool {
-  constructor(/** @type {XykPoolConfig} */ config) {
-    if (config.fee_ppm >= PPM) {
-      throw new Error("Fee must be < 100%");
-    }
-    this.fee_ppm = config.fee_ppm;
-    this.reserve_native = 0n;
-    this.reserve_foreign = 0n;
-    this.supply_lp = 0n;
+/**
+ * Account `Ledger`
+ * @note Native balances are strict: a debit never drives an account negative.
+ * Foreign is minted outside the system, so a payment larger than the payer's balance
+ * is topped up from outside and recorded in `foreign_inflow`.
+ * Locked native (e.g. unvested allocations) counts in the balance but cannot be debited.
+ */
+export class Ledger {
+  constructor(
+    /** @type {(account: AccountId) => bigint} */ get_locked_native = () => 0n,
+  ) {
+    /** @type {Map<AccountId, { native: bigint, foreign: bigint }>} */
+    this.accounts = new Map();
+    this.foreign_inflow = 0n;
+    this.get_locked_native = get_locked_native;
   }
 
-  get_price() {
-    if (this.reserve_native === 0n) {
-      throw new Error("Cannot calculate price with zero native reserves");
-    }
-    if (this.reserve_foreign === 0n) {
-      throw new Error("Cannot calculate price with zero foreign reserves");
-    }
-    return BigMath.mul_div(
-      this.reserve_foreign,
-      PRECISION,
-      this.reserve_native,
+  get_native(/** @type {AccountId} */ account) {
+    return this.accounts.get(account)?.native ?? 0n;
+  }
+
+  get_spendable_native(/** @type {AccountId} */ account) {
+    return BigMath.max(
+      this.get_native(account) - this.get_locked_native(account),
+      0n,
     );
   }
 
-  has_liquidity() {
-    return this.reserve_native > 0n && this.reserve_foreign > 0n;
+  get_foreign(/** @type {AccountId} */ account) {
+    return this.accounts.get(account)?.foreign ?? 0n;
   }
 
-  get_out_native(/** @type {bigint} */ foreign) {
-    if (foreign <= 0n || !this.has_liquidity()) {
-      return 0n;
-    }
-    return this.#calculate_swap_output(
-      foreign,
-      this.reserve_foreign,
-      this.reserve_native,
-    );
+  get_total_native() {
+    let total = 0n;
+    for (const balance of this.accounts.values()) total += balance.native;
+    return total;
   }
 
-  get_out_foreign(/** @type {bigint} */ native) {
-    if (native <= 0n || !this.has_liquidity()) {
-      return 0n;
-    }
-    return this.#calculate_swap_output(
-      native,
-      this.reserve_native,
-      this.reserve_foreign,
-    );
+  get_total_foreign() {
+    let total = 0n;
+    for (const balance of this.accounts.values()) total += balance.foreign;
+    return total;
   }
 
-  add_liquidity(/** @type {bigint} */ native, /** @type {bigint} */ foreign) {
-    if (native <= 0n || foreign <= 0n) {
-      throw new Error("Amounts must be positive");
-    }
-    if (!this.has_liquidity()) {
-      const lp_minted = BigMath.isqrt(native * foreign);
-      if (lp_minted === 0n) {
-        throw new Error("Insufficient initial liquidity");
+  /** Native held outside protocol accounts and `excluded` */
+  get_circulating_native(/** @type {AccountId[]} */ excluded = []) {
+    let circulating = 0n;
+    for (const [account, balance] of this.accounts) {
+      if (!is_protocol_account(account) && !excluded.includes(account)) {
+        circulating += balance.native;
       }
-      this.reserve_native = native;
-      this.reserve_foreign = foreign;
-      this.supply_lp = lp_minted;
-      return {
-        lp_minted,
-        native_used: native,
-        foreign_used: foreign,
-        native_rest: 0n,
-        foreign_rest: 0n,
-      };
-    }
-    const lp_from_native = BigMath.mul_div(
-      native,
-      this.supply_lp,
-      this.reserve_native,
-    );
-    const lp_from_foreign = BigMath.mul_div(
-      foreign,
-      this.supply_lp,
-      this.reserve_foreign,
-    );
-    const lp_minted = BigMath.min(lp_from_native, lp_from_foreign);
-    if (lp_minted === 0n) {
-      throw new Error("Insufficient liquidity provided");
     }
-    const native_used = BigMath.mul_div(
-      this.reserve_native,
-      lp_minted,
-      this.supply_lp,
-    );
-    const foreign_used = BigMath.mul_div(
-      this.reserve_foreign,
-      lp_minted,
-      this.supply_lp,
-    );
-    this.reserve_native += native_used;
-    this.reserve_foreign += foreign_used;
-    this.supply_lp += lp_minted;
-    return {
-      lp_minted,
-      native_used,
-      foreign_used,
-      native_rest: native - native_used,
-      foreign_rest: foreign - foreign_used,
-    };
+    return circulating;
   }
 
-  swap_native_to_foreign(
-    /** @type {bigint} */ native_in,
-    /** @type {bigint} */ min_foreign_out = 0n,
+  require_native(
+    /** @type {AccountId} */ account,
+    /** @type {bigint} */ amount,
   ) {
-    if (native_in <= 0n) {
-      throw new Error("Amount must be positive");
-    }
-    if (!this.has_liquidity()) {
-      throw new Error("No liquidity");
-    }
-    const foreign_out = this.get_out_foreign(native_in);
-    if (foreign_out < min_foreign_out) {
-      throw new Error("Slippage exceeded");
+    const native = this.get_spendable_native(account);
+    if (native < amount) {
+      throw new Error(
+        `Insufficient native balance for ${account}: ${native} < ${amount}`,
+      );
     }
-    const ideal_output = BigMath.mul_div(
-      native_in * this.reserve_foreign,
-      1n,
-      this.reserve_native + native_in,
-    );
-    const foreign_xyk_fee = ideal_output - foreign_out;
-    const result = this.#execute_swap(native_in, foreign_out, true);
-    result.foreign_xyk_fee = foreign_xyk_fee;
-    return result;
   }
 
-  swap_foreign_to_native(
-    /** @type {bigint} */ foreign_in,
-    /** @type {bigint} */ min_native_out = 0n,
+  credit_native(
+    /** @type {AccountId} */ account,
+    /** @type {bigint} */ amount,
   ) {
-    if (foreign_in <= 0n) {
-      throw new Error("Amount must be positive");
-    }
-    if (!this.has_liquidity()) {
-      throw new Error("No liquidity");
-    }
-    const native_out = this.get_out_native(foreign_in);
-    if (native_out < min_native_out) {
-      throw new Error("Slippage exceeded");
+    this.#validate_amount(amount);
+    this.#get_or_create(account).native += amount;
+  }
+
+  debit_native(/** @type {AccountId} */ account, /** @type {bigint} */ amount) {
+    this.#validate_amount(amount);
+    this.require_native(account, amount);
+    this.#get_or_create(account).native -= amount;
+  }
+
+  credit_foreign(
+    /** @type {AccountId} */ account,
+    /** @type {bigint} */ amount,
+  ) {
+    this.#validate_amount(amount);
+    this.#get_or_create(account).foreign += amount;
+  }
+
+  debit_foreign(
+    /** @type {AccountId} */ account,
+    /** @type {bigint} */ amount,
+  ) {
+    this.#validate_amount(amount);
+    const foreign = this.get_foreign(account);
+    if (foreign < amount) {
+      throw new Error(
+        `Insufficient foreign balance for ${account}: ${foreign} < ${amount}`,
+      );
     }
-    const ideal_output = BigMath.mul_div(
-      foreign_in * this.reserve_native,
-      1n,
-      this.reserve_foreign + foreign_in,
-    );
-    const native_xyk_fee = ideal_output - native_out;
-    const result = this.#execute_swap(foreign_in, native_out, false);
-    result.native_xyk_fee = native_xyk_fee;
-    return result;
+    this.#get_or_create(account).foreign -= amount;
   }
 
-  #execute_swap(
-    /** @type {bigint} */ amount_in,
-    /** @type {bigint} */ amount_out,
-    /** @type {boolean} */ native_to_foreign,
+  /**
+   * Brings foreign into the simulation from outside
+   */
+  deposit_foreign(
+    /** @type {AccountId} */ account,
+    /** @type {bigint} */ amount,
   ) {
-    const price_before = this.get_price();
-    if (native_to_foreign) {
-      if (this.reserve_foreign < amount_out) {
-        throw new Error("Insufficient foreign reserves");
-      }
-      this.reserve_native += amount_in;
-      this.reserve_foreign -= amount_out;
-    } else {
-      if (this.reserve_native < amount_out) {
-        throw new Error("Insufficient native reserves");
-      }
-      this.reserve_foreign += amount_in;
-      this.reserve_native -= amount_out;
+    this.credit_foreign(account, amount);
+    this.foreign_inflow += amount;
+  }
+
+  /**
+   * Takes a foreign payment, topping up any shortfall from outside
+   */
+  collect_foreign(
+    /** @type {AccountId} */ account,
+    /** @type {bigint} */ amount,
+  ) {
+    const shortfall = amount - this.get_foreign(account);
+    if (shortfall > 0n) {
+      this.deposit_foreign(account, shortfall);
     }
-    const price_after = this.get_price();
-    // Price impact calculation: for native_to_foreign, price increases; for foreign_to_native, price decreases
-    const price_change = native_to_foreign
-      ? price_after - price_before
-      : price_before - price_after;
-    const price_impact_ppm =
-      price_before > 0n
-        ? BigMath.mul_div(BigMath.abs(price_change), PPM, price_before)
-        : 0n;
-    return {
-      native_in: native_to_foreign ? amount_in : 0n,
-      native_out: native_to_foreign ? 0n : amount_out,
-      foreign_in: native_to_foreign ? 0n : amount_in,
-      foreign_out: native_to_foreign ? amount_out : 0n,
-      price_before,
-      price_after,
-      price_impact_ppm,
-    };
+    this.debit_foreign(account, amount);
   }
 
-  #calculate_swap_output(
-    /** @type {bigint} */ amount_in,
-    /** @type {bigint} */ reserve_in,
-    /** @type {bigint} */ reserve_out,
+  transfer_native(
+    /** @type {AccountId} */ from,
+    /** @type {AccountId} */ to,
+    /** @type {bigint} */ amount,
   ) {
-    if (amount_in <= 0n || reserve_in <= 0n || reserve_out <= 0n) {
-      return 0n;
+    this.debit_native(from, amount);
+    this.credit_native(to, amount);
+  }
+
+  transfer_foreign(
+    /** @type {AccountId} */ from,
+    /** @type {AccountId} */ to,
+    /** @type {bigint} */ amount,
+  ) {
+    this.debit_foreign(from, amount);
+    this.credit_foreign(to, amount);
+  }
+
+  #get_or_create(/** @type {AccountId} */ account) {
+    let balance = this.accounts.get(account);
+    if (!balance) {
+      balance = { native: 0n, foreign: 0n };
+      this.accounts.set(account, balance);
+    }
+    return balance;
+  }
+
+  #validate_amount(/** @type {bigint} */ amount) {
+    if (amount < 0n) {
+      throw new Error("Ledger amount must be non-negative");
     }
-    const amount_in_with_fee = amount_in * (PPM - this.fee_ppm);
-    const numerator = amount_in_with_fee * reserve_out;
-    const denominator = reserve_in * PPM + amount_in_with_fee;
-    return numerator / denominator;
   }
 }
 
 /**
- * `Protocol-Owned Liquidity` Manager
+ * `Asset Ledger` holding balances of a secondary foreign asset
+ * @note Native is shared with the primary ledger: native calls are forwarded to it, so pools and
+ * POL managers of every asset debit and credit the same native balances. Foreign balances and
+ * `foreign_inflow` are this asset's own.
  */
-export class PolManager {
-  constructor(/** @type {XykPool} */ xyk_pool) {
-    this.xyk_pool = xyk_pool;
-    this.balance_lp = 0n;
-    this.contributed_native = 0n;
-    this.contributed_foreign = 0n;
-    this.buffer_native = 0n;
-    this.buffer_foreign = 0n;
+export class AssetLedger extends Ledger {
+  constructor(/** @type {Ledger} */ base) {
+    super(base.get_locked_native);
+    this.base = base;
   }
 
-  add_liquidity(/** @type {bigint} */ native, /** @type {bigint} */ foreign) {
-    if (
-      native === 0n &&
-      foreign === 0n &&
-      this.buffer_native === 0n &&
-      this.buffer_foreign === 0n
-    ) {
-      return this.#create_liquidity_result(0n, 0n, 0n);
-    }
-    // Branch 1: Pool initialization (first UTBC mint ONLY)
-    // - Happens exactly once when pool doesn't exist
-    // - Uses direct XYK add_liquidity with all available tokens
-    // - Sets initial price based on POL allocation from first mint
-    // - Does NOT use Zap strategy (no swapping, no ratio matching)
-    if (!this.xyk_pool.has_liquidity()) {
-      const init_result = this.#try_initialize_pool(native, foreign);
-      if (init_result.success) {
-        // Pool initialized successfully with first mint's POL allocation
-        return this.#create_liquidity_result(
-          init_result.lp_minted,
-          init_result.native_used,
+  get_native(/** @type {AccountId} */ account) {
+    return this.base.get_native(account);
+  }
+
+  get_total_native() {
+    return this.base.get_total_native();
+  }
+
+  get_circulating_native(/** @type {AccountId[]} */ excluded = []) {
+    return this.base.get_circulating_native(excluded);
+  }
+
+  credit_native(
+    /** @type {AccountId} */ account,
+    /** @type {bigint} */ amount,
+  ) {
+    this.base.credit_native(account, amount);
+  }
+
+  debit_native(/** @type {AccountId} */ account, /** @type {bigint} */ amount) {
+    this.base.debit_native(account, amount);
+  }
+}
+
+/**
+ * `Foreign Asset Registry`
+ * @note Maps each accepted foreign asset to its ledger, XYK pool and POL manager. `rate` is the
+ * value of one whole token in the primary foreign asset (`PRECISION`), which is the curve's unit
+ * of account; the primary asset's rate is fixed at `PRECISION`.
+ */
+export class AssetRegistry {
+  constructor() {
+    /** @type {Map<AssetId, ForeignAsset>} */
+    this.assets = new Map();
+  }
+
+  register(/** @type {AssetId} */ asset, /** @type {ForeignAsset} */ entry) {
+    if (this.assets.has(asset)) {
+      throw new Error(`Foreign asset already registered: ${asset}`);
+    }
+    if (asset === NATIVE) {
+      throw new Error(`Asset id ${NATIVE} is reserved`);
+    }
+    this.#validate_rate(asset, entry.rate);
+    this.assets.set(asset, entry);
+  }
+
+  get(/** @type {AssetId} */ asset) {
+    const entry = this.assets.get(asset);
+    if (!entry) {
+      throw new Error(`Unknown foreign asset: ${asset}`);
+    }
+    return entry;
+  }
+
+  list() {
+    return [...this.assets.keys()];
+  }
+
+  set_rate(/** @type {AssetId} */ asset, /** @type {bigint} */ rate) {
+    const entry = this.get(asset);
+    this.#validate_rate(asset, rate);
+    entry.rate = rate;
+  }
+
+  /** Unit-of-account value of `amount` of `asset`, rounded down */
+  to_unit(/** @type {AssetId} */ asset, /** @type {bigint} */ amount) {
+    return BigMath.mul_div(amount, this.get(asset).rate, PRECISION);
+  }
+
+  /** Amount of `asset` worth `value` in the unit of account, rounded down */
+  from_unit(/** @type {AssetId} */ asset, /** @type {bigint} */ value) {
+    return BigMath.mul_div(value, PRECISION, this.get(asset).rate);
+  }
+
+  #validate_rate(/** @type {AssetId} */ asset, /** @type {bigint} */ rate) {
+    if (asset === FOREIGN ? rate !== PRECISION : rate <= 0n) {
+      throw new Error(
+        asset === FOREIGN
+          ? "The primary foreign asset is the unit of account"
+          : `Rate for ${asset} must be positive`,
+      );
+    }
+  }
+}
+
+/**
+ * Simulation `Clock`
+ * @note Time advances only in whole blocks; timestamps are derived from the block height.
+ */
+export class Clock {
+  constructor(/** @type {ClockConfig} */ config) {
+    if (config.block_time_seconds <= 0n) {
+      throw new Error("Block time must be positive");
+    }
+    this.block_time_seconds = config.block_time_seconds;
+    this.block = 0n;
+  }
+
+  get_timestamp() {
+    return this.block * this.block_time_seconds;
+  }
+
+  tick() {
+    this.block += 1n;
+    return this.block;
+  }
+}
+
+/**
+ * Block-based `Scheduler` for delayed and recurring actions
+ * @note Due tasks run in registration order after the clock enters their block; a task cancelled by
+ * an earlier task in the same block does not run. A throwing action is recorded in the execution log and does not stop the simulation.
+ */
+export class Scheduler {
+  constructor(/** @type {Clock} */ clock) {
+    this.clock = clock;
+    /** @type {ScheduledTask[]} */
+    this.tasks = [];
+    this.next_id = 1;
+  }
+
+  schedule_at(
+    /** @type {bigint} */ block,
+    /** @type {(block: bigint) => any} */ action,
+    /** @type {string} */ name = "task",
+  ) {
+    if (block <= this.clock.block) {
+      throw new Error(`Block ${block} is not in the future`);
+    }
+    return this.#add_task({ name, action, next_block: block, interval: 0n });
+  }
+
+  schedule_after(
+    /** @type {bigint} */ delay,
+    /** @type {(block: bigint) => any} */ action,
+    /** @type {string} */ name = "task",
+  ) {
+    if (delay <= 0n) {
+      throw new Error("Delay must be positive");
+    }
+    return this.schedule_at(this.clock.block + delay, action, name);
+  }
+
+  schedule_every(
+    /** @type {bigint} */ interval,
+    /** @type {(block: bigint) => any} */ action,
+    /** @type {string} */ name = "task",
+    /** @type {bigint} */ runs_max = 0n,
+  ) {
+    if (interval <= 0n) {
+      throw new Error("Interval must be positive");
+    }
+    return this.#add_task({
+      name,
+      action,
+      next_block: this.clock.block + interval,
+      interval,
+      runs_max,
+    });
+  }
+
+  cancel(/** @type {number} */ id) {
+    const count_before = this.tasks.length;
+    this.tasks = this.tasks.filter((task) => task.id !== id);
+    return this.tasks.length < count_before;
+  }
+
+  advance(/** @type {bigint} */ blocks = 1n) {
+    if (blocks <= 0n) {
+      throw new Error("Blocks must be positive");
+    }
+    const executions = [];
+    for (let i = 0n; i < blocks; i++) {
+      const block = this.clock.tick();
+      for (const task of this.tasks.filter((t) => t.next_block === block)) {
+        if (!this.tasks.includes(task)) {
+          continue;
+        }
+        executions.push(this.#run_task(task, block));
+      }
+      this.tasks = this.tasks.filter((task) => task.next_block > block);
+    }
+    return executions;
+  }
+
+  #run_task(/** @type {ScheduledTask} */ task, /** @type {bigint} */ block) {
+    task.runs += 1n;
+    const finished = task.interval === 0n || task.runs === task.runs_max;
+    task.next_block = finished ? 0n : block + task.interval;
+    try {
+      return {
+        id: task.id,
+        name: task.name,
+        block,
+        result: task.action(block),
+      };
+    } catch (e) {
+      return { id: task.id, name: task.name, block, error: e.message };
+    }
+  }
+
+  #add_task(
+    /** @type {{ name: string, action: (block: bigint) => any, next_block: bigint, interval: bigint, runs_max?: bigint }} */ spec,
+  ) {
+    const id = this.next_id++;
+    this.tasks.push({ runs_max: 0n, ...spec, id, runs: 0n });
+    return id;
+  }
+}
+
+/** Event types emitted by system components */
+export const EVENTS = {
+  MINTED: "Minted",
+  DISTRIBUTED: "Distributed",
+  LIQUIDITY_ADDED: "LiquidityAdded",
+  LIQUIDITY_REMOVED: "LiquidityRemoved",
+  BUFFERED: "Buffered",
+  ZAP_SWAPPED: "ZapSwapped",
+  FEE_RECEIVED: "FeeReceived",
+  FEE_ALLOCATED: "FeeAllocated",
+  BURNED: "Burned",
+  SWAPPED: "Swapped",
+  CURVE_SWAPPED: "CurveSwapped",
+  ROUTE_SELECTED: "RouteSelected",
+};
+
+/**
+ * System `Event Bus`
+ * @note Events carry the block and a global sequence number. Most follow the state transition they
+ * report; `FeeReceived` precedes the fee's split and burn. `RouteSelected` closes a router trade
+ * once every leg has settled, so a reverted trade emits none, and carries the actual amounts next to
+ * the route outputs it was chosen on. A throwing listener never aborts the transition; its error
+ * lands in `failures`.
+ */
+export class EventBus {
+  constructor(/** @type {Clock} */ clock) {
+    this.clock = clock;
+    /** @type {Map<number, { listener: (event: SystemEvent) => void, types: string[] | null }>} */
+    this.listeners = new Map();
+    this.next_id = 1;
+    this.seq = 0;
+    /** @type {{ listener_id: number, type: string, seq: number, message: string }[]} */
+    this.failures = [];
+  }
+
+  subscribe(
+    /** @type {(event: SystemEvent) => void} */ listener,
+    /** @type {string[] | null} */ types = null,
+  ) {
+    const id = this.next_id++;
+    this.listeners.set(id, { listener, types });
+    return id;
+  }
+
+  unsubscribe(/** @type {number} */ id) {
+    return this.listeners.delete(id);
+  }
+
+  emit(/** @type {string} */ type, /** @type {Record<string, any>} */ data) {
+    const event = { type, block: this.clock.block, seq: ++this.seq, ...data };
+    for (const [id, { listener, types }] of this.listeners) {
+      if (types && !types.includes(type)) {
+        continue;
+      }
+      try {
+        listener(event);
+      } catch (e) {
+        this.failures.push({
+          listener_id: id,
+          type,
+          seq: event.seq,
+          message: e.message,
+        });
+      }
+    }
+    return event;
+  }
+}
+
+/**
+ * Admin `Pause Flag` of a component
+ * @note A paused component rejects state-changing calls with the recorded reason; views keep working.
+ */
+export class PauseFlag {
+  constructor(/** @type {string} */ component) {
+    this.component = component;
+    /** @type {string | null} */
+    this.reason = null;
+  }
+
+  is_paused() {
+    return this.reason !== null;
+  }
+
+  pause(/** @type {string} */ reason = "Paused by admin") {
+    this.reason = reason;
+  }
+
+  resume() {
+    this.reason = null;
+  }
+
+  require_active() {
+    if (this.reason !== null) {
+      throw new Error(`${this.component} is paused: ${this.reason}`);
+    }
+  }
+
+  /** Why the component is unavailable, or null when it is active */
+  describe() {
+    return this.reason === null
+      ? null
+      : `${this.component} paused: ${this.reason}`;
+  }
+}
+
+/**
+ * `Vesting` Manager
+ * @note Each allocation credited to a vested account becomes a tranche that unlocks from its mint block.
+ * Locked tokens stay in the account balance but cannot be spent, sold or burned.
+ * - `cliff`: everything unlocks at `cliff_blocks`
+ * - `linear`: nothing before the cliff, then pro-rata over `duration_blocks`
+ * - `step`: like linear, but unlocking only every `step_blocks`
+ * An account's tranches share one schedule, so they fully unlock in the order they were created;
+ * `get_locked` drops them from the account's pending queue as they do, keeping spend checks cheap.
+ */
+export class VestingManager {
+  constructor(
+    /** @type {Clock} */ clock,
+    /** @type {Record<AccountId, VestingConfig>} */ schedules,
+  ) {
+    for (const [account, schedule] of Object.entries(schedules)) {
+      this.#validate_schedule(account, schedule);
+    }
+    this.clock = clock;
+    this.schedules = schedules;
+    /** @type {VestingTranche[]} */
+    this.tranches = [];
+    /**
+     * Tranches per account not yet seen fully unlocked, oldest first
+     * @type {Map<AccountId, VestingTranche[]>}
+     */
+    this.pending = new Map();
+  }
+
+  set_state(/** @type {{ tranches: VestingTranche[] }} */ state) {
+    this.tranches = state.tranches.map((tranche) => ({ ...tranche }));
+    this.pending = new Map();
+    for (const tranche of this.tranches) {
+      this.#enqueue(tranche);
+    }
+  }
+
+  is_vested(/** @type {AccountId} */ account) {
+    return account in this.schedules;
+  }
+
+  lock(/** @type {AccountId} */ account, /** @type {bigint} */ amount) {
+    if (!this.is_vested(account) || amount <= 0n) {
+      return;
+    }
+    const tranche = { account, amount, start_block: this.clock.block };
+    this.tranches.push(tranche);
+    this.#enqueue(tranche);
+  }
+
+  get_locked(/** @type {AccountId} */ account) {
+    const queue = this.pending.get(account) ?? [];
+    let unlocked_count = 0;
+    while (
+      unlocked_count < queue.length &&
+      this.#calculate_unlocked(queue[unlocked_count]) ===
+        queue[unlocked_count].amount
+    ) {
+      unlocked_count++;
+    }
+    queue.splice(0, unlocked_count);
+    let locked = 0n;
+    for (const tranche of queue) {
+      locked += tranche.amount - this.#calculate_unlocked(tranche);
+    }
+    return locked;
+  }
+
+  get_tranches(/** @type {AccountId} */ account) {
+    return this.tranches
+      .filter((tranche) => tranche.account === account)
+      .map((tranche) => {
+        const unlocked = this.#calculate_unlocked(tranche);
+        return { ...tranche, unlocked, locked: tranche.amount - unlocked };
+      });
+  }
+
+  #enqueue(/** @type {VestingTranche} */ tranche) {
+    const queue = this.pending.get(tranche.account);
+    if (queue) {
+      queue.push(tranche);
+    } else {
+      this.pending.set(tranche.account, [tranche]);
+    }
+  }
+
+  #calculate_unlocked(/** @type {VestingTranche} */ tranche) {
+    const schedule = this.schedules[tranche.account];
+    const elapsed = this.clock.block - tranche.start_block;
+    if (elapsed < schedule.cliff_blocks) {
+      return 0n;
+    }
+    if (schedule.kind === "cliff" || elapsed >= schedule.duration_blocks) {
+      return tranche.amount;
+    }
+    const vested_blocks =
+      schedule.kind === "step"
+        ? (elapsed / schedule.step_blocks) * schedule.step_blocks
+        : elapsed;
+    return BigMath.mul_div(
+      tranche.amount,
+      vested_blocks,
+      schedule.duration_blocks,
+    );
+  }
+
+  #validate_schedule(
+    /** @type {AccountId} */ account,
+    /** @type {VestingConfig} */ schedule,
+  ) {
+    if (!["cliff", "linear", "step"].includes(schedule.kind)) {
+      throw new Error(`Unknown vesting kind for ${account}: ${schedule.kind}`);
+    }
+    if (schedule.cliff_blocks < 0n) {
+      throw new Error("Cliff must be non-negative");
+    }
+    if (schedule.kind !== "cliff" && schedule.duration_blocks <= 0n) {
+      throw new Error("Vesting duration must be positive");
+    }
+    if (schedule.kind === "step" && schedule.step_blocks <= 0n) {
+      throw new Error("Vesting step must be positive");
+    }
+  }
+}
+
+/** Rejects exact-output requests the given reserves cannot fill */
+const validate_swap_output = (
+  /** @type {bigint} */ amount_out,
+  /** @type {bigint} */ reserve_in,
+  /** @type {bigint} */ reserve_out,
+) => {
+  if (amount_out <= 0n) {
+    throw new Error("Output amount must be positive");
+  }
+  if (reserve_in <= 0n || reserve_out <= 0n) {
+    throw new Error("Pool has no liquidity");
+  }
+  if (amount_out >= reserve_out) {
+    throw new Error("Output exceeds pool reserves");
+  }
+};
+
+/**
+ * AMM pool interface: liquidity, swaps and exact-in/exact-out quotes over two reserves
+ * @note Prices are foreign per whole native token in `PRECISION`. Subclasses provide the invariant
+ * through `calculate_swap_output` (net of the pool fee) and `calculate_spot_price`, both evaluated
+ * against explicit reserves so routers can quote hypothetical states. `calculate_swap_input` defaults
+ * to a binary search over the output, which relies on the output growing with the input.
+ * Liquidity is always added and removed in the reserve ratio, so LP shares stay proportional for
+ * every model. LP is tracked per provider; protocol accounts can add LP but never withdraw it.
+ */
+export class Pool {
+  constructor(
+    /** @type {Ledger} */ ledger,
+    /** @type {EventBus} */ events,
+    /** @type {PoolFeeConfig} */ config,
+  ) {
+    if (config.fee_ppm >= PPM) {
+      throw new Error("Fee must be < 100%");
+    }
+    this.ledger = ledger;
+    this.events = events;
+    this.fee_ppm = config.fee_ppm;
+    this.reserve_native = 0n;
+    this.reserve_foreign = 0n;
+    this.supply_lp = 0n;
+    /** @type {Map<AccountId, bigint>} */
+    this.lp_balances = new Map();
+    this.pause_flag = new PauseFlag("Pool");
+  }
+
+  /**
+   * Output for `amount_in` against the given reserves, net of `fee_ppm`
+   * @returns {bigint}
+   */
+  calculate_swap_output(
+    /** @type {bigint} */ _amount_in,
+    /** @type {boolean} */ _native_in,
+    /** @type {bigint} */ _reserve_native,
+    /** @type {bigint} */ _reserve_foreign,
+    /** @type {bigint} */ _fee_ppm = this.fee_ppm,
+  ) {
+    throw new Error("calculate_swap_output not implemented");
+  }
+
+  /**
+   * Marginal price at the given reserves
+   * @returns {bigint}
+   */
+  calculate_spot_price(
+    /** @type {bigint} */ _reserve_native,
+    /** @type {bigint} */ _reserve_foreign,
+  ) {
+    throw new Error("calculate_spot_price not implemented");
+  }
+
+  /**
+   * Smallest input whose `calculate_swap_output` is at least `amount_out`
+   * @note Rounds up, so the swap may return a dust amount more than requested.
+   */
+  calculate_swap_input(
+    /** @type {bigint} */ amount_out,
+    /** @type {boolean} */ native_in,
+  ) {
+    validate_swap_output(
+      amount_out,
+      native_in ? this.reserve_native : this.reserve_foreign,
+      native_in ? this.reserve_foreign : this.reserve_native,
+    );
+    const output = (/** @type {bigint} */ amount_in) =>
+      this.calculate_swap_output(
+        amount_in,
+        native_in,
+        this.reserve_native,
+        this.reserve_foreign,
+      );
+    let low = 0n;
+    let high = 1n;
+    // Outputs approach the reserve asymptotically; stop once doubling no longer reaches it
+    for (let i = 0; output(high) < amount_out; i++) {
+      if (i === 256) {
+        throw new Error("Output exceeds pool reserves");
+      }
+      low = high;
+      high *= 2n;
+    }
+    while (high - low > 1n) {
+      const mid = (low + high) / 2n;
+      if (output(mid) >= amount_out) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    return high;
+  }
+
+  /**
+   * Foreign that lifts the pool price to `price`, ignoring fees
+   * @note Binary search over the spot price after a fee-free buy. A pool that runs out of native
+   * before reaching `price` returns the smallest input that drains it.
+   */
+  get_foreign_to_price(/** @type {bigint} */ price) {
+    if (!this.has_liquidity() || this.get_price() >= price) {
+      return 0n;
+    }
+    const reached = (/** @type {bigint} */ foreign) => {
+      const native_out = this.calculate_swap_output(
+        foreign,
+        false,
+        this.reserve_native,
+        this.reserve_foreign,
+        0n,
+      );
+      return (
+        native_out >= this.reserve_native ||
+        this.calculate_spot_price(
+          this.reserve_native - native_out,
+          this.reserve_foreign + foreign,
+        ) >= price
+      );
+    };
+    let low = 0n;
+    let high = this.reserve_foreign;
+    while (!reached(high)) {
+      low = high;
+      high *= 2n;
+    }
+    while (high - low > 1n) {
+      const mid = (low + high) / 2n;
+      if (reached(mid)) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    return high;
+  }
+
+  /**
+   * Part of a single-sided `amount` to swap so that the rest and the swap output match the reserve
+   * ratio after the swap, leaving nothing over when both are added as liquidity
+   * @note Binary search on the sign of `rest * reserve_out - output * reserve_in` after the swap,
+   * which falls as more is swapped. Rounds down, so the rest may keep a dust excess.
+   */
+  get_zap_swap(/** @type {bigint} */ amount, /** @type {boolean} */ native_in) {
+    if (amount <= 0n || !this.has_liquidity()) {
+      return 0n;
+    }
+    const excess = (/** @type {bigint} */ swap) => {
+      const out = this.calculate_swap_output(
+        swap,
+        native_in,
+        this.reserve_native,
+        this.reserve_foreign,
+      );
+      const [reserve_in, reserve_out] = native_in
+        ? [this.reserve_native + swap, this.reserve_foreign - out]
+        : [this.reserve_foreign + swap, this.reserve_native - out];
+      return (amount - swap) * reserve_out - out * reserve_in;
+    };
+    let low = 0n;
+    let high = amount;
+    while (high - low > 1n) {
+      const mid = (low + high) / 2n;
+      if (excess(mid) > 0n) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /** Sets parameters derived from the first deposit; called before reserves are set */
+  initialize(/** @type {bigint} */ _native, /** @type {bigint} */ _foreign) {}
+
+  /** Mutable state for snapshots */
+  get_state() {
+    return {
+      reserve_native: this.reserve_native,
+      reserve_foreign: this.reserve_foreign,
+      supply_lp: this.supply_lp,
+      lp_balances: [...this.lp_balances].map(([account, lp]) => ({
+        account,
+        lp,
+      })),
+    };
+  }
+
+  set_state(/** @type {Record<string, any>} */ state) {
+    const { lp_balances, ...fields } = state;
+    Object.assign(this, fields);
+    this.lp_balances = new Map(
+      lp_balances.map(
+        (/** @type {{ account: AccountId, lp: bigint }} */ entry) => [
+          entry.account,
+          entry.lp,
+        ],
+      ),
+    );
+  }
+
+  get_lp(/** @type {AccountId} */ account) {
+    return this.lp_balances.get(account) ?? 0n;
+  }
+
+  get_price() {
+    if (this.reserve_native === 0n) {
+      throw new Error("Cannot calculate price with zero native reserves");
+    }
+    if (this.reserve_foreign === 0n) {
+      throw new Error("Cannot calculate price with zero foreign reserves");
+    }
+    return this.calculate_spot_price(this.reserve_native, this.reserve_foreign);
+  }
+
+  /** Both reserves valued in foreign at the spot price */
+  get_tvl() {
+    return (
+      this.reserve_foreign +
+      BigMath.mul_div(this.reserve_native, this.get_price(), PRECISION)
+    );
+  }
+
+  has_liquidity() {
+    return this.reserve_native > 0n && this.reserve_foreign > 0n;
+  }
+
+  /** Pool has issued LP but one reserve has been drained; it accepts no swaps or deposits */
+  is_depleted() {
+    return this.supply_lp > 0n && !this.has_liquidity();
+  }
+
+  /** Pool has liquidity and accepts swaps */
+  is_tradable() {
+    return this.has_liquidity() && !this.pause_flag.is_paused();
+  }
+
+  get_out_native(/** @type {bigint} */ foreign) {
+    if (foreign <= 0n || !this.has_liquidity()) {
+      return 0n;
+    }
+    return this.calculate_swap_output(
+      foreign,
+      false,
+      this.reserve_native,
+      this.reserve_foreign,
+    );
+  }
+
+  get_out_foreign(/** @type {bigint} */ native) {
+    if (native <= 0n || !this.has_liquidity()) {
+      return 0n;
+    }
+    return this.calculate_swap_output(
+      native,
+      true,
+      this.reserve_native,
+      this.reserve_foreign,
+    );
+  }
+
+  /** Foreign input required to receive exactly `native` out */
+  get_in_foreign(/** @type {bigint} */ native) {
+    return this.calculate_swap_input(native, false);
+  }
+
+  /** Native input required to receive exactly `foreign` out */
+  get_in_native(/** @type {bigint} */ foreign) {
+    return this.calculate_swap_input(foreign, true);
+  }
+
+  add_liquidity(
+    /** @type {bigint} */ native,
+    /** @type {bigint} */ foreign,
+    /** @type {AccountId} */ account = ACCOUNTS.USER,
+  ) {
+    this.pause_flag.require_active();
+    if (native <= 0n || foreign <= 0n) {
+      throw new Error("Amounts must be positive");
+    }
+    if (this.is_depleted()) {
+      throw new Error("Pool reserves are depleted");
+    }
+    if (this.supply_lp === 0n) {
+      const lp_minted = BigMath.isqrt(native * foreign);
+      if (lp_minted === 0n) {
+        throw new Error("Insufficient initial liquidity");
+      }
+      this.initialize(native, foreign);
+      this.ledger.debit_native(account, native);
+      this.ledger.collect_foreign(account, foreign);
+      this.reserve_native = native;
+      this.reserve_foreign = foreign;
+      this.supply_lp = lp_minted;
+      this.lp_balances.set(account, lp_minted);
+      this.events.emit(EVENTS.LIQUIDITY_ADDED, {
+        account,
+        lp_minted,
+        native_used: native,
+        foreign_used: foreign,
+      });
+      return {
+        lp_minted,
+        native_used: native,
+        foreign_used: foreign,
+        native_rest: 0n,
+        foreign_rest: 0n,
+      };
+    }
+    const lp_from_native = BigMath.mul_div(
+      native,
+      this.supply_lp,
+      this.reserve_native,
+    );
+    const lp_from_foreign = BigMath.mul_div(
+      foreign,
+      this.supply_lp,
+      this.reserve_foreign,
+    );
+    const lp_minted = BigMath.min(lp_from_native, lp_from_foreign);
+    if (lp_minted === 0n) {
+      throw new Error("Insufficient liquidity provided");
+    }
+    const native_used = BigMath.mul_div(
+      this.reserve_native,
+      lp_minted,
+      this.supply_lp,
+    );
+    const foreign_used = BigMath.mul_div(
+      this.reserve_foreign,
+      lp_minted,
+      this.supply_lp,
+    );
+    this.ledger.debit_native(account, native_used);
+    this.ledger.collect_foreign(account, foreign_used);
+    this.reserve_native += native_used;
+    this.reserve_foreign += foreign_used;
+    this.supply_lp += lp_minted;
+    this.lp_balances.set(account, this.get_lp(account) + lp_minted);
+    this.events.emit(EVENTS.LIQUIDITY_ADDED, {
+      account,
+      lp_minted,
+      native_used,
+      foreign_used,
+    });
+    return {
+      lp_minted,
+      native_used,
+      foreign_used,
+      native_rest: native - native_used,
+      foreign_rest: foreign - foreign_used,
+    };
+  }
+
+  /**
+   * Burns `lp_burned` of `account`'s LP for its proportional share of both reserves
+   * @note Outputs round down, so the remaining providers never lose to a withdrawal.
+   * POL is permanent: protocol accounts are refused.
+   */
+  remove_liquidity(
+    /** @type {bigint} */ lp_burned,
+    /** @type {bigint} */ min_native_out = 0n,
+    /** @type {bigint} */ min_foreign_out = 0n,
+    /** @type {AccountId} */ account = ACCOUNTS.USER,
+  ) {
+    this.pause_flag.require_active();
+    if (is_protocol_account(account)) {
+      throw new Error("Protocol-owned liquidity cannot be withdrawn");
+    }
+    if (lp_burned <= 0n) {
+      throw new Error("Amount must be positive");
+    }
+    const balance = this.get_lp(account);
+    if (lp_burned > balance) {
+      throw new Error(
+        `Insufficient LP balance for ${account}: ${balance} < ${lp_burned}`,
+      );
+    }
+    const native_out = BigMath.mul_div(
+      this.reserve_native,
+      lp_burned,
+      this.supply_lp,
+    );
+    const foreign_out = BigMath.mul_div(
+      this.reserve_foreign,
+      lp_burned,
+      this.supply_lp,
+    );
+    if (native_out < min_native_out || foreign_out < min_foreign_out) {
+      throw new Error("Slippage exceeded");
+    }
+    this.reserve_native -= native_out;
+    this.reserve_foreign -= foreign_out;
+    this.supply_lp -= lp_burned;
+    if (lp_burned === balance) {
+      this.lp_balances.delete(account);
+    } else {
+      this.lp_balances.set(account, balance - lp_burned);
+    }
+    this.ledger.credit_native(account, native_out);
+    this.ledger.credit_foreign(account, foreign_out);
+    this.events.emit(EVENTS.LIQUIDITY_REMOVED, {
+      account,
+      lp_burned,
+      native_out,
+      foreign_out,
+    });
+    return { lp_burned, native_out, foreign_out };
+  }
+
+  swap_native_to_foreign(
+    /** @type {bigint} */ native_in,
+    /** @type {bigint} */ min_foreign_out = 0n,
+    /** @type {AccountId} */ account = ACCOUNTS.USER,
+  ) {
+    this.pause_flag.require_active();
+    if (native_in <= 0n) {
+      throw new Error("Amount must be positive");
+    }
+    if (!this.has_liquidity()) {
+      throw new Error("No liquidity");
+    }
+    const foreign_out = this.get_out_foreign(native_in);
+    if (foreign_out < min_foreign_out) {
+      throw new Error("Slippage exceeded");
+    }
+    const ideal_output = this.calculate_swap_output(
+      native_in,
+      true,
+      this.reserve_native,
+      this.reserve_foreign,
+      0n,
+    );
+    const foreign_xyk_fee = ideal_output - foreign_out;
+    this.ledger.debit_native(account, native_in);
+    const result = this.#execute_swap(native_in, foreign_out, true);
+    this.ledger.credit_foreign(account, foreign_out);
+    result.foreign_xyk_fee = foreign_xyk_fee;
+    this.events.emit(EVENTS.SWAPPED, { account, ...result });
+    return result;
+  }
+
+  swap_foreign_to_native(
+    /** @type {bigint} */ foreign_in,
+    /** @type {bigint} */ min_native_out = 0n,
+    /** @type {AccountId} */ account = ACCOUNTS.USER,
+  ) {
+    this.pause_flag.require_active();
+    if (foreign_in <= 0n) {
+      throw new Error("Amount must be positive");
+    }
+    if (!this.has_liquidity()) {
+      throw new Error("No liquidity");
+    }
+    const native_out = this.get_out_native(foreign_in);
+    if (native_out < min_native_out) {
+      throw new Error("Slippage exceeded");
+    }
+    const ideal_output = this.calculate_swap_output(
+      foreign_in,
+      false,
+      this.reserve_native,
+      this.reserve_foreign,
+      0n,
+    );
+    const native_xyk_fee = ideal_output - native_out;
+    this.ledger.collect_foreign(account, foreign_in);
+    const result = this.#execute_swap(foreign_in, native_out, false);
+    this.ledger.credit_native(account, native_out);
+    result.native_xyk_fee = native_xyk_fee;
+    this.events.emit(EVENTS.SWAPPED, { account, ...result });
+    return result;
+  }
+
+  #execute_swap(
+    /** @type {bigint} */ amount_in,
+    /** @type {bigint} */ amount_out,
+    /** @type {boolean} */ native_to_foreign,
+  ) {
+    const price_before = this.get_price();
+    if (native_to_foreign) {
+      if (this.reserve_foreign < amount_out) {
+        throw new Error("Insufficient foreign reserves");
+      }
+      this.reserve_native += amount_in;
+      this.reserve_foreign -= amount_out;
+    } else {
+      if (this.reserve_native < amount_out) {
+        throw new Error("Insufficient native reserves");
+      }
+      this.reserve_foreign += amount_in;
+      this.reserve_native -= amount_out;
+    }
+    // `get_price` rejects a drained reserve, which only concentrated ranges reach
+    const price_after = this.calculate_spot_price(
+      this.reserve_native,
+      this.reserve_foreign,
+    );
+    // Price impact calculation: for native_to_foreign, price increases; for foreign_to_native, price decreases
+    const price_change = native_to_foreign
+      ? price_after - price_before
+      : price_before - price_after;
+    const price_impact_ppm =
+      price_before > 0n
+        ? BigMath.mul_div(BigMath.abs(price_change), PPM, price_before)
+        : 0n;
+    return {
+      native_in: native_to_foreign ? amount_in : 0n,
+      native_out: native_to_foreign ? 0n : amount_out,
+      foreign_in: native_to_foreign ? 0n : amount_in,
+      foreign_out: native_to_foreign ? amount_out : 0n,
+      price_before,
+      price_after,
+      price_impact_ppm,
+    };
+  }
+}
+
+/** Constant-product pool `reserve_native * reserve_foreign = k` with closed-form quotes */
+export class XykPool extends Pool {
+  calculate_swap_output(
+    /** @type {bigint} */ amount_in,
+    /** @type {boolean} */ native_in,
+    /** @type {bigint} */ reserve_native,
+    /** @type {bigint} */ reserve_foreign,
+    /** @type {bigint} */ fee_ppm = this.fee_ppm,
+  ) {
+    const [reserve_in, reserve_out] = native_in
+      ? [reserve_native, reserve_foreign]
+      : [reserve_foreign, reserve_native];
+    if (amount_in <= 0n || reserve_in <= 0n || reserve_out <= 0n) {
+      return 0n;
+    }
+    const amount_in_with_fee = amount_in * (PPM - fee_ppm);
+    const numerator = amount_in_with_fee * reserve_out;
+    const denominator = reserve_in * PPM + amount_in_with_fee;
+    return numerator / denominator;
+  }
+
+  calculate_spot_price(
+    /** @type {bigint} */ reserve_native,
+    /** @type {bigint} */ reserve_foreign,
+  ) {
+    return BigMath.mul_div(reserve_foreign, PRECISION, reserve_native);
+  }
+
+  calculate_swap_input(
+    /** @type {bigint} */ amount_out,
+    /** @type {boolean} */ native_in,
+  ) {
+    const [reserve_in, reserve_out] = native_in
+      ? [this.reserve_native, this.reserve_foreign]
+      : [this.reserve_foreign, this.reserve_native];
+    validate_swap_output(amount_out, reserve_in, reserve_out);
+    const numerator = reserve_in * amount_out * PPM;
+    const denominator = (reserve_out - amount_out) * (PPM - this.fee_ppm);
+    return numerator / denominator + 1n;
+  }
+
+  /**
+   * Foreign that moves the pool to `price`, ignoring fees:
+   * price' = y'^2 / k  =>  y' = sqrt(price * k)
+   */
+  get_foreign_to_price(/** @type {bigint} */ price) {
+    const reserve_foreign_target = BigMath.isqrt(
+      BigMath.mul_div(
+        price * this.reserve_native,
+        this.reserve_foreign,
+        PRECISION,
+      ),
+    );
+    return BigMath.max(reserve_foreign_target - this.reserve_foreign, 0n);
+  }
+
+  /**
+   * Closed-form zap swap with the fee `φ` left in the pool (reserve `R`, amount `a`):
+   * s = (sqrt(((2 - φ) R)^2 + 4 (1 - φ) a R) - (2 - φ) R) / (2 (1 - φ))
+   */
+  get_zap_swap(/** @type {bigint} */ amount, /** @type {boolean} */ native_in) {
+    if (amount <= 0n || !this.has_liquidity()) {
+      return 0n;
+    }
+    const reserve_in = native_in ? this.reserve_native : this.reserve_foreign;
+    const fee_factor = PPM - this.fee_ppm;
+    const b = (PPM + fee_factor) * reserve_in;
+    const root = BigMath.isqrt(
+      b * b + 4n * fee_factor * PPM * amount * reserve_in,
+    );
+    return (root - b) / (2n * fee_factor);
+  }
+
+  /** Both sides are worth the same at the spot price */
+  get_tvl() {
+    return 2n * this.reserve_foreign;
+  }
+}
+
+/**
+ * Curve-style StableSwap pool around a peg fixed by the first deposit
+ * @note Native is valued at `peg` (the initial price) and the two-coin invariant
+ * `4A(x + y) + D = 4AD + D^3 / (4xy)` is solved by Newton iteration. Near the peg the pool trades
+ * almost flat; far from it, the curve bends towards constant product and neither reserve reaches zero.
+ */
+export class StableSwapPool extends Pool {
+  constructor(
+    /** @type {Ledger} */ ledger,
+    /** @type {EventBus} */ events,
+    /** @type {PoolFeeConfig & { amplification: bigint }} */ config,
+  ) {
+    super(ledger, events, config);
+    if (config.amplification <= 0n) {
+      throw new Error("Amplification must be positive");
+    }
+    this.amplification = config.amplification;
+    this.peg = 0n;
+  }
+
+  initialize(/** @type {bigint} */ native, /** @type {bigint} */ foreign) {
+    const peg = BigMath.mul_div(foreign, PRECISION, native);
+    if (peg === 0n) {
+      throw new Error("Insufficient initial liquidity");
+    }
+    this.peg = peg;
+  }
+
+  get_state() {
+    return { ...super.get_state(), peg: this.peg };
+  }
+
+  calculate_swap_output(
+    /** @type {bigint} */ amount_in,
+    /** @type {boolean} */ native_in,
+    /** @type {bigint} */ reserve_native,
+    /** @type {bigint} */ reserve_foreign,
+    /** @type {bigint} */ fee_ppm = this.fee_ppm,
+  ) {
+    const amount_net = BigMath.mul_div(amount_in, PPM - fee_ppm, PPM);
+    const x = BigMath.mul_div(reserve_native, this.peg, PRECISION);
+    const y = reserve_foreign;
+    if (amount_net <= 0n || x <= 0n || y <= 0n) {
+      return 0n;
+    }
+    const d = this.#get_d(x, y);
+    // One unit is kept back against Newton rounding, as Curve does
+    if (native_in) {
+      const x_new = x + BigMath.mul_div(amount_net, this.peg, PRECISION);
+      return BigMath.max(y - this.#get_y(x_new, d) - 1n, 0n);
+    }
+    const x_out = x - this.#get_y(y + amount_net, d) - 1n;
+    return x_out > 0n ? BigMath.mul_div(x_out, PRECISION, this.peg) : 0n;
+  }
+
+  /** `-dy/dx = (4A x + K) y / ((4A y + K) x)` with `K = D^3 / (4xy)`, scaled by the peg */
+  calculate_spot_price(
+    /** @type {bigint} */ reserve_native,
+    /** @type {bigint} */ reserve_foreign,
+  ) {
+    const x = BigMath.mul_div(reserve_native, this.peg, PRECISION);
+    const y = reserve_foreign;
+    const d = this.#get_d(x, y);
+    const k = (((d * d) / (2n * x)) * d) / (2n * y);
+    const ann = 4n * this.amplification;
+    return BigMath.mul_div((ann * x + k) * y, this.peg, (ann * y + k) * x);
+  }
+
+  #get_d(/** @type {bigint} */ x, /** @type {bigint} */ y) {
+    const ann = 4n * this.amplification;
+    const sum = x + y;
+    let d = sum;
+    for (let i = 0; i < 256; i++) {
+      const d_product = (((d * d) / (2n * x)) * d) / (2n * y);
+      const d_previous = d;
+      d =
+        ((ann * sum + 2n * d_product) * d) / ((ann - 1n) * d + 3n * d_product);
+      if (BigMath.abs(d - d_previous) <= 1n) {
+        return d;
+      }
+    }
+    throw new Error("StableSwap invariant did not converge");
+  }
+
+  /** Balance of the other coin that keeps the invariant at `d` when this one is `x` */
+  #get_y(/** @type {bigint} */ x, /** @type {bigint} */ d) {
+    const ann = 4n * this.amplification;
+    const c = (((d * d) / (2n * x)) * d) / (2n * ann);
+    const b = x + d / ann;
+    let y = d;
+    for (let i = 0; i < 256; i++) {
+      const y_previous = y;
+      y = (y * y + c) / (2n * y + b - d);
+      if (BigMath.abs(y - y_previous) <= 1n) {
+        return y;
+      }
+    }
+    throw new Error("StableSwap invariant did not converge");
+  }
+}
+
+/**
+ * Balancer-style weighted pool `reserve_native^w_native * reserve_foreign^w_foreign = k`
+ * @note Spot price is `(reserve_foreign / w_foreign) / (reserve_native / w_native)`, so an 80/20
+ * pool holds four times the native value of a 50/50 pool at the same price. Powers are evaluated
+ * as `exp(w * ln(r))` at `EXP_SCALE`; every rounding step favours the pool.
+ */
+export class WeightedPool extends Pool {
+  static EXP_SCALE = 10n ** 24n;
+
+  constructor(
+    /** @type {Ledger} */ ledger,
+    /** @type {EventBus} */ events,
+    /** @type {PoolFeeConfig & { weight_native_ppm: bigint }} */ config,
+  ) {
+    super(ledger, events, config);
+    if (config.weight_native_ppm <= 0n || config.weight_native_ppm >= PPM) {
+      throw new Error("Native weight must be within (0, 100%)");
+    }
+    this.weight_native_ppm = config.weight_native_ppm;
+  }
+
+  get weight_foreign_ppm() {
+    return PPM - this.weight_native_ppm;
+  }
+
+  /** `out = reserve_out * (1 - (reserve_in / (reserve_in + in))^(w_in / w_out))` */
+  calculate_swap_output(
+    /** @type {bigint} */ amount_in,
+    /** @type {boolean} */ native_in,
+    /** @type {bigint} */ reserve_native,
+    /** @type {bigint} */ reserve_foreign,
+    /** @type {bigint} */ fee_ppm = this.fee_ppm,
+  ) {
+    const [reserve_in, reserve_out, weight_in, weight_out] = native_in
+      ? [
+          reserve_native,
+          reserve_foreign,
+          this.weight_native_ppm,
+          this.weight_foreign_ppm,
+        ]
+      : [
+          reserve_foreign,
+          reserve_native,
+          this.weight_foreign_ppm,
+          this.weight_native_ppm,
+        ];
+    const amount_net = BigMath.mul_div(amount_in, PPM - fee_ppm, PPM);
+    if (amount_net <= 0n || reserve_in <= 0n || reserve_out <= 0n) {
+      return 0n;
+    }
+    const scale = WeightedPool.EXP_SCALE;
+    const ln_growth = BigMath.ln(
+      BigMath.mul_div(reserve_in + amount_net, scale, reserve_in),
+      scale,
+    );
+    const growth = BigMath.exp(
+      BigMath.mul_div(ln_growth, weight_in, weight_out),
+      scale,
+    );
+    const ratio_out = BigMath.div_ceil(scale * scale, growth);
+    return BigMath.mul_div(reserve_out, scale - ratio_out, scale);
+  }
+
+  calculate_spot_price(
+    /** @type {bigint} */ reserve_native,
+    /** @type {bigint} */ reserve_foreign,
+  ) {
+    return BigMath.mul_div(
+      reserve_foreign * this.weight_native_ppm,
+      PRECISION,
+      reserve_native * this.weight_foreign_ppm,
+    );
+  }
+}
+
+/**
+ * Uniswap v3-style pool with all liquidity in one price range set around the first deposit
+ * @note The range is `[price * price_lower_ppm, price * price_upper_ppm] / PPM` of the initial price.
+ * Real reserves trade as constant product on virtual reserves `(x + L / sqrt(p_upper)) * (y + L * sqrt(p_lower)) = L^2`,
+ * with `L` recovered from the real reserves. Inside the range depth is higher than XYK; at either
+ * bound one real reserve runs out, a swap through it is filled only up to the remaining reserve,
+ * and the pool stays depleted (see "Why Not Concentrated Liquidity" in `docs/price-boundaries.en.md`).
+ */
+export class ConcentratedPool extends Pool {
+  constructor(
+    /** @type {Ledger} */ ledger,
+    /** @type {EventBus} */ events,
+    /** @type {PoolFeeConfig & { price_lower_ppm: bigint, price_upper_ppm: bigint }} */ config,
+  ) {
+    super(ledger, events, config);
+    if (
+      config.price_lower_ppm <= 0n ||
+      config.price_lower_ppm >= PPM ||
+      config.price_upper_ppm <= PPM
+    ) {
+      throw new Error("Price range must contain the initial price");
+    }
+    this.price_lower_ppm = config.price_lower_ppm;
+    this.price_upper_ppm = config.price_upper_ppm;
+    // Square roots of the range bounds, as `sqrt(price * PRECISION)`
+    this.sqrt_price_lower = 0n;
+    this.sqrt_price_upper = 0n;
+  }
+
+  initialize(/** @type {bigint} */ native, /** @type {bigint} */ foreign) {
+    const price = BigMath.mul_div(foreign, PRECISION, native);
+    const sqrt_price_lower = BigMath.isqrt(
+      BigMath.mul_div(price, this.price_lower_ppm, PPM) * PRECISION,
+    );
+    if (sqrt_price_lower === 0n) {
+      throw new Error("Insufficient initial liquidity");
+    }
+    this.sqrt_price_lower = sqrt_price_lower;
+    this.sqrt_price_upper = BigMath.isqrt(
+      BigMath.mul_div(price, this.price_upper_ppm, PPM) * PRECISION,
+    );
+  }
+
+  get_state() {
+    return {
+      ...super.get_state(),
+      sqrt_price_lower: this.sqrt_price_lower,
+      sqrt_price_upper: this.sqrt_price_upper,
+    };
+  }
+
+  calculate_swap_output(
+    /** @type {bigint} */ amount_in,
+    /** @type {boolean} */ native_in,
+    /** @type {bigint} */ reserve_native,
+    /** @type {bigint} */ reserve_foreign,
+    /** @type {bigint} */ fee_ppm = this.fee_ppm,
+  ) {
+    const amount_net = BigMath.mul_div(amount_in, PPM - fee_ppm, PPM);
+    if (amount_net <= 0n || reserve_native <= 0n || reserve_foreign <= 0n) {
+      return 0n;
+    }
+    const { virtual_native, virtual_foreign } = this.#get_virtual_reserves(
+      reserve_native,
+      reserve_foreign,
+    );
+    if (native_in) {
+      const out =
+        (amount_net * virtual_foreign) / (virtual_native + amount_net);
+      return BigMath.min(out, reserve_foreign);
+    }
+    const out = (amount_net * virtual_native) / (virtual_foreign + amount_net);
+    return BigMath.min(out, reserve_native);
+  }
+
+  /** Virtual reserve ratio; an exhausted foreign side has no bid left and prices native at zero */
+  calculate_spot_price(
+    /** @type {bigint} */ reserve_native,
+    /** @type {bigint} */ reserve_foreign,
+  ) {
+    if (reserve_foreign === 0n) {
+      return 0n;
+    }
+    const { virtual_native, virtual_foreign } = this.#get_virtual_reserves(
+      reserve_native,
+      reserve_foreign,
+    );
+    return BigMath.mul_div(virtual_foreign, PRECISION, virtual_native);
+  }
+
+  /**
+   * Liquidity `L` solving `(x + L / sqrt(p_upper)) * (y + L * sqrt(p_lower)) = L^2` for real reserves `x`, `y`
+   * @note Rounds `L` down, so virtual reserves and outputs never exceed the exact values.
+   */
+  #get_virtual_reserves(
+    /** @type {bigint} */ reserve_native,
+    /** @type {bigint} */ reserve_foreign,
+  ) {
+    const lower = this.sqrt_price_lower;
+    const upper = this.sqrt_price_upper;
+    // L^2 * P * (upper - lower) - L * b - x * y * P * upper = 0
+    const b =
+      reserve_native * lower * upper + reserve_foreign * PRECISION * PRECISION;
+    const discriminant =
+      b * b +
+      4n *
+        PRECISION *
+        PRECISION *
+        (upper - lower) *
+        upper *
+        reserve_native *
+        reserve_foreign;
+    const liquidity =
+      (b + BigMath.isqrt(discriminant)) / (2n * PRECISION * (upper - lower));
+    return {
+      virtual_native:
+        reserve_native + BigMath.mul_div(liquidity, PRECISION, upper),
+      virtual_foreign:
+        reserve_foreign + BigMath.mul_div(liquidity, lower, PRECISION),
+    };
+  }
+}
+
+/** Builds the pool model selected by `pool.kind` */
+export const create_pool = (
+  /** @type {Ledger} */ ledger,
+  /** @type {EventBus} */ events,
+  /** @type {{ fee_ppm: bigint, pool: PoolConfig }} */ config,
+) => {
+  const { fee_ppm, pool } = config;
+  switch (pool.kind) {
+    case "xyk":
+      return new XykPool(ledger, events, { fee_ppm });
+    case "stable":
+      return new StableSwapPool(ledger, events, {
+        fee_ppm,
+        amplification: pool.amplification,
+      });
+    case "weighted":
+      return new WeightedPool(ledger, events, {
+        fee_ppm,
+        weight_native_ppm: pool.weight_native_ppm,
+      });
+    case "concentrated":
+      return new ConcentratedPool(ledger, events, {
+        fee_ppm,
+        price_lower_ppm: pool.price_lower_ppm,
+        price_upper_ppm: pool.price_upper_ppm,
+      });
+    default:
+      throw new Error(
+        `Unknown pool kind: ${/** @type {{ kind: string }} */ (pool).kind}`,
+      );
+  }
+};
+
+/**
+ * TVL-weighted `Price Oracle` for native (axial router spec §3)
+ * @note Refreshes after every pool swap and liquidity change. The spot price aggregates the
+ * native price of every unpaused pool holding at least `min_liquidity`, in the unit of account, weighted by
+ * pool TVL (both reserves valued at the pool price). Foreign assets are priced by the registry
+ * rate, so native is the only token tracked. The EMA steps once per block: later updates within
+ * a block recompute that block's step from the previous block's EMA, so repeated trades in one
+ * block cannot compound their weight. Throughout the first block observed the EMA follows spot.
+ */
+export class PriceOracle {
+  constructor(
+    /** @type {Clock} */ clock,
+    /** @type {EventBus} */ events,
+    /** @type {AssetRegistry} */ assets,
+    /** @type {PriceOracleConfig} */ config,
+  ) {
+    if (config.ema_alpha_ppm <= 0n || config.ema_alpha_ppm > PPM) {
+      throw new Error(`Smoothing coefficient must be within (0, ${PPM}] ppm`);
+    }
+    this.clock = clock;
+    this.assets = assets;
+    this.ema_alpha_ppm = config.ema_alpha_ppm;
+    this.ttl_blocks = config.ttl_blocks;
+    this.min_liquidity = config.min_liquidity;
+    this.ema_price = 0n;
+    /** @type {bigint | null} EMA as of the end of the block before `last_updated`; null in the first block observed */
+    this.ema_previous = null;
+    this.last_price = 0n;
+    this.total_liquidity = 0n;
+    /** @type {bigint | null} */
+    this.last_updated = null;
+    events.subscribe(
+      () => this.update(),
+      [EVENTS.SWAPPED, EVENTS.LIQUIDITY_ADDED, EVENTS.LIQUIDITY_REMOVED],
+    );
+  }
+
+  /**
+   * Current TVL-weighted native price, or null when no pool qualifies
+   * @returns {{ price: bigint, total_liquidity: bigint } | null}
+   */
+  get_spot() {
+    let weighted = 0n;
+    let total_liquidity = 0n;
+    for (const [asset, { xyk_pool }] of this.assets.assets) {
+      if (!xyk_pool.is_tradable()) {
+        continue;
+      }
+      const tvl = this.assets.to_unit(asset, xyk_pool.get_tvl());
+      if (tvl < this.min_liquidity) {
+        continue;
+      }
+      weighted += this.assets.to_unit(asset, xyk_pool.get_price()) * tvl;
+      total_liquidity += tvl;
+    }
+    return total_liquidity > 0n
+      ? { price: weighted / total_liquidity, total_liquidity }
+      : null;
+  }
+
+  get_spot_price() {
+    return this.get_spot()?.price ?? null;
+  }
+
+  /** Smoothed price, or null before the first observation */
+  get_ema_price() {
+    return this.last_updated === null ? null : this.ema_price;
+  }
+
+  /** True when no pool has updated the oracle within `ttl_blocks` */
+  is_stale() {
+    return (
+      this.last_updated === null ||
+      this.clock.block - this.last_updated > this.ttl_blocks
+    );
+  }
+
+  /** Folds the current spot price into the EMA; returns the new EMA, or null when no pool qualifies */
+  update() {
+    const spot = this.get_spot();
+    if (spot === null) {
+      return null;
+    }
+    const block = this.clock.block;
+    if (this.last_updated !== null && block > this.last_updated) {
+      this.ema_previous = this.ema_price;
+    }
+    this.ema_price =
+      this.ema_previous === null
+        ? spot.price
+        : BigMath.mul_div(this.ema_previous, PPM - this.ema_alpha_ppm, PPM) +
+          BigMath.mul_div(spot.price, this.ema_alpha_ppm, PPM);
+    this.last_price = spot.price;
+    this.total_liquidity = spot.total_liquidity;
+    this.last_updated = block;
+    return this.ema_price;
+  }
+}
+
+/**
+ * Pool `Circuit Breaker`
+ * @note Checks every pool after each swap and liquidity change and pauses a pool whose price has
+ * moved more than `max_price_move_ppm` since the block opened, or whose foreign reserve is worth
+ * less than `min_reserve_foreign` in the unit of account. A zero limit disables that check. The
+ * trade that trips the breaker has already executed; later routes through the pool are filtered
+ * until an admin calls `resume`.
+ */
+export class CircuitBreaker {
+  constructor(
+    /** @type {Clock} */ clock,
+    /** @type {EventBus} */ events,
+    /** @type {AssetRegistry} */ assets,
+    /** @type {CircuitBreakerConfig} */ config,
+  ) {
+    if (config.max_price_move_ppm < 0n || config.min_reserve_foreign < 0n) {
+      throw new Error("Circuit breaker limits must be non-negative");
+    }
+    this.clock = clock;
+    this.assets = assets;
+    this.max_price_move_ppm = config.max_price_move_ppm;
+    this.min_reserve_foreign = config.min_reserve_foreign;
+    /** @type {Map<AssetId, { block: bigint, price_open: bigint, price: bigint }>} */
+    this.observations = new Map();
+    /** @type {{ block: bigint, asset: AssetId, reason: string }[]} */
+    this.trips = [];
+    events.subscribe(
+      () => this.check(),
+      [EVENTS.SWAPPED, EVENTS.LIQUIDITY_ADDED, EVENTS.LIQUIDITY_REMOVED],
+    );
+  }
+
+  /** Price move of the pool since the block opened, or 0 before it has been observed this block */
+  get_price_move_ppm(/** @type {AssetId} */ asset) {
+    const observation = this.observations.get(asset);
+    if (!observation || observation.block !== this.clock.block) {
+      return 0n;
+    }
+    return BigMath.mul_div(
+      BigMath.abs(observation.price - observation.price_open),
+      PPM,
+      observation.price_open,
+    );
+  }
+
+  /** Observes every active pool and trips the breaker of those out of bounds */
+  check() {
+    /** @type {{ asset: AssetId, reason: string }[]} */
+    const tripped = [];
+    for (const [asset, { xyk_pool }] of this.assets.assets) {
+      if (!xyk_pool.is_tradable()) {
+        continue;
+      }
+      this.#observe(asset, xyk_pool.get_price());
+      const reason = this.#get_trip_reason(asset);
+      if (reason !== null) {
+        this.trip(asset, reason);
+        tripped.push({ asset, reason });
+      }
+    }
+    return tripped;
+  }
+
+  trip(/** @type {AssetId} */ asset, /** @type {string} */ reason) {
+    this.assets.get(asset).xyk_pool.pause_flag.pause(reason);
+    this.trips.push({ block: this.clock.block, asset, reason });
+  }
+
+  /** Admin resume: reopens the pool and restarts its price window at the current price */
+  resume(/** @type {AssetId} */ asset) {
+    this.assets.get(asset).xyk_pool.pause_flag.resume();
+    this.observations.delete(asset);
+  }
+
+  #observe(/** @type {AssetId} */ asset, /** @type {bigint} */ price) {
+    const observation = this.observations.get(asset);
+    if (!observation) {
+      this.observations.set(asset, {
+        block: this.clock.block,
+        price_open: price,
+        price,
+      });
+    } else {
+      // The last price seen in an earlier block is where this block opened
+      if (observation.block !== this.clock.block) {
+        observation.block = this.clock.block;
+        observation.price_open = observation.price;
+      }
+      observation.price = price;
+    }
+  }
+
+  #get_trip_reason(/** @type {AssetId} */ asset) {
+    const move_ppm = this.get_price_move_ppm(asset);
+    if (this.max_price_move_ppm > 0n && move_ppm > this.max_price_move_ppm) {
+      return `Price moved ${move_ppm} ppm within block ${this.clock.block}`;
+    }
+    const { xyk_pool } = this.assets.get(asset);
+    const reserve = this.assets.to_unit(asset, xyk_pool.reserve_foreign);
+    if (this.min_reserve_foreign > 0n && reserve < this.min_reserve_foreign) {
+      return `Foreign reserve ${reserve} below minimum ${this.min_reserve_foreign}`;
+    }
+    return null;
+  }
+}
+
+/**
+ * `Protocol-Owned Liquidity` Manager
+ * @note Buffers live in `account` on the pool's ledger; each foreign asset has its own manager and account.
+ */
+export class PolManager {
+  constructor(
+    /** @type {Ledger} */ ledger,
+    /** @type {EventBus} */ events,
+    /** @type {Pool} */ xyk_pool,
+    /** @type {AccountId} */ account = ACCOUNTS.POL,
+  ) {
+    this.ledger = ledger;
+    this.events = events;
+    this.xyk_pool = xyk_pool;
+    this.account = account;
+    this.balance_lp = 0n;
+    this.contributed_native = 0n;
+    this.contributed_foreign = 0n;
+  }
+
+  /** Buffers are the POL account balances not yet committed to the pool */
+  get buffer_native() {
+    return this.ledger.get_native(this.account);
+  }
+
+  get buffer_foreign() {
+    return this.ledger.get_foreign(this.account);
+  }
+
+  /**
+   * POL capital split between its pool share and the buffers
+   * @note `lp_ppm` values both sides in foreign at the pool price; it is zero before the pool has a price.
+   */
+  get_capital() {
+    const { reserve_native, reserve_foreign, supply_lp } = this.xyk_pool;
+    const [native_in_lp, foreign_in_lp] =
+      supply_lp > 0n
+        ? [
+            BigMath.mul_div(reserve_native, this.balance_lp, supply_lp),
+            BigMath.mul_div(reserve_foreign, this.balance_lp, supply_lp),
+          ]
+        : [0n, 0n];
+    const native_buffered = this.buffer_native;
+    const foreign_buffered = this.buffer_foreign;
+    let lp_ppm = 0n;
+    if (this.xyk_pool.has_liquidity()) {
+      const price = this.xyk_pool.get_price();
+      const value_lp =
+        foreign_in_lp + BigMath.mul_div(native_in_lp, price, PRECISION);
+      const value_buffered =
+        foreign_buffered + BigMath.mul_div(native_buffered, price, PRECISION);
+      lp_ppm =
+        value_lp + value_buffered > 0n
+          ? BigMath.mul_div(value_lp, PPM, value_lp + value_buffered)
+          : 0n;
+    }
+    return {
+      native_in_lp,
+      foreign_in_lp,
+      native_buffered,
+      foreign_buffered,
+      lp_ppm,
+    };
+  }
+
+  add_liquidity(/** @type {bigint} */ native, /** @type {bigint} */ foreign) {
+    this.ledger.credit_native(this.account, native);
+    this.ledger.credit_foreign(this.account, foreign);
+    if (this.buffer_native === 0n && this.buffer_foreign === 0n) {
+      return this.#create_liquidity_result(0n, 0n, 0n);
+    }
+    // A paused or depleted pool accepts nothing; everything stays in buffers
+    if (this.xyk_pool.pause_flag.is_paused() || this.xyk_pool.is_depleted()) {
+      return this.#create_liquidity_result(0n, 0n, 0n);
+    }
+    // Branch 1: Pool initialization (first UTBC mint ONLY)
+    // - Happens exactly once when pool doesn't exist
+    // - Uses direct XYK add_liquidity with all available tokens
+    // - Sets initial price based on POL allocation from first mint
+    // - Does NOT use Zap strategy (no swapping, no ratio matching)
+    if (!this.xyk_pool.has_liquidity()) {
+      const init_result = this.#try_initialize_pool();
+      if (init_result.success) {
+        // Pool initialized successfully with first mint's POL allocation
+        return this.#create_liquidity_result(
+          init_result.lp_minted,
+          init_result.native_used,
           init_result.foreign_used,
         );
-      } else {
-        // Initialization failed or insufficient tokens - everything stays in buffers
-        return this.#create_liquidity_result(0n, 0n, 0n);
+      } else {
+        // Initialization failed or insufficient tokens - everything stays in buffers
+        return this.#create_liquidity_result(0n, 0n, 0n);
+      }
+    }
+    // Branch 2: Zap strategy for existing pool (all subsequent mints)
+    // - Uses AllInZap to maximize liquidity depth
+    // - Maintains pool ratio, swaps excess foreign through router
+    // - Sophisticated capital efficiency optimization
+    const zap_result = this.#execute_zap_and_update();
+    return this.#create_liquidity_result(
+      zap_result.lp_minted,
+      zap_result.native_used,
+      zap_result.foreign_used,
+      zap_result.error,
+    );
+  }
+
+  #create_liquidity_result(
+    /** @type {bigint} */ lp_minted,
+    /** @type {bigint} */ native_used,
+    /** @type {bigint} */ foreign_used,
+    /** @type {string | null} */ error = null,
+  ) {
+    if (this.buffer_native > 0n || this.buffer_foreign > 0n) {
+      this.events.emit(EVENTS.BUFFERED, {
+        native_buffered: this.buffer_native,
+        foreign_buffered: this.buffer_foreign,
+      });
+    }
+    return {
+      lp_minted,
+      native_used,
+      foreign_used,
+      native_buffered: this.buffer_native,
+      foreign_buffered: this.buffer_foreign,
+      pol_result: lp_minted > 0n,
+      error,
+    };
+  }
+
+  /**
+   * Initialize XYK pool with first mint's POL allocation
+   * This is NOT a zap operation - it's direct pool bootstrapping
+   * Only called once when pool doesn't exist yet
+   */
+  #try_initialize_pool() {
+    const total_native = this.buffer_native;
+    const total_foreign = this.buffer_foreign;
+    if (total_native === 0n || total_foreign === 0n) {
+      return {
+        success: false,
+        lp_minted: 0n,
+        native_used: 0n,
+        foreign_used: 0n,
+      };
+    }
+    try {
+      const result = this.xyk_pool.add_liquidity(
+        total_native,
+        total_foreign,
+        this.account,
+      );
+      this.balance_lp += result.lp_minted;
+      this.contributed_native += result.native_used;
+      this.contributed_foreign += result.foreign_used;
+      return {
+        success: true,
+        lp_minted: result.lp_minted,
+        native_used: result.native_used,
+        foreign_used: result.foreign_used,
+      };
+    } catch (e) {
+      console.warn("Pool initialization failed:", e.message);
+      return {
+        success: false,
+        lp_minted: 0n,
+        native_used: 0n,
+        foreign_used: 0n,
+      };
+    }
+  }
+
+  /**
+   * Executes the "zap" mechanism for existing pools:
+   * 1. Adds balanced liquidity while preserving the pool's ratio
+   * 2. Swaps the optimal part of whichever side is left over (`get_zap_swap`), so the rest and
+   *    the swap output match the new ratio, and adds both
+   * 3. Keeps rounding dust in the buffers for the next zap
+   * `native_used` and `foreign_used` are net of the swap: what left the buffers for the pool. The
+   * side the swap pays out can come out slightly negative when its rounding dust stays buffered.
+   */
+  #execute_zap_and_update() {
+    const native_before = this.buffer_native;
+    const foreign_before = this.buffer_foreign;
+    const first = this.#add_balanced();
+    let lp_minted = first.lp_minted;
+    let error = first.error;
+    // Step 2: Zap the excess side if the pool still trades
+    const native_excess = this.buffer_native;
+    const foreign_excess = this.buffer_foreign;
+    const native_in =
+      native_excess * this.xyk_pool.reserve_foreign >
+      foreign_excess * this.xyk_pool.reserve_native;
+    const excess = native_in ? native_excess : foreign_excess;
+    const swap = this.xyk_pool.is_tradable()
+      ? this.xyk_pool.get_zap_swap(excess, native_in)
+      : 0n;
+    const swap_out = native_in
+      ? this.xyk_pool.get_out_foreign(swap)
+      : this.xyk_pool.get_out_native(swap);
+    if (swap_out > 0n) {
+      try {
+        const swap_result = native_in
+          ? this.xyk_pool.swap_native_to_foreign(swap, 0n, this.account)
+          : this.xyk_pool.swap_foreign_to_native(swap, 0n, this.account);
+        this.events.emit(EVENTS.ZAP_SWAPPED, {
+          native_in: swap_result.native_in,
+          native_out: swap_result.native_out,
+          foreign_in: swap_result.foreign_in,
+          foreign_out: swap_result.foreign_out,
+        });
+        const second = this.#add_balanced();
+        lp_minted += second.lp_minted;
+        error ??= second.error;
+      } catch (e) {
+        // Swap failed, keep the excess in the buffer
+        error ??= e.message;
+      }
+    }
+    const native_used = native_before - this.buffer_native;
+    const foreign_used = foreign_before - this.buffer_foreign;
+    this.balance_lp += lp_minted;
+    this.contributed_native += native_used;
+    this.contributed_foreign += foreign_used;
+    return {
+      lp_minted,
+      native_used,
+      foreign_used,
+      error,
+    };
+  }
+
+  /**
+   * Adds as much of both buffers as the pool ratio allows
+   * @returns {{ lp_minted: bigint, error: string | null }}
+   */
+  #add_balanced() {
+    const native_rest = this.buffer_native;
+    const foreign_rest = this.buffer_foreign;
+    const { reserve_native, reserve_foreign, supply_lp } = this.xyk_pool;
+    const foreign_by_native = BigMath.mul_div(
+      native_rest,
+      reserve_foreign,
+      reserve_native,
+    );
+    const [native_to_add, foreign_to_add] =
+      foreign_by_native <= foreign_rest
+        ? [native_rest, foreign_by_native]
+        : [
+            BigMath.mul_div(foreign_rest, reserve_native, reserve_foreign),
+            foreign_rest,
+          ];
+    // Dust that would mint no LP stays buffered
+    if (
+      BigMath.mul_div(native_to_add, supply_lp, reserve_native) === 0n ||
+      BigMath.mul_div(foreign_to_add, supply_lp, reserve_foreign) === 0n
+    ) {
+      return { lp_minted: 0n, error: null };
+    }
+    try {
+      const { lp_minted } = this.xyk_pool.add_liquidity(
+        native_to_add,
+        foreign_to_add,
+        this.account,
+      );
+      return { lp_minted, error: null };
+    } catch (e) {
+      // Liquidity addition failed, keep everything in the buffers
+      return { lp_minted: 0n, error: e.message };
+    }
+  }
+}
+
+/**
+ * Bonding curve interface: price at supply, its integral and the integral's inverse
+ * @note Prices are foreign per whole native token in `PRECISION`; supply and amounts are in native units.
+ * `get_cost` rounds up and `get_mint` rounds down, so minting never undercharges. Subclasses provide
+ * `get_price` and `get_cost`; `get_mint` defaults to a binary search over `get_cost`, which relies on
+ * the price being positive and non-decreasing.
+ */
+export class BondingCurve {
+  /** @returns {bigint} */
+  get_price(/** @type {bigint} */ _supply) {
+    throw new Error("get_price not implemented");
+  }
+
+  /**
+   * Foreign needed to mint `native` starting at `supply`
+   * @returns {bigint}
+   */
+  get_cost(/** @type {bigint} */ _supply, /** @type {bigint} */ _native) {
+    throw new Error("get_cost not implemented");
+  }
+
+  /** Native minted for `foreign` starting at `supply` */
+  get_mint(/** @type {bigint} */ supply, /** @type {bigint} */ foreign) {
+    if (foreign <= 0n) {
+      return 0n;
+    }
+    // The price only rises, so the spot price bounds the amount from above,
+    // up to rounding in `get_cost`, which the doubling absorbs
+    let low = 0n;
+    let high = BigMath.mul_div(foreign, PRECISION, this.get_price(supply)) + 1n;
+    while (this.get_cost(supply, high) <= foreign) {
+      low = high;
+      high *= 2n;
+    }
+    while (low < high) {
+      const mid = (low + high + 1n) / 2n;
+      if (this.get_cost(supply, mid) <= foreign) {
+        low = mid;
+      } else {
+        high = mid - 1n;
+      }
+    }
+    return low;
+  }
+}
+
+/** `price = price_initial + slope_ppm * supply / PPM` with a closed-form quadratic inverse */
+export class LinearCurve extends BondingCurve {
+  constructor(
+    /** @type {bigint} */ price_initial,
+    /** @type {bigint} */ slope_ppm,
+  ) {
+    super();
+    this.price_initial = price_initial;
+    this.slope_ppm = slope_ppm;
+  }
+
+  get_price(/** @type {bigint} */ supply) {
+    const slope_component = BigMath.mul_div(this.slope_ppm, supply, PPM);
+    return this.price_initial + slope_component;
+  }
+
+  get_cost(/** @type {bigint} */ supply, /** @type {bigint} */ native) {
+    if (native <= 0n) {
+      return 0n;
+    }
+    // foreign = (price_initial * Δs + slope * (2 * supply * Δs + Δs²) / (2 * PPM)) / PRECISION
+    const numerator =
+      2n * this.price_initial * PPM * native +
+      this.slope_ppm * (2n * supply * native + native * native);
+    return BigMath.div_ceil(numerator, 2n * PPM * PRECISION);
+  }
+
+  get_mint(/** @type {bigint} */ supply, /** @type {bigint} */ foreign) {
+    if (foreign <= 0n) {
+      return 0n;
+    }
+    const price_initial = this.price_initial;
+    const slope = this.slope_ppm;
+    if (slope === 0n) {
+      return BigMath.mul_div(foreign, PRECISION, price_initial);
+    }
+    // Optimized quadratic formula with preserved precision
+    // P(s) = price_initial + slope * s / PPM
+    // Integral: foreign = price_initial * Δs + slope * Δs² / (2 * PPM)
+    // Rearranged: slope * Δs² + 2 * price_initial * PPM * Δs - 2 * foreign * PPM = 0
+    const a = slope;
+    const b = 2n * price_initial * PPM + 2n * slope * supply;
+    const c = -2n * foreign * PPM * PRECISION;
+    const discriminant = b * b - 4n * a * c;
+    if (discriminant < 0n) {
+      return 0n;
+    }
+    const sqrt_discriminant = BigMath.isqrt(discriminant);
+    const numerator = sqrt_discriminant - b;
+    if (numerator <= 0n) {
+      return 0n;
+    }
+    const delta_supply = numerator / (2n * a);
+    return delta_supply;
+  }
+}
+
+/**
+ * `price = price_initial * e^(growth_ppm * supply / (PPM * PRECISION))`
+ * @note `growth_ppm` is the continuous growth rate per whole token. Exponentials are evaluated
+ * at `EXP_SCALE` so that costs of small mints keep full precision.
+ */
+export class ExponentialCurve extends BondingCurve {
+  static EXP_SCALE = 10n ** 24n;
+
+  constructor(
+    /** @type {bigint} */ price_initial,
+    /** @type {bigint} */ growth_ppm,
+  ) {
+    super();
+    if (growth_ppm < 0n) {
+      throw new Error("Growth must be non-negative");
+    }
+    this.price_initial = price_initial;
+    this.growth_ppm = growth_ppm;
+  }
+
+  get_price(/** @type {bigint} */ supply) {
+    return BigMath.mul_div(
+      this.price_initial,
+      this.#exp(supply),
+      ExponentialCurve.EXP_SCALE,
+    );
+  }
+
+  get_cost(/** @type {bigint} */ supply, /** @type {bigint} */ native) {
+    if (native <= 0n) {
+      return 0n;
+    }
+    if (this.growth_ppm === 0n) {
+      return BigMath.div_ceil(this.price_initial * native, PRECISION);
+    }
+    // ∫ p0 * e^(k * s) ds = p0 * (e^(k * s2) - e^(k * s1)) / k, with k = growth_ppm / (PPM * PRECISION)
+    const exp_delta = this.#exp(supply + native) - this.#exp(supply);
+    return BigMath.div_ceil(
+      this.price_initial * exp_delta * PPM,
+      this.growth_ppm * ExponentialCurve.EXP_SCALE,
+    );
+  }
+
+  #exp(/** @type {bigint} */ supply) {
+    const exponent = BigMath.mul_div(
+      this.growth_ppm * supply,
+      ExponentialCurve.EXP_SCALE,
+      PPM * PRECISION,
+    );
+    return BigMath.exp(exponent, ExponentialCurve.EXP_SCALE);
+  }
+}
+
+/**
+ * `price = price_initial + slope_ppm * supply^exponent / (PPM * PRECISION^(exponent - 1))`
+ * @note Supply is raised to the power in whole tokens, so `exponent = 1` is the linear curve.
+ */
+export class PowerCurve extends BondingCurve {
+  constructor(
+    /** @type {bigint} */ price_initial,
+    /** @type {bigint} */ slope_ppm,
+    /** @type {bigint} */ exponent,
+  ) {
+    super();
+    if (exponent < 1n) {
+      throw new Error("Exponent must be a positive integer");
+    }
+    this.price_initial = price_initial;
+    this.slope_ppm = slope_ppm;
+    this.exponent = exponent;
+    this.scale = PPM * PRECISION ** (exponent - 1n);
+  }
+
+  get_price(/** @type {bigint} */ supply) {
+    return (
+      this.price_initial +
+      BigMath.mul_div(this.slope_ppm, supply ** this.exponent, this.scale)
+    );
+  }
+
+  get_cost(/** @type {bigint} */ supply, /** @type {bigint} */ native) {
+    if (native <= 0n) {
+      return 0n;
+    }
+    // ∫ slope * s^n ds = slope * (s2^(n+1) - s1^(n+1)) / (n + 1)
+    const n_next = this.exponent + 1n;
+    const numerator =
+      this.price_initial * native * n_next * this.scale +
+      this.slope_ppm * ((supply + native) ** n_next - supply ** n_next);
+    return BigMath.div_ceil(numerator, n_next * this.scale * PRECISION);
+  }
+}
+
+/**
+ * Algebraic sigmoid rising from `price_initial` towards `price_max`
+ * @note `price = price_initial + (price_max - price_initial) * (1 + d / r) / 2` with
+ * `d = supply - midpoint` and `r = sqrt(width² + d²)`. Unlike the logistic function its integral,
+ * `(supply + r) / 2` per unit of price range, needs only an integer square root.
+ */
+export class SigmoidCurve extends BondingCurve {
+  constructor(
+    /** @type {bigint} */ price_initial,
+    /** @type {bigint} */ price_max,
+    /** @type {bigint} */ midpoint,
+    /** @type {bigint} */ width,
+  ) {
+    super();
+    if (price_max < price_initial) {
+      throw new Error("Maximum price must be at least the initial price");
+    }
+    if (width <= 0n) {
+      throw new Error("Sigmoid width must be positive");
+    }
+    this.price_initial = price_initial;
+    this.price_max = price_max;
+    this.midpoint = midpoint;
+    this.width = width;
+  }
+
+  get_price(/** @type {bigint} */ supply) {
+    const distance = supply - this.midpoint;
+    const root = this.#get_root(distance);
+    return (
+      this.price_initial +
+      BigMath.mul_div(
+        this.price_max - this.price_initial,
+        root + distance,
+        2n * root,
+      )
+    );
+  }
+
+  get_cost(/** @type {bigint} */ supply, /** @type {bigint} */ native) {
+    if (native <= 0n) {
+      return 0n;
+    }
+    return BigMath.div_ceil(
+      this.#get_antiderivative(supply + native) -
+        this.#get_antiderivative(supply),
+      2n * PRECISION,
+    );
+  }
+
+  /** ∫ price ds, scaled by 2 */
+  #get_antiderivative(/** @type {bigint} */ supply) {
+    const root = this.#get_root(supply - this.midpoint);
+    return (
+      2n * this.price_initial * supply +
+      (this.price_max - this.price_initial) * (supply + root)
+    );
+  }
+
+  /** `sqrt(width² + distance²)` in native units */
+  #get_root(/** @type {bigint} */ distance) {
+    return BigMath.isqrt(this.width * this.width + distance * distance);
+  }
+}
+
+/**
+ * Linear interpolation between `(supply, price)` points
+ * @note Points start at supply 0 with strictly increasing supply and non-decreasing price;
+ * beyond the last point the last segment's slope continues.
+ */
+export class PiecewiseLinearCurve extends BondingCurve {
+  constructor(/** @type {CurvePoint[]} */ points) {
+    super();
+    if (points.length < 2) {
+      throw new Error("Piecewise curve needs at least two points");
+    }
+    if (points[0].supply !== 0n || points[0].price <= 0n) {
+      throw new Error(
+        "Piecewise curve must start at supply 0 with a positive price",
+      );
+    }
+    for (let i = 1; i < points.length; i++) {
+      if (
+        points[i].supply <= points[i - 1].supply ||
+        points[i].price < points[i - 1].price
+      ) {
+        throw new Error(
+          "Piecewise points must have increasing supply and non-decreasing price",
+        );
+      }
+    }
+    this.points = points;
+  }
+
+  get_price(/** @type {bigint} */ supply) {
+    const [start, end] = this.#get_segment(supply);
+    return (
+      start.price +
+      BigMath.mul_div(
+        end.price - start.price,
+        supply - start.supply,
+        end.supply - start.supply,
+      )
+    );
+  }
+
+  get_cost(/** @type {bigint} */ supply, /** @type {bigint} */ native) {
+    if (native <= 0n) {
+      return 0n;
+    }
+    const target = supply + native;
+    let cost = 0n;
+    let from = supply;
+    while (from < target) {
+      const [start, end] = this.#get_segment(from);
+      const is_last = end === this.points[this.points.length - 1];
+      const to = is_last ? target : BigMath.min(target, end.supply);
+      // ∫ (y0 + (y1 - y0) * (s - x0) / (x1 - x0)) ds over [from, to]
+      const span = end.supply - start.supply;
+      const offset_from = from - start.supply;
+      const offset_to = to - start.supply;
+      const numerator =
+        2n * start.price * (to - from) * span +
+        (end.price - start.price) *
+          (offset_to * offset_to - offset_from * offset_from);
+      cost += BigMath.div_ceil(numerator, 2n * span * PRECISION);
+      from = to;
+    }
+    return cost;
+  }
+
+  /** Segment containing `supply`; the last segment extends beyond the final point */
+  #get_segment(/** @type {bigint} */ supply) {
+    for (let i = 1; i < this.points.length - 1; i++) {
+      if (supply < this.points[i].supply) {
+        return [this.points[i - 1], this.points[i]];
+      }
+    }
+    return this.points.slice(-2);
+  }
+}
+
+/** Builds the curve selected by `curve.kind`; shapes other than piecewise start at `price_initial` */
+export const create_curve = (
+  /** @type {{ price_initial: bigint, slope_ppm: bigint, curve: CurveConfig }} */ config,
+) => {
+  const { price_initial, slope_ppm, curve } = config;
+  switch (curve.kind) {
+    case "linear":
+      return new LinearCurve(price_initial, slope_ppm);
+    case "exponential":
+      return new ExponentialCurve(price_initial, curve.growth_ppm);
+    case "power":
+      return new PowerCurve(price_initial, slope_ppm, curve.exponent);
+    case "sigmoid":
+      return new SigmoidCurve(
+        price_initial,
+        curve.price_max,
+        curve.midpoint,
+        curve.width,
+      );
+    case "piecewise":
+      return new PiecewiseLinearCurve(curve.points);
+    default:
+      throw new Error(
+        `Unknown curve kind: ${/** @type {{ kind: string }} */ (curve).kind}`,
+      );
+  }
+};
+
+/**
+ * `Unidirectional Token Bonding Curve` Minter
+ * @note Minting is bounded by an optional hard `supply_cap` and by `cap_factor_ppm`, which keeps
+ * circulating native at or below that multiple of treasury native after every mint (second-order
+ * DAO spec §3). A zero value disables either limit. A mint beyond the limit is refused, or trimmed
+ * to the remaining capacity when `cap_partial_fill` is set, in which case unspent foreign stays with the payer.
+ */
+export class UtbcMinter {
+  constructor(
+    /** @type {Ledger} */ ledger,
+    /** @type {EventBus} */ events,
+    /** @type {PolManager} */ pol_manager,
+    /** @type {VestingManager} */ vesting,
+    /** @type {AssetRegistry} */ assets,
+    /** @type {UtbcMinterConfig} */ config,
+  ) {
+    if (config.price_initial <= 0n) {
+      throw new Error("Initial price must be positive");
+    }
+    if (config.slope_ppm < 0n) {
+      throw new Error("Slope must be non-negative");
+    }
+    if (config.supply_cap < 0n || config.cap_factor_ppm < 0n) {
+      throw new Error("Supply caps must be non-negative");
+    }
+    this.price_initial = config.price_initial;
+    this.slope_ppm = config.slope_ppm;
+    this.curve = create_curve(config);
+    this.supply_cap = config.supply_cap;
+    this.cap_factor_ppm = config.cap_factor_ppm;
+    this.cap_partial_fill = config.cap_partial_fill;
+    this.shares = config.shares;
+    this.ledger = ledger;
+    this.events = events;
+    this.pol_manager = pol_manager;
+    this.vesting = vesting;
+    this.assets = assets;
+    this.supply = 0n;
+    this.pause_flag = new PauseFlag("Minter");
+    // Cumulative allocations; current holdings live in the ledger
+    this.treasury = 0n;
+    this.team = 0n;
+    const sum_shares = Object.values(this.shares).reduce((a, b) => a + b, 0n);
+    if (sum_shares !== PPM) {
+      throw new Error(`Shares must sum to ${PPM}, got ${sum_shares}`);
+    }
+  }
+
+  get_price(/** @type {bigint} */ supply = this.supply) {
+    return this.curve.get_price(supply);
+  }
+
+  calculate_mint(
+    /** @type {bigint} */ foreign,
+    /** @type {bigint} */ supply = this.supply,
+  ) {
+    return this.curve.get_mint(supply, foreign);
+  }
+
+  /**
+   * Inverse of `calculate_mint`: foreign needed to mint `native` in total
+   * @note Integral of the curve from `supply` to `supply + native`, rounded up;
+   * `calculate_mint` of the result is at least `native`.
+   */
+  calculate_mint_cost(
+    /** @type {bigint} */ native,
+    /** @type {bigint} */ supply = this.supply,
+  ) {
+    if (native <= 0n) {
+      return 0n;
+    }
+    let foreign = this.curve.get_cost(supply, native);
+    // Compensate for rounding in the curve's inverse
+    while (this.calculate_mint(foreign, supply) < native) {
+      foreign += 1n;
+    }
+    return foreign;
+  }
+
+  /**
+   * Total native that can still be minted at `supply`, or null when uncapped
+   * @note The cap factor bound solves `circulating + Δ * user_ppm ≤ cap_factor * (treasury + Δ * treasury_ppm)`
+   * for the largest `Δ`. When the user share is no larger than cap factor times the treasury share,
+   * mints never raise the ratio and the bound only applies while the cap is already breached.
+   * `circulating` lets callers price a mint that follows a transfer they have not made yet.
+   */
+  get_mint_capacity(
+    /** @type {bigint} */ supply = this.supply,
+    /** @type {bigint} */ circulating = this.ledger.get_circulating_native(),
+  ) {
+    /** @type {bigint | null} */
+    let capacity = null;
+    if (this.supply_cap > 0n) {
+      capacity = BigMath.max(this.supply_cap - supply, 0n);
+    }
+    if (this.cap_factor_ppm > 0n) {
+      const treasury = this.ledger.get_native(ACCOUNTS.TREASURY);
+      const headroom = this.cap_factor_ppm * treasury - circulating * PPM;
+      const growth =
+        this.shares.user_ppm * PPM -
+        this.cap_factor_ppm * this.shares.treasury_ppm;
+      if (headroom < 0n) {
+        capacity = 0n;
+      } else if (growth > 0n) {
+        // The treasury share is floored, so reserve one unit of it for rounding
+        const bound = BigMath.max(
+          BigMath.mul_div(headroom - this.cap_factor_ppm, PPM, growth),
+          0n,
+        );
+        capacity = capacity === null ? bound : BigMath.min(capacity, bound);
+      }
+    }
+    return capacity;
+  }
+
+  /** Largest foreign whose mint fits the remaining capacity at `supply`, or null when uncapped */
+  get_max_mint_foreign(
+    /** @type {bigint} */ supply = this.supply,
+    /** @type {bigint} */ circulating = this.ledger.get_circulating_native(),
+  ) {
+    const capacity = this.get_mint_capacity(supply, circulating);
+    if (capacity === null || capacity === 0n) {
+      return capacity;
+    }
+    const cost = this.calculate_mint_cost(capacity, supply);
+    return this.calculate_mint(cost, supply) <= capacity ? cost : cost - 1n;
+  }
+
+  /**
+   * Foreign a mint of `foreign` actually spends at `supply`: all of it, the part that fits
+   * the remaining capacity under `cap_partial_fill`, or 0 when the mint is refused
+   */
+  get_mint_fill(
+    /** @type {bigint} */ foreign,
+    /** @type {bigint} */ supply = this.supply,
+    /** @type {bigint} */ circulating = this.ledger.get_circulating_native(),
+  ) {
+    const foreign_max = this.get_max_mint_foreign(supply, circulating);
+    if (foreign_max === null || foreign <= foreign_max) {
+      return foreign;
+    }
+    return this.cap_partial_fill ? foreign_max : 0n;
+  }
+
+  /**
+   * Foreign needed for the user share of a mint to be at least `user_native`
+   * @returns {{ foreign: bigint, minted: bigint, user: bigint, pol: bigint, treasury: bigint, team: bigint } | null}
+   */
+  get_mint_cost_quote(/** @type {bigint} */ user_native) {
+    if (user_native <= 0n || this.shares.user_ppm === 0n) {
+      return null;
+    }
+    const minted = BigMath.div_ceil(user_native * PPM, this.shares.user_ppm);
+    const foreign = this.calculate_mint_cost(minted);
+    const minted_actual = this.calculate_mint(foreign);
+    const capacity = this.get_mint_capacity();
+    if (capacity !== null && minted_actual > capacity) {
+      return null;
+    }
+    return {
+      foreign,
+      minted: minted_actual,
+      ...this.#distribute(minted_actual),
+    };
+  }
+
+  /**
+   * Mints native for `foreign_requested` of `asset`
+   * @note Secondary assets are valued in the unit of account at the registry rate; the payment and
+   * the POL contribution stay in the paid asset and go to that asset's `PolManager`.
+   */
+  mint_native(
+    /** @type {bigint} */ foreign_requested,
+    /** @type {AccountId} */ account = ACCOUNTS.USER,
+    /** @type {AssetId} */ asset = FOREIGN,
+  ) {
+    this.pause_flag.require_active();
+    const { ledger, pol_manager } = this.assets.get(asset);
+    const price_before = this.get_price();
+    const value_requested = this.assets.to_unit(asset, foreign_requested);
+    if (this.calculate_mint(value_requested) === 0n) {
+      throw new Error("Insufficient amount");
+    }
+    const value_filled = this.get_mint_fill(value_requested);
+    const foreign_in =
+      value_filled === value_requested
+        ? foreign_requested
+        : this.assets.from_unit(asset, value_filled);
+    const value_in = this.assets.to_unit(asset, foreign_in);
+    const total_native = this.calculate_mint(value_in);
+    if (total_native === 0n) {
+      throw new Error(
+        `Mint exceeds supply cap: capacity ${this.get_mint_capacity()} native`,
+      );
+    }
+    ledger.collect_foreign(account, foreign_in);
+    this.supply += total_native;
+    const distribution = this.#distribute(total_native);
+    this.treasury += distribution.treasury;
+    this.team += distribution.team;
+    this.ledger.credit_native(account, distribution.user);
+    this.ledger.credit_native(ACCOUNTS.TREASURY, distribution.treasury);
+    this.ledger.credit_native(ACCOUNTS.TEAM, distribution.team);
+    this.vesting.lock(ACCOUNTS.TREASURY, distribution.treasury);
+    this.vesting.lock(ACCOUNTS.TEAM, distribution.team);
+    this.events.emit(EVENTS.MINTED, {
+      account,
+      asset,
+      foreign_in,
+      value_in,
+      total_native,
+      price_before,
+      price_after: this.get_price(),
+    });
+    this.events.emit(EVENTS.DISTRIBUTED, {
+      account,
+      user_native: distribution.user,
+      pol_native: distribution.pol,
+      treasury_native: distribution.treasury,
+      team_native: distribution.team,
+    });
+    const pol_result = pol_manager.add_liquidity(distribution.pol, foreign_in);
+    const price_after = this.get_price();
+    // The buyer's side of the mint, shaped like a pool `Swapped` event
+    this.events.emit(EVENTS.CURVE_SWAPPED, {
+      account,
+      asset,
+      native_in: 0n,
+      native_out: distribution.user,
+      foreign_in,
+      foreign_out: 0n,
+      price_before,
+      price_after,
+    });
+    return {
+      asset,
+      foreign_in,
+      foreign_unused: foreign_requested - foreign_in,
+      value_in,
+      total_native,
+      user_native: distribution.user,
+      pol_native: distribution.pol,
+      treasury_native: distribution.treasury,
+      team_native: distribution.team,
+      price_before,
+      price_after,
+      pol: pol_result,
+    };
+  }
+
+  get_mint_quote(
+    /** @type {bigint} */ foreign,
+    /** @type {bigint} */ supply = this.supply,
+    /** @type {bigint} */ circulating = this.ledger.get_circulating_native(),
+  ) {
+    const foreign_filled = this.get_mint_fill(foreign, supply, circulating);
+    const native_minted = this.calculate_mint(foreign_filled, supply);
+    if (native_minted === 0n) {
+      return null;
+    }
+    return {
+      foreign: foreign_filled,
+      minted: native_minted,
+      ...this.#distribute(native_minted),
+    };
+  }
+
+  burn_native(
+    /** @type {bigint} */ amount,
+    /** @type {AccountId} */ account = ACCOUNTS.USER,
+  ) {
+    if (amount <= 0n) {
+      throw new Error("Burn amount must be positive");
+    }
+    if (this.supply < amount) {
+      throw new Error(
+        `Insufficient supply for burn: ${this.supply} < ${amount}`,
+      );
+    }
+    this.ledger.debit_native(account, amount);
+    const supply_before = this.supply;
+    this.supply -= amount;
+    const result = {
+      native_burned: amount,
+      supply_before,
+      supply_after: this.supply,
+    };
+    this.events.emit(EVENTS.BURNED, { account, ...result });
+    return result;
+  }
+
+  #distribute(/** @type {bigint} */ minted) {
+    const user = BigMath.mul_div(minted, this.shares.user_ppm, PPM);
+    const pol = BigMath.mul_div(minted, this.shares.pol_ppm, PPM);
+    const treasury = BigMath.mul_div(minted, this.shares.treasury_ppm, PPM);
+    const team = minted - user - pol - treasury;
+    return { user, pol, treasury, team };
+  }
+}
+
+/**
+ * Router fee handling: splits each fee between burning, POL, treasury and team per `fee_split`
+ * @note The burn share is buffered and burned as before, foreign after a swap through the asset's pool.
+ * The POL share goes to the POL buffers of the fee's asset (native to the primary POL) and is added to
+ * the pool by `add_pol_liquidity`, which routers call once a trade has settled: receiving a fee never
+ * moves a pool beyond the burn swap, so router quotes stay exact. Treasury and team shares are
+ * transferred as is. Rounding dust goes to the burn.
+ */
+export class FeeManager {
+  constructor(
+    /** @type {Ledger} */ ledger,
+    /** @type {EventBus} */ events,
+    /** @type {Pool} */ xyk_pool,
+    /** @type {UtbcMinter} */ utbc_minter,
+    /** @type {AssetRegistry} */ assets,
+    /** @type {FeeManagerConfig} */ config,
+  ) {
+    const sum_split = Object.values(config.fee_split).reduce(
+      (a, b) => a + b,
+      0n,
+    );
+    if (sum_split !== PPM) {
+      throw new Error(`Fee split must sum to ${PPM}, got ${sum_split}`);
+    }
+    if (Object.values(config.fee_split).some((share) => share < 0n)) {
+      throw new Error("Fee split shares must be non-negative");
+    }
+    this.ledger = ledger;
+    this.events = events;
+    this.xyk_pool = xyk_pool;
+    this.utbc_minter = utbc_minter;
+    this.assets = assets;
+    this.min_swap_foreign = config.min_swap_foreign;
+    this.fee_split = config.fee_split;
+    this.total_native_burned = 0n;
+    this.total_foreign_swapped = 0n;
+    this.fees = { native: 0n, foreign: 0n };
+    /** Fees sent outside the burn; foreign in the unit of account */
+    this.allocated = {
+      pol: { native: 0n, foreign: 0n },
+      treasury: { native: 0n, foreign: 0n },
+      team: { native: 0n, foreign: 0n },
+    };
+    /** @type {Set<AssetId>} Assets whose POL buffers hold fee shares not yet added to the pool */
+    this.pending_pol = new Set();
+  }
+
+  /** Buffers are the fee manager account balances awaiting swap or burn */
+  get buffer_native() {
+    return this.ledger.get_native(ACCOUNTS.FEE_MANAGER);
+  }
+
+  get buffer_foreign() {
+    return this.ledger.get_foreign(ACCOUNTS.FEE_MANAGER);
+  }
+
+  /** Foreign fees of `asset` awaiting a swap */
+  get_buffer_foreign(/** @type {AssetId} */ asset = FOREIGN) {
+    return this.assets.get(asset).ledger.get_foreign(ACCOUNTS.FEE_MANAGER);
+  }
+
+  /** Splits a fee per `fee_split`; the burn takes the rounding remainder */
+  get_split(/** @type {bigint} */ fee) {
+    const pol = BigMath.mul_div(fee, this.fee_split.pol_ppm, PPM);
+    const treasury = BigMath.mul_div(fee, this.fee_split.treasury_ppm, PPM);
+    const team = BigMath.mul_div(fee, this.fee_split.team_ppm, PPM);
+    return { burn: fee - pol - treasury - team, pol, treasury, team };
+  }
+
+  /** What `receive_fee_native` would burn, without touching the buffers */
+  get_burn_quote_native(/** @type {bigint} */ native) {
+    if (native <= 0n) {
+      return { native_burned: 0n, native_buffered: this.buffer_native };
+    }
+    const native_burned = this.buffer_native + this.get_split(native).burn;
+    return { native_burned, native_buffered: 0n };
+  }
+
+  /** What `receive_fee_foreign` would swap through XYK and burn, without touching the buffers */
+  get_burn_quote_foreign(
+    /** @type {bigint} */ foreign,
+    /** @type {AssetId} */ asset = FOREIGN,
+  ) {
+    const { xyk_pool } = this.assets.get(asset);
+    const foreign_buffered =
+      this.get_buffer_foreign(asset) +
+      (foreign > 0n ? this.get_split(foreign).burn : 0n);
+    if (
+      foreign <= 0n ||
+      this.assets.to_unit(asset, foreign_buffered) < this.min_swap_foreign ||
+      !xyk_pool.is_tradable()
+    ) {
+      return { foreign_swapped: 0n, native_burned: 0n, foreign_buffered };
+    }
+    return {
+      foreign_swapped: foreign_buffered,
+      native_burned: xyk_pool.get_out_native(foreign_buffered),
+      foreign_buffered: 0n,
+    };
+  }
+
+  receive_fee_native(/** @type {bigint} */ native) {
+    if (native <= 0n) return;
+    this.fees.native += native;
+    this.ledger.credit_native(ACCOUNTS.FEE_MANAGER, native);
+    this.events.emit(EVENTS.FEE_RECEIVED, { native_fee: native });
+    const split = this.get_split(native);
+    const pol_account = this.assets.get(FOREIGN).pol_manager.account;
+    for (const [account, amount] of this.#get_recipients(pol_account, split)) {
+      this.ledger.transfer_native(ACCOUNTS.FEE_MANAGER, account, amount);
+    }
+    this.#record_allocation("native", split, split, { token: NATIVE });
+    if (split.pol > 0n) {
+      this.pending_pol.add(FOREIGN);
+    }
+    const result = this.#execute_burn(this.buffer_native, 0n);
+    this.total_native_burned += result.native_burned;
+  }
+
+  /**
+   * Buffers the burn share of a foreign fee of `asset` and swaps the buffer for native to burn once it
+   * is worth `min_swap_foreign`; the other shares are sent right away
+   * @note `fees.foreign`, `total_foreign_swapped` and `allocated` are kept in the unit of account across assets.
+   */
+  receive_fee_foreign(
+    /** @type {bigint} */ foreign,
+    /** @type {AssetId} */ asset = FOREIGN,
+  ) {
+    if (foreign <= 0n) return;
+    const { ledger, pol_manager } = this.assets.get(asset);
+    this.fees.foreign += this.assets.to_unit(asset, foreign);
+    ledger.credit_foreign(ACCOUNTS.FEE_MANAGER, foreign);
+    this.events.emit(EVENTS.FEE_RECEIVED, { foreign_fee: foreign, asset });
+    const split = this.get_split(foreign);
+    for (const [account, amount] of this.#get_recipients(
+      pol_manager.account,
+      split,
+    )) {
+      ledger.transfer_foreign(ACCOUNTS.FEE_MANAGER, account, amount);
+    }
+    this.#record_allocation(
+      "foreign",
+      split,
+      {
+        pol: this.assets.to_unit(asset, split.pol),
+        treasury: this.assets.to_unit(asset, split.treasury),
+        team: this.assets.to_unit(asset, split.team),
+      },
+      { token: asset },
+    );
+    if (split.pol > 0n) {
+      this.pending_pol.add(asset);
+    }
+    const result = this.#execute_burn(
+      0n,
+      this.get_buffer_foreign(asset),
+      asset,
+    );
+    this.total_native_burned += result.native_burned;
+    this.total_foreign_swapped += this.assets.to_unit(
+      asset,
+      result.foreign_swapped,
+    );
+  }
+
+  /**
+   * Adds the POL fee shares waiting in the POL buffers to their pools through the POL zap
+   * @note Anything else buffered by those `PolManager`s joins the pool with them. A paused or depleted
+   * pool leaves the shares buffered until the next POL addition.
+   */
+  add_pol_liquidity() {
+    let lp_minted = 0n;
+    for (const asset of this.pending_pol) {
+      const { pol_manager } = this.assets.get(asset);
+      lp_minted += pol_manager.add_liquidity(0n, 0n).lp_minted;
+    }
+    this.pending_pol.clear();
+    return lp_minted;
+  }
+
+  /** Accounts receiving the non-burn shares of `split`, skipping empty ones */
+  #get_recipients(
+    /** @type {AccountId} */ pol_account,
+    /** @type {ReturnType<FeeManager["get_split"]>} */ split,
+  ) {
+    /** @type {[AccountId, bigint][]} */
+    const recipients = [
+      [pol_account, split.pol],
+      [ACCOUNTS.TREASURY, split.treasury],
+      [ACCOUNTS.TEAM, split.team],
+    ];
+    return recipients.filter(([, amount]) => amount > 0n);
+  }
+
+  /** Adds the non-burn shares to `allocated` and reports them when there are any */
+  #record_allocation(
+    /** @type {"native" | "foreign"} */ side,
+    /** @type {ReturnType<FeeManager["get_split"]>} */ split,
+    /** @type {{ pol: bigint, treasury: bigint, team: bigint }} */ in_unit,
+    /** @type {{ token: string }} */ data,
+  ) {
+    if (split.pol === 0n && split.treasury === 0n && split.team === 0n) {
+      return;
+    }
+    this.allocated.pol[side] += in_unit.pol;
+    this.allocated.treasury[side] += in_unit.treasury;
+    this.allocated.team[side] += in_unit.team;
+    this.events.emit(EVENTS.FEE_ALLOCATED, { ...data, ...split });
+  }
+
+  #execute_burn(
+    /** @type {bigint} */ amount_native_fee,
+    /** @type {bigint} */ amount_foreign_fee,
+    /** @type {AssetId} */ asset = FOREIGN,
+  ) {
+    const { xyk_pool } = this.assets.get(asset);
+    let result = {
+      native_burned: 0n,
+      foreign_swapped: 0n,
+      foreign_buffered: amount_foreign_fee,
+      native_buffered: amount_native_fee,
+      native_to_burn: amount_native_fee,
+      foreign_to_swap: 0n,
+    };
+    if (
+      this.assets.to_unit(asset, amount_foreign_fee) >= this.min_swap_foreign &&
+      xyk_pool.is_tradable()
+    ) {
+      try {
+        // Execute swap using XYK pool only
+        const swap_result = xyk_pool.swap_foreign_to_native(
+          amount_foreign_fee,
+          0n,
+          ACCOUNTS.FEE_MANAGER,
+        );
+        result.foreign_to_swap = amount_foreign_fee;
+        result.foreign_swapped = amount_foreign_fee;
+        result.foreign_buffered = 0n;
+        result.native_to_burn += swap_result.native_out;
+      } catch (e) {
+        // Swap failed, keep foreign in buffer
+        console.warn("FeeManager swap failed, keeping in buffer:", e.message);
       }
     }
-    // Branch 2: Zap strategy for existing pool (all subsequent mints)
-    // - Uses AllInZap to maximize liquidity depth
-    // - Maintains pool ratio, swaps excess foreign through router
-    // - Sophisticated capital efficiency optimization
-    const zap_result = this.#execute_zap_and_update(native, foreign);
-    return this.#create_liquidity_result(
-      zap_result.lp_minted,
-      zap_result.native_used,
-      zap_result.foreign_used,
+    if (result.native_to_burn > 0n) {
+      try {
+        this.utbc_minter.burn_native(
+          result.native_to_burn,
+          ACCOUNTS.FEE_MANAGER,
+        );
+        result.native_burned = result.native_to_burn;
+        result.native_buffered = 0n;
+      } catch (e) {
+        // Burn failed, keep native in buffer
+        console.warn("FeeManager burn failed, keeping in buffer:", e.message);
+        result.native_buffered = result.native_to_burn;
+      }
+    }
+    return result;
+  }
+}
+
+export class SmartRouter {
+  constructor(
+    /** @type {Ledger} */ ledger,
+    /** @type {EventBus} */ events,
+    /** @type {Pool} */ xyk_pool,
+    /** @type {UtbcMinter} */ utbc_minter,
+    /** @type {FeeManager} */ fee_manager,
+    /** @type {AssetRegistry} */ assets,
+    /** @type {SmartRouterConfig} */ config,
+  ) {
+    this.ledger = ledger;
+    this.events = events;
+    this.xyk_pool = xyk_pool;
+    this.utbc_minter = utbc_minter;
+    this.fee_manager = fee_manager;
+    this.assets = assets;
+    this.fee_router_ppm = config.fee_router_ppm;
+    this.min_swap_foreign = config.min_swap_foreign;
+    this.min_initial_foreign = config.min_initial_foreign;
+    this.pause_flag = new PauseFlag("Router");
+  }
+
+  swap_foreign_to_native(
+    /** @type {bigint} */ foreign_in,
+    /** @type {bigint} */ min_native_out = 0n,
+    /** @type {AccountId} */ account = ACCOUNTS.USER,
+    /** @type {AssetId} */ asset = FOREIGN,
+  ) {
+    this.pause_flag.require_active();
+    const { ledger, xyk_pool } = this.assets.get(asset);
+    this.#validate_buy_input(foreign_in, asset);
+    const foreign_fee = BigMath.mul_div(foreign_in, this.fee_router_ppm, PPM);
+    const foreign_net = foreign_in - foreign_fee;
+    if (foreign_net <= 0n) {
+      throw new Error("Amount too small");
+    }
+    // Inline #select_best_route logic
+    const utbc_quote = this.#get_mint_quote(foreign_net, undefined, asset);
+    const utbc_out = utbc_quote?.user ?? 0n;
+    const xyk_out = xyk_pool.is_tradable()
+      ? xyk_pool.get_out_native(foreign_net)
+      : 0n;
+    const utbc_viable =
+      utbc_quote && utbc_out > 0n && utbc_out >= min_native_out;
+    const xyk_viable = xyk_out > 0n && xyk_out >= min_native_out;
+    const use_utbc = utbc_viable && (!xyk_viable || utbc_out >= xyk_out);
+    if (!use_utbc && !xyk_viable) {
+      throw new Error(
+        xyk_out > 0n ? "Slippage exceeded" : this.#describe_no_route(asset),
+      );
+    }
+    ledger.collect_foreign(account, foreign_fee);
+    this.fee_manager.receive_fee_foreign(foreign_fee, asset);
+    const result = use_utbc
+      ? this.#execute_utbc_route(
+          foreign_net,
+          foreign_in,
+          foreign_fee,
+          account,
+          asset,
+        )
+      : this.#execute_xyk_route(
+          foreign_net,
+          foreign_in,
+          foreign_fee,
+          min_native_out,
+          account,
+          xyk_pool,
+        );
+    this.fee_manager.add_pol_liquidity();
+    this.events.emit(EVENTS.ROUTE_SELECTED, {
+      account,
+      direction: "foreign_to_native",
+      route: result.route,
+      amount_in: foreign_in,
+      amount_out: result.native_out,
+      router_fee: foreign_fee,
+      utbc_out,
+      xyk_out,
+    });
+    return result;
+  }
+
+  /**
+   * Buys native with `foreign_net` split between the pool and the curve for the best combined output
+   * @note The pool leg runs first, then the mint leg. The mint's user share depends only on supply,
+   * and its capacity is checked against circulating supply after the pool leg, so both leg outputs
+   * are known before anything executes and `min_native_out` is checked up front. The router fee is
+   * collected and reaches the fee manager after both legs.
+   */
+  swap_foreign_to_native_split(
+    /** @type {bigint} */ foreign_in,
+    /** @type {bigint} */ min_native_out = 0n,
+    /** @type {AccountId} */ account = ACCOUNTS.USER,
+    /** @type {AssetId} */ asset = FOREIGN,
+  ) {
+    this.pause_flag.require_active();
+    const { ledger, xyk_pool } = this.assets.get(asset);
+    this.#validate_buy_input(foreign_in, asset);
+    const foreign_fee = BigMath.mul_div(foreign_in, this.fee_router_ppm, PPM);
+    const foreign_net = foreign_in - foreign_fee;
+    if (foreign_net <= 0n) {
+      throw new Error("Amount too small");
+    }
+    const split = this.#find_best_split(foreign_net, asset);
+    if (split.native_out === 0n) {
+      throw new Error(this.#describe_no_route(asset));
+    }
+    if (split.native_out < min_native_out) {
+      throw new Error("Slippage exceeded");
+    }
+    // Both legs are settled before the first transfer. The pool leg leaves supply untouched but adds
+    // its native to circulating supply, which the cap factor reads, so the mint is quoted as if that
+    // native had already arrived. A breaker the pool leg trips only pauses the pool (the mint's POL
+    // share then stays buffered).
+    if (split.utbc_foreign > 0n) {
+      this.utbc_minter.pause_flag.require_active();
+      const mint = this.#get_mint_quote(
+        split.utbc_foreign,
+        undefined,
+        asset,
+        this.ledger.get_circulating_native() + split.xyk_native,
+      );
+      if (mint?.user !== split.utbc_native) {
+        throw new Error(this.#describe_no_route(asset));
+      }
+    }
+    const route =
+      split.xyk_foreign === 0n
+        ? "UTBC"
+        : split.utbc_foreign === 0n
+          ? "XYK"
+          : "SPLIT";
+    const xyk_leg =
+      split.xyk_foreign > 0n
+        ? xyk_pool.swap_foreign_to_native(
+            split.xyk_foreign,
+            split.xyk_native,
+            account,
+          )
+        : null;
+    const utbc_leg =
+      split.utbc_foreign > 0n
+        ? this.utbc_minter.mint_native(split.utbc_foreign, account, asset)
+        : null;
+    ledger.collect_foreign(account, foreign_fee);
+    this.fee_manager.receive_fee_foreign(foreign_fee, asset);
+    this.fee_manager.add_pol_liquidity();
+    const xyk_native = xyk_leg?.native_out ?? 0n;
+    const utbc_native = utbc_leg?.user_native ?? 0n;
+    this.events.emit(EVENTS.ROUTE_SELECTED, {
+      account,
+      direction: "foreign_to_native",
+      route,
+      amount_in: foreign_in,
+      amount_out: xyk_native + utbc_native,
+      router_fee: foreign_fee,
+      utbc_out: utbc_native,
+      xyk_out: xyk_native,
+      utbc_foreign: split.utbc_foreign,
+      xyk_foreign: split.xyk_foreign,
+    });
+    return {
+      route,
+      native_out: xyk_native + utbc_native,
+      foreign_in: foreign_in,
+      foreign_net: foreign_net,
+      foreign_router_fee: foreign_fee,
+      legs: {
+        xyk: {
+          foreign_in: split.xyk_foreign,
+          native_out: xyk_leg?.native_out ?? 0n,
+          price_before: xyk_leg?.price_before ?? null,
+          price_after: xyk_leg?.price_after ?? null,
+        },
+        utbc: {
+          foreign_in: split.utbc_foreign,
+          native_out: utbc_leg?.user_native ?? 0n,
+          price_before: utbc_leg?.price_before ?? null,
+          price_after: utbc_leg?.price_after ?? null,
+        },
+      },
+      pol: utbc_leg?.pol ?? null,
+    };
+  }
+
+  /**
+   * Buys exactly `native_out` (or a dust amount more) through the cheaper route
+   * @note Executes as `swap_foreign_to_native` with the smallest input whose quote delivers
+   * `native_out`, so the router fee and its burn apply in the same order as for exact-in buys and
+   * the result always matches `quote_foreign_to_native` for that input. Reverts before any transfer
+   * when that input would exceed `max_foreign_in`.
+   */
+  swap_foreign_to_native_exact_out(
+    /** @type {bigint} */ native_out,
+    /** @type {bigint} */ max_foreign_in,
+    /** @type {AccountId} */ account = ACCOUNTS.USER,
+    /** @type {AssetId} */ asset = FOREIGN,
+  ) {
+    this.pause_flag.require_active();
+    if (native_out <= 0n) {
+      throw new Error("Amount must be positive");
+    }
+    const foreign_in = this.#find_exact_out_input(native_out, asset);
+    if (foreign_in > max_foreign_in) {
+      throw new Error(
+        `Required input ${foreign_in} exceeds maximum ${max_foreign_in}`,
+      );
+    }
+    // The swap checks its minimum against pre-burn outputs; the quote already covers `native_out`
+    return this.swap_foreign_to_native(foreign_in, 0n, account, asset);
+  }
+
+  swap_native_to_foreign(
+    /** @type {bigint} */ native_in,
+    /** @type {bigint} */ min_foreign_out = 0n,
+    /** @type {AccountId} */ account = ACCOUNTS.USER,
+    /** @type {AssetId} */ asset = FOREIGN,
+  ) {
+    this.pause_flag.require_active();
+    const { xyk_pool } = this.assets.get(asset);
+    this.#validate_swap_input(native_in, 1n, "Amount must be positive");
+    this.ledger.require_native(account, native_in);
+    const { native_fee, native_net } = this.#validate_sell_input(
+      native_in,
+      asset,
+    );
+    this.ledger.debit_native(account, native_fee);
+    this.fee_manager.receive_fee_native(native_fee);
+    const swap_result = xyk_pool.swap_native_to_foreign(
+      native_net,
+      min_foreign_out,
+      account,
     );
+    this.fee_manager.add_pol_liquidity();
+    this.events.emit(EVENTS.ROUTE_SELECTED, {
+      account,
+      direction: "native_to_foreign",
+      route: "XYK",
+      amount_in: native_in,
+      amount_out: swap_result.foreign_out,
+      router_fee: native_fee,
+      utbc_out: 0n,
+      xyk_out: swap_result.foreign_out,
+    });
+    return {
+      route: "XYK",
+      foreign_out: swap_result.foreign_out,
+      native_in: native_in,
+      native_router_fee: native_fee,
+      native_net: native_net,
+      price_before: swap_result.price_before,
+      price_after: swap_result.price_after,
+      price_impact_ppm: swap_result.price_impact_ppm,
+    };
   }
 
-  #create_liquidity_result(
-    /** @type {bigint} */ lp_minted,
-    /** @type {bigint} */ native_used,
-    /** @type {bigint} */ foreign_used,
+  /**
+   * Predicts `swap_foreign_to_native` without executing it
+   * @note Mirrors the swap step by step: the route is chosen on current state, then the router fee
+   * reaches the fee manager, whose buffer swap and burn move the pool and supply before the route
+   * executes. Fees are in the input asset; POL contribution is what the mint hands to `PolManager`.
+   */
+  quote_foreign_to_native(
+    /** @type {bigint} */ foreign_in,
+    /** @type {AssetId} */ asset = FOREIGN,
+  ) {
+    this.pause_flag.require_active();
+    const { xyk_pool } = this.assets.get(asset);
+    this.#validate_buy_input(foreign_in, asset);
+    const foreign_fee = BigMath.mul_div(foreign_in, this.fee_router_ppm, PPM);
+    const foreign_net = foreign_in - foreign_fee;
+    if (foreign_net <= 0n) {
+      throw new Error("Amount too small");
+    }
+    const utbc_out =
+      this.#get_mint_quote(foreign_net, undefined, asset)?.user ?? 0n;
+    const xyk_out = xyk_pool.is_tradable()
+      ? xyk_pool.get_out_native(foreign_net)
+      : 0n;
+    const use_utbc = utbc_out > 0n && utbc_out >= xyk_out;
+    if (!use_utbc && xyk_out === 0n) {
+      throw new Error(this.#describe_no_route(asset));
+    }
+    const burn = this.fee_manager.get_burn_quote_foreign(foreign_fee, asset);
+    const reserve_native = xyk_pool.reserve_native - burn.native_burned;
+    const reserve_foreign = xyk_pool.reserve_foreign + burn.foreign_swapped;
+    const supply = this.utbc_minter.supply - burn.native_burned;
+    const quote = {
+      direction: "foreign_to_native",
+      route: use_utbc ? "UTBC" : "XYK",
+      amount_in: foreign_in,
+      amount_out: 0n,
+      alternative_route: use_utbc ? "XYK" : "UTBC",
+      alternative_amount_out: use_utbc ? xyk_out : utbc_out,
+      router_fee: foreign_fee,
+      xyk_fee: 0n,
+      price_before: 0n,
+      price_after: 0n,
+      price_impact_ppm: 0n,
+      pol_native: 0n,
+      pol_foreign: 0n,
+      fee_burn_native: burn.native_burned,
+      fee_buffered: burn.foreign_buffered,
+      filtered: this.get_filtered_routes(asset),
+    };
+    if (use_utbc) {
+      const mint =
+        /** @type {NonNullable<ReturnType<UtbcMinter["get_mint_quote"]>>} */ (
+          this.#get_mint_quote(foreign_net, supply, asset)
+        );
+      quote.amount_out = mint.user;
+      quote.price_before = this.utbc_minter.get_price(supply);
+      quote.price_after = this.utbc_minter.get_price(supply + mint.minted);
+      quote.pol_native = mint.pol;
+      quote.pol_foreign = foreign_net;
+    } else {
+      quote.amount_out = xyk_pool.calculate_swap_output(
+        foreign_net,
+        false,
+        reserve_native,
+        reserve_foreign,
+      );
+      quote.xyk_fee = BigMath.mul_div(foreign_net, xyk_pool.fee_ppm, PPM);
+      quote.price_before = xyk_pool.calculate_spot_price(
+        reserve_native,
+        reserve_foreign,
+      );
+      quote.price_after = xyk_pool.calculate_spot_price(
+        reserve_native - quote.amount_out,
+        reserve_foreign + foreign_net,
+      );
+    }
+    quote.price_impact_ppm = BigMath.mul_div(
+      BigMath.abs(quote.price_after - quote.price_before),
+      PPM,
+      quote.price_before,
+    );
+    return quote;
+  }
+
+  /**
+   * Predicts `swap_native_to_foreign` without executing it
+   * @note Selling always routes through XYK; the native router fee and any buffered native are burned
+   * before the swap, which leaves the pool untouched. Fees are in native.
+   */
+  quote_native_to_foreign(
+    /** @type {bigint} */ native_in,
+    /** @type {AssetId} */ asset = FOREIGN,
   ) {
+    this.pause_flag.require_active();
+    const { xyk_pool } = this.assets.get(asset);
+    this.#validate_swap_input(native_in, 1n, "Amount must be positive");
+    const { native_fee, native_net } = this.#validate_sell_input(
+      native_in,
+      asset,
+    );
+    const burn = this.fee_manager.get_burn_quote_native(native_fee);
+    const amount_out = xyk_pool.get_out_foreign(native_net);
+    const price_before = xyk_pool.get_price();
+    const price_after = xyk_pool.calculate_spot_price(
+      xyk_pool.reserve_native + native_net,
+      xyk_pool.reserve_foreign - amount_out,
+    );
     return {
-      lp_minted,
-      native_used,
-      foreign_used,
-      pol_result: lp_minted > 0n,
+      direction: "native_to_foreign",
+      route: "XYK",
+      amount_in: native_in,
+      amount_out,
+      alternative_route: null,
+      alternative_amount_out: 0n,
+      router_fee: native_fee,
+      xyk_fee: BigMath.mul_div(native_net, xyk_pool.fee_ppm, PPM),
+      price_before,
+      price_after,
+      price_impact_ppm: BigMath.mul_div(
+        price_before - price_after,
+        PPM,
+        price_before,
+      ),
+      pol_native: 0n,
+      pol_foreign: 0n,
+      fee_burn_native: burn.native_burned,
+      fee_buffered: burn.native_buffered,
+      filtered: [],
     };
   }
 
+  /** Native the account can sell right now, excluding unvested tokens */
+  get_sellable_native(/** @type {AccountId} */ account = ACCOUNTS.USER) {
+    return this.ledger.get_spendable_native(account);
+  }
+
   /**
-   * Initialize XYK pool with first mint's POL allocation
-   * This is NOT a zap operation - it's direct pool bootstrapping
-   * Only called once when pool doesn't exist yet
+   * Buy routes for `asset` that are switched off, and why
+   * @returns {{ route: string, reason: string }[]}
    */
-  #try_initialize_pool(
-    /** @type {bigint} */ native,
+  get_filtered_routes(/** @type {AssetId} */ asset = FOREIGN) {
+    const { xyk_pool } = this.assets.get(asset);
+    const filtered = [];
+    const minter_paused = this.utbc_minter.pause_flag.describe();
+    if (minter_paused !== null) {
+      filtered.push({ route: "UTBC", reason: minter_paused });
+    }
+    const pool_paused = xyk_pool.pause_flag.describe();
+    if (pool_paused !== null) {
+      filtered.push({ route: "XYK", reason: pool_paused });
+    } else if (!xyk_pool.has_liquidity()) {
+      filtered.push({ route: "XYK", reason: "Pool has no liquidity" });
+    }
+    return filtered;
+  }
+
+  #describe_no_route(/** @type {AssetId} */ asset = FOREIGN) {
+    const filtered = this.get_filtered_routes(asset);
+    return filtered.length === 0
+      ? "No route available"
+      : `No route available (${filtered.map((f) => `${f.route}: ${f.reason}`).join("; ")})`;
+  }
+
+  #validate_sell_input(
+    /** @type {bigint} */ native_in,
+    /** @type {AssetId} */ asset = FOREIGN,
+  ) {
+    const { xyk_pool } = this.assets.get(asset);
+    if (!xyk_pool.has_liquidity()) {
+      throw new Error(
+        "Pool not initialized. Cannot sell native tokens before initial liquidity",
+      );
+    }
+    xyk_pool.pause_flag.require_active();
+    const native_fee = BigMath.mul_div(native_in, this.fee_router_ppm, PPM);
+    const native_net = native_in - native_fee;
+    const price_spot = xyk_pool.get_price();
+    if (price_spot === 0n) {
+      throw new Error("Invalid pool state: no native reserves");
+    }
+    const native_net_as_foreign = this.assets.to_unit(
+      asset,
+      BigMath.mul_div(native_net, price_spot, PRECISION),
+    );
+    if (native_net_as_foreign < this.min_swap_foreign) {
+      throw new Error(
+        `Amount below minimum threshold (${this.min_swap_foreign} foreign equivalent)`,
+      );
+    }
+    return { native_fee, native_net };
+  }
+
+  #validate_buy_input(
+    /** @type {bigint} */ foreign_in,
+    /** @type {AssetId} */ asset = FOREIGN,
+  ) {
+    const { xyk_pool } = this.assets.get(asset);
+    const value_in = this.assets.to_unit(asset, foreign_in);
+    this.#validate_swap_input(
+      value_in,
+      this.min_swap_foreign,
+      `Amount below minimum threshold (${this.min_swap_foreign} foreign)`,
+    );
+    // Check if this is the first mint and pool is not initialized
+    if (!xyk_pool.has_liquidity() && value_in < this.min_initial_foreign) {
+      throw new Error(
+        `Initial mint requires minimum ${this.min_initial_foreign} foreign tokens`,
+      );
+    }
+  }
+
+  /**
+   * Mint quote for `foreign` of `asset`, or null when the minter's caps would not fill all of it
+   * @note A partially filled mint leaves foreign unspent, so the router treats it as unavailable
+   * and falls back to the pool, as it does while the minter is paused.
+   */
+  #get_mint_quote(
     /** @type {bigint} */ foreign,
+    /** @type {bigint} */ supply = this.utbc_minter.supply,
+    /** @type {AssetId} */ asset = FOREIGN,
+    /** @type {bigint} */ circulating = this.ledger.get_circulating_native(),
   ) {
-    const total_native = this.buffer_native + native;
-    const total_foreign = this.buffer_foreign + foreign;
-    if (total_native === 0n || total_foreign === 0n) {
-      this.buffer_native = total_native;
-      this.buffer_foreign = total_foreign;
-      return {
-        success: false,
-        lp_minted: 0n,
-        native_used: 0n,
-        foreign_used: 0n,
-      };
+    if (this.utbc_minter.pause_flag.is_paused()) {
+      return null;
     }
-    try {
-      const result = this.xyk_pool.add_liquidity(total_native, total_foreign);
-      this.balance_lp += result.lp_minted;
-      this.contributed_native += result.native_used;
-      this.contributed_foreign += result.foreign_used;
-      this.buffer_native = result.native_rest;
-      this.buffer_foreign = result.foreign_rest;
-      return {
-        success: true,
-        lp_minted: result.lp_minted,
-        native_used: result.native_used,
-        foreign_used: result.foreign_used,
-      };
-    } catch (e) {
-      console.warn("Pool initialization failed:", e.message);
-      this.buffer_native = total_native;
-      this.buffer_foreign = total_foreign;
+    const value = this.assets.to_unit(asset, foreign);
+    const quote = this.utbc_minter.get_mint_quote(value, supply, circulating);
+    return quote && quote.foreign === value ? quote : null;
+  }
+
+  /**
+   * Pool share of `foreign_net` maximizing combined output
+   * @note Output is concave in the pool share (both legs have diminishing returns), so a ternary
+   * search finds the optimum; single-route plans are kept unless a split strictly beats them.
+   * Each leg of a split must be worth at least `min_swap_foreign`, and the curve leg must fit the
+   * minter's remaining capacity once the pool leg's native has reached the buyer, since that native
+   * counts as circulating for the cap factor. Amounts are in `asset`.
+   */
+  #find_best_split(
+    /** @type {bigint} */ foreign_net,
+    /** @type {AssetId} */ asset = FOREIGN,
+  ) {
+    const { xyk_pool } = this.assets.get(asset);
+    const circulating = this.ledger.get_circulating_native();
+    const quote = (/** @type {bigint} */ xyk_foreign) => {
+      const utbc_foreign = foreign_net - xyk_foreign;
+      const xyk_native = xyk_pool.is_tradable()
+        ? xyk_pool.get_out_native(xyk_foreign)
+        : 0n;
+      const utbc_native =
+        utbc_foreign > 0n
+          ? (this.#get_mint_quote(
+              utbc_foreign,
+              undefined,
+              asset,
+              circulating + xyk_native,
+            )?.user ?? 0n)
+          : 0n;
       return {
-        success: false,
-        lp_minted: 0n,
-        native_used: 0n,
-        foreign_used: 0n,
+        xyk_foreign,
+        xyk_native,
+        utbc_foreign,
+        utbc_native,
+        native_out: xyk_native + utbc_native,
       };
+    };
+    const utbc_only = quote(0n);
+    const xyk_only = quote(foreign_net);
+    let best =
+      xyk_only.native_out > utbc_only.native_out ? xyk_only : utbc_only;
+    const min_leg = BigMath.div_ceil(
+      this.min_swap_foreign * PRECISION,
+      this.assets.get(asset).rate,
+    );
+    if (!xyk_pool.is_tradable() || foreign_net < 2n * min_leg) {
+      return best;
+    }
+    // Capacity before any pool leg is an upper bound. A larger pool leg leaves less to mint but
+    // circulates more native, so narrow the range to the pool shares whose curve leg still fits
+    const value_max = this.utbc_minter.get_max_mint_foreign();
+    const utbc_max =
+      value_max === null
+        ? foreign_net
+        : this.assets.from_unit(asset, value_max);
+    let low = BigMath.max(min_leg, foreign_net - utbc_max);
+    let high = foreign_net - min_leg;
+    const fits = (/** @type {bigint} */ xyk_foreign) =>
+      quote(xyk_foreign).utbc_native > 0n;
+    const fits_low = low <= high && fits(low);
+    const fits_high = low <= high && fits(high);
+    if (!fits_low && !fits_high) {
+      return best;
+    }
+    if (fits_low !== fits_high) {
+      // Bisect toward the boundary between fitting and refused pool shares
+      let [fit, refused] = fits_low ? [low, high] : [high, low];
+      while (fit - refused > 1n || refused - fit > 1n) {
+        const mid = (fit + refused) / 2n;
+        if (fits(mid)) {
+          fit = mid;
+        } else {
+          refused = mid;
+        }
+      }
+      [low, high] = fits_low ? [low, fit] : [fit, high];
+    }
+    while (high - low > 2n) {
+      const third = (high - low) / 3n;
+      if (quote(low + third).native_out < quote(high - third).native_out) {
+        low += third;
+      } else {
+        high -= third;
+      }
+    }
+    for (let xyk_foreign = low; xyk_foreign <= high; xyk_foreign++) {
+      const candidate = quote(xyk_foreign);
+      if (candidate.native_out > best.native_out) {
+        best = candidate;
+      }
     }
+    return best;
   }
 
   /**
-   * Executes the "zap" mechanism for existing pools:
-   * 1. Adds balanced liquidity while preserving the pool's ratio
-   * 2. Swaps any excess foreign tokens for native tokens
-   * 3. Keeps tokens in the buffers for future use
-   * This maximizes LP depth while handling imbalanced inputs.
+   * Smallest input of `asset` whose `quote_foreign_to_native` delivers at least `native_out`
+   * @note Starts from the cheaper route's cost grossed up by the router fee, which ignores the fee
+   * burn, then doubles until the quote reaches `native_out` and binary searches below that. Inputs the
+   * quote rejects (e.g. below `min_swap_foreign`) count as falling short.
    */
-  #execute_zap_and_update(
-    /** @type {bigint} */ native,
-    /** @type {bigint} */ foreign,
+  #find_exact_out_input(
+    /** @type {bigint} */ native_out,
+    /** @type {AssetId} */ asset = FOREIGN,
   ) {
-    const total_native = this.buffer_native + native;
-    const total_foreign = this.buffer_foreign + foreign;
-    let native_rest = total_native;
-    let foreign_rest = total_foreign;
-    let lp_minted = 0n;
-    let native_used = 0n;
-    let foreign_used = 0n;
-    // Step 1: Add balanced liquidity if we have both tokens
-    if (native_rest > 0n && foreign_rest > 0n) {
-      // Calculate ratio-preserving amounts
-      const foreign_by_native = BigMath.mul_div(
-        native_rest,
-        this.xyk_pool.reserve_foreign,
-        this.xyk_pool.reserve_native,
-      );
-      const [native_to_add, foreign_to_add] =
-        foreign_by_native <= foreign_rest
-          ? [native_rest, foreign_by_native]
-          : [
-              BigMath.mul_div(
-                foreign_rest,
-                this.xyk_pool.reserve_native,
-                this.xyk_pool.reserve_foreign,
-              ),
-              foreign_rest,
-            ];
-      if (native_to_add > 0n && foreign_to_add > 0n) {
-        try {
-          const add_result = this.xyk_pool.add_liquidity(
-            native_to_add,
-            foreign_to_add,
-          );
-          lp_minted = add_result.lp_minted;
-          native_used = add_result.native_used;
-          foreign_used = add_result.foreign_used;
-          native_rest -= add_result.native_used;
-          foreign_rest -= add_result.foreign_used;
-        } catch (e) {
-          // Liquidity addition failed, keep everything for swap attempt
-          console.warn("PolManager add_liquidity failed:", e.message);
-        }
-      }
+    const { xyk_pool } = this.assets.get(asset);
+    const utbc_quote = this.utbc_minter.pause_flag.is_paused()
+      ? null
+      : this.utbc_minter.get_mint_cost_quote(native_out);
+    const utbc_cost = utbc_quote
+      ? BigMath.div_ceil(
+          utbc_quote.foreign * PRECISION,
+          this.assets.get(asset).rate,
+        )
+      : 0n;
+    const xyk_cost =
+      xyk_pool.is_tradable() && native_out < xyk_pool.reserve_native
+        ? xyk_pool.get_in_foreign(native_out)
+        : 0n;
+    if (utbc_cost === 0n && xyk_cost === 0n) {
+      throw new Error(this.#describe_no_route(asset));
     }
-    // Step 2: Swap excess foreign for native if needed
-    if (foreign_rest > 0n && this.xyk_pool.has_liquidity()) {
+    const route_cost =
+      utbc_cost > 0n && (xyk_cost === 0n || utbc_cost <= xyk_cost)
+        ? utbc_cost
+        : xyk_cost;
+    const reaches = (/** @type {bigint} */ foreign_in) => {
       try {
-        const swap_result = this.xyk_pool.swap_foreign_to_native(foreign_rest);
-        native_rest += swap_result.native_out;
-        foreign_used += foreign_rest;
-        foreign_rest = 0n;
+        return (
+          this.quote_foreign_to_native(foreign_in, asset).amount_out >=
+          native_out
+        );
       } catch (e) {
-        // Swap failed, keep foreign in buffer
-        console.warn("PolManager zap swap failed:", e.message);
+        return false;
+      }
+    };
+    let low = 0n;
+    let high = BigMath.div_ceil(route_cost * PPM, PPM - this.fee_router_ppm);
+    for (let i = 0; !reaches(high); i++) {
+      if (i === 256) {
+        throw new Error(this.#describe_no_route(asset));
       }
+      low = high;
+      high *= 2n;
     }
-    this.balance_lp += lp_minted;
-    this.contributed_native += native_used;
-    this.contributed_foreign += foreign_used;
-    this.buffer_native = native_rest;
-    this.buffer_foreign = foreign_rest;
+    while (high - low > 1n) {
+      const mid = (low + high) / 2n;
+      if (reaches(mid)) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    return high;
+  }
+
+  #validate_swap_input(
+    /** @type {bigint} */ amount,
+    /** @type {bigint} */ min_threshold,
+    /** @type {string} */ error_msg,
+  ) {
+    if (amount <= 0n) {
+      throw new Error("Amount must be positive");
+    }
+    if (amount < min_threshold) {
+      throw new Error(error_msg);
+    }
+  }
+
+  #execute_utbc_route(
+    /** @type {bigint} */ foreign_net,
+    /** @type {bigint} */ foreign_in,
+    /** @type {bigint} */ foreign_fee,
+    /** @type {AccountId} */ account,
+    /** @type {AssetId} */ asset = FOREIGN,
+  ) {
+    const mint_result = this.utbc_minter.mint_native(
+      foreign_net,
+      account,
+      asset,
+    );
     return {
-      lp_minted,
-      native_used,
-      foreign_used,
+      route: "UTBC",
+      native_out: mint_result.user_native,
+      foreign_in: foreign_in,
+      foreign_net: foreign_net,
+      foreign_router_fee: foreign_fee,
+      price_before: mint_result.price_before,
+      price_after: mint_result.price_after,
+      pol: mint_result.pol,
+    };
+  }
+
+  #execute_xyk_route(
+    /** @type {bigint} */ foreign_net,
+    /** @type {bigint} */ foreign_in,
+    /** @type {bigint} */ foreign_fee,
+    /** @type {bigint} */ min_native_out,
+    /** @type {AccountId} */ account,
+    /** @type {Pool} */ xyk_pool = this.xyk_pool,
+  ) {
+    const swap_result = xyk_pool.swap_foreign_to_native(
+      foreign_net,
+      min_native_out,
+      account,
+    );
+    return {
+      route: "XYK",
+      native_out: swap_result.native_out,
+      foreign_in: foreign_in,
+      foreign_net: foreign_net,
+      foreign_router_fee: foreign_fee,
+      price_before: swap_result.price_before,
+      price_after: swap_result.price_after,
+      price_impact_ppm: swap_result.price_impact_ppm,
     };
   }
 }
 
+/** Route label such as `UTBC:foreign > XYK:usdc` */
+const get_route_label = (/** @type {AxialHop[]} */ hops) =>
+  hops.map((hop) => `${hop.venue}:${hop.asset}`).join(" > ");
+
 /**
- * `Unidirectional Token Bonding Curve` Minter
+ * `Axial Router` over the graph of XYK pools and the bonding curve (simple axial router spec §3)
+ * @note Tokens are `NATIVE` and every registered foreign asset. Each asset contributes two XYK
+ * edges (asset ↔ native) and a one-way UTBC edge (asset → native); routes are simple paths of up
+ * to `max_hops` edges. The router fee is taken from the input up front and reaches the fee manager
+ * after the route, so every hop is quoted on the state it will execute against. Hops of a route
+ * touch disjoint pools, so the whole route, `min_amount_out` included, is validated before the
+ * first transfer and executes all-or-nothing.
  */
-export class UtbcMinter {
+export class AxialRouter {
   constructor(
-    /** @type {PolManager} */ pol_manager,
-    /** @type {UtbcMinterConfig} */ config,
+    /** @type {Ledger} */ ledger,
+    /** @type {EventBus} */ events,
+    /** @type {UtbcMinter} */ utbc_minter,
+    /** @type {FeeManager} */ fee_manager,
+    /** @type {AssetRegistry} */ assets,
+    /** @type {AxialRouterConfig} */ config,
   ) {
-    if (config.price_initial <= 0n) {
-      throw new Error("Initial price must be positive");
-    }
-    if (config.slope_ppm < 0n) {
-      throw new Error("Slope must be non-negative");
+    if (config.max_hops < 1) {
+      throw new Error("Maximum hops must be positive");
     }
-    this.price_initial = config.price_initial;
-    this.slope_ppm = config.slope_ppm;
-    this.shares = config.shares;
-    this.pol_manager = pol_manager;
-    this.supply = 0n;
-    this.treasury = 0n;
-    this.team = 0n;
-    const sum_shares = Object.values(this.shares).reduce((a, b) => a + b, 0n);
-    if (sum_shares !== PPM) {
-      throw new Error(`Shares must sum to ${PPM}, got ${sum_shares}`);
+    if (config.pol_preference_ppm < 0n || config.native_preference_ppm < 0n) {
+      throw new Error("Route preferences must be non-negative");
     }
+    this.ledger = ledger;
+    this.events = events;
+    this.utbc_minter = utbc_minter;
+    this.fee_manager = fee_manager;
+    this.assets = assets;
+    this.fee_router_ppm = config.fee_router_ppm;
+    this.min_swap_foreign = config.min_swap_foreign;
+    this.min_initial_foreign = config.min_initial_foreign;
+    this.pol_preference_ppm = config.pol_preference_ppm;
+    this.native_preference_ppm = config.native_preference_ppm;
+    this.max_hops = config.max_hops;
+    this.min_liquidity = config.min_liquidity;
+    this.pause_flag = new PauseFlag("Axial router");
   }
 
-  get_price() {
-    const slope_component = BigMath.mul_div(this.slope_ppm, this.supply, PPM);
-    return this.price_initial + slope_component;
+  /** Every edge of the graph, healthy or not */
+  get_hops() {
+    /** @type {AxialHop[]} */
+    const hops = [];
+    for (const asset of this.assets.list()) {
+      hops.push(
+        { venue: "XYK", asset, from: asset, to: NATIVE },
+        { venue: "XYK", asset, from: NATIVE, to: asset },
+        { venue: "UTBC", asset, from: asset, to: NATIVE },
+      );
+    }
+    return hops;
   }
 
-  calculate_mint(/** @type {bigint} */ foreign) {
-    if (foreign <= 0n) {
-      return 0n;
+  /** Why a hop cannot be routed through, or null when it is healthy */
+  get_hop_health(/** @type {AxialHop} */ hop) {
+    if (hop.venue === "UTBC") {
+      if (this.utbc_minter.pause_flag.is_paused()) {
+        return this.utbc_minter.pause_flag.describe();
+      }
+      return this.utbc_minter.shares.user_ppm === 0n
+        ? "Curve mints nothing to users"
+        : null;
     }
-    const price_initial = this.price_initial;
-    const slope = this.slope_ppm;
-    const supply = this.supply;
-    if (slope === 0n) {
-      return BigMath.mul_div(foreign, PRECISION, price_initial);
+    const { xyk_pool } = this.assets.get(hop.asset);
+    if (xyk_pool.pause_flag.is_paused()) {
+      return xyk_pool.pause_flag.describe();
     }
-    // Optimized quadratic formula with preserved precision
-    // P(s) = price_initial + slope * s / PPM
-    // Integral: foreign = price_initial * Δs + slope * Δs² / (2 * PPM)
-    // Rearranged: slope * Δs² + 2 * price_initial * PPM * Δs - 2 * foreign * PPM = 0
-    const a = slope;
-    const b = 2n * price_initial * PPM + 2n * slope * supply;
-    const c = -2n * foreign * PPM * PRECISION;
-    const discriminant = b * b - 4n * a * c;
-    if (discriminant < 0n) {
-      return 0n;
+    if (!xyk_pool.has_liquidity()) {
+      return "Pool has no liquidity";
     }
-    const sqrt_discriminant = BigMath.isqrt(discriminant);
-    const numerator = sqrt_discriminant - b;
-    if (numerator <= 0n) {
-      return 0n;
+    if (
+      this.assets.to_unit(hop.asset, xyk_pool.reserve_foreign) <
+      this.min_liquidity
+    ) {
+      return "Pool liquidity below minimum";
     }
-    const delta_supply = numerator / (2n * a);
-    return delta_supply;
+    return null;
   }
 
-  mint_native(/** @type {bigint} */ foreign_in) {
-    const price_before = this.get_price();
-    const total_native = this.calculate_mint(foreign_in);
-    if (total_native === 0n) {
-      throw new Error("Insufficient amount");
-    }
-    this.supply += total_native;
-    const distribution = this.#distribute(total_native);
-    this.treasury += distribution.treasury;
-    this.team += distribution.team;
-    const pol_result = this.pol_manager.add_liquidity(
-      distribution.pol,
-      foreign_in,
+  /**
+   * Quotes every healthy route from `from` to `to`, best score first, and lists the others with the reason
+   * @note Amounts are net of the router fee. A route is filtered at its first unhealthy hop,
+   * or when a hop would reject the amount.
+   * @returns {{ routes: AxialRoute[], filtered: AxialFilteredRoute[] }}
+   */
+  find_routes(
+    /** @type {AssetId} */ from,
+    /** @type {AssetId} */ to,
+    /** @type {bigint} */ amount_net,
+  ) {
+    const hops = this.get_hops();
+    const health = new Map(hops.map((hop) => [hop, this.get_hop_health(hop)]));
+    /** @type {AxialRoute[]} */
+    const routes = [];
+    /** @type {AxialFilteredRoute[]} */
+    const filtered = [];
+    /** @type {(path: AxialHop[], visited: AssetId[]) => void} */
+    const extend = (path, visited) => {
+      const token = path.length > 0 ? path[path.length - 1].to : from;
+      if (token === to) {
+        const label = get_route_label(path);
+        const unhealthy = path.find((hop) => health.get(hop) !== null);
+        const route = unhealthy ? null : this.#quote_route(path, amount_net);
+        if (route !== null) {
+          routes.push(route);
+        } else {
+          filtered.push({
+            label,
+            hop: unhealthy ? get_route_label([unhealthy]) : null,
+            reason: unhealthy
+              ? /** @type {string} */ (health.get(unhealthy))
+              : "Route rejects the amount",
+          });
+        }
+        return;
+      }
+      if (path.length === this.max_hops) {
+        return;
+      }
+      for (const hop of hops) {
+        if (hop.from === token && !visited.includes(hop.to)) {
+          extend([...path, hop], [...visited, hop.to]);
+        }
+      }
+    };
+    extend([], [from]);
+    routes.sort((a, b) =>
+      a.score !== b.score
+        ? a.score > b.score
+          ? -1
+          : 1
+        : a.hops.length - b.hops.length,
     );
-    const price_after = this.get_price();
+    return { routes, filtered };
+  }
+
+  /**
+   * Predicts `swap` without executing it
+   * @returns {{ from: AssetId, to: AssetId, amount_in: bigint, amount_net: bigint, router_fee: bigint, best: AxialRoute | null, routes: AxialRoute[], filtered: AxialFilteredRoute[] }}
+   */
+  quote(
+    /** @type {AssetId} */ from,
+    /** @type {AssetId} */ to,
+    /** @type {bigint} */ amount_in,
+  ) {
+    this.pause_flag.require_active();
+    const { router_fee, amount_net } = this.#validate_input(
+      from,
+      to,
+      amount_in,
+    );
+    const { routes, filtered } = this.find_routes(from, to, amount_net);
     return {
-      foreign_in,
-      total_native,
-      user_native: distribution.user,
-      pol_native: distribution.pol,
-      treasury_native: distribution.treasury,
-      team_native: distribution.team,
-      price_before,
-      price_after,
-      pol: pol_result,
+      from,
+      to,
+      amount_in,
+      amount_net,
+      router_fee,
+      best: routes[0] ?? null,
+      routes,
+      filtered,
     };
   }
 
-  get_mint_quote(/** @type {bigint} */ foreign) {
-    const native_minted = this.calculate_mint(foreign);
-    if (native_minted === 0n) {
-      return null;
+  /** Swaps `amount_in` of `from` into `to` along the best-scoring route */
+  swap(
+    /** @type {AssetId} */ from,
+    /** @type {AssetId} */ to,
+    /** @type {bigint} */ amount_in,
+    /** @type {bigint} */ min_amount_out = 0n,
+    /** @type {AccountId} */ account = ACCOUNTS.USER,
+  ) {
+    const { best, routes, filtered, router_fee, amount_net } = this.quote(
+      from,
+      to,
+      amount_in,
+    );
+    if (best === null) {
+      throw new Error(
+        filtered.length === 0
+          ? "No route available"
+          : `No route available (${filtered.map((f) => `${f.label}: ${f.reason}`).join("; ")})`,
+      );
+    }
+    if (best.amount_out < min_amount_out) {
+      throw new Error("Slippage exceeded");
+    }
+    if (from === NATIVE) {
+      this.ledger.require_native(account, amount_in);
+    }
+    let amount = amount_net;
+    const hops = best.hops.map((hop, i) => {
+      const amount_out = best.outputs[i];
+      this.#execute_hop(hop, amount, amount_out, account);
+      const executed = { ...hop, amount_in: amount, amount_out };
+      amount = amount_out;
+      return executed;
+    });
+    if (from === NATIVE) {
+      this.ledger.debit_native(account, router_fee);
+      this.fee_manager.receive_fee_native(router_fee);
+    } else {
+      this.assets.get(from).ledger.collect_foreign(account, router_fee);
+      this.fee_manager.receive_fee_foreign(router_fee, from);
     }
+    this.fee_manager.add_pol_liquidity();
+    this.events.emit(EVENTS.ROUTE_SELECTED, {
+      account,
+      direction: `${from}_to_${to}`,
+      route: best.label,
+      amount_in,
+      amount_out: amount,
+      router_fee,
+      score: best.score,
+      candidates: routes.length,
+      filtered,
+    });
     return {
-      minted: native_minted,
-      ...this.#distribute(native_minted),
+      route: best.label,
+      hops,
+      amount_in,
+      amount_net,
+      router_fee,
+      amount_out: amount,
+      builds_pol: best.builds_pol,
+      score: best.score,
     };
   }
 
-  burn_native(/** @type {bigint} */ amount) {
-    if (amount <= 0n) {
-      throw new Error("Burn amount must be positive");
+  /** Output score with the POL-building and native-anchor preferences applied in turn */
+  calculate_score(
+    /** @type {bigint} */ amount_out,
+    /** @type {boolean} */ builds_pol,
+    /** @type {boolean} */ uses_native,
+  ) {
+    let score = amount_out;
+    if (builds_pol) {
+      score += BigMath.mul_div(score, this.pol_preference_ppm, PPM);
     }
-    if (this.supply < amount) {
-      throw new Error(
-        `Insufficient supply for burn: ${this.supply} < ${amount}`,
-      );
+    if (uses_native) {
+      score += BigMath.mul_div(score, this.native_preference_ppm, PPM);
     }
-    const supply_before = this.supply;
-    this.supply -= amount;
+    return score;
+  }
+
+  /** @returns {AxialRoute | null} */
+  #quote_route(
+    /** @type {AxialHop[]} */ hops,
+    /** @type {bigint} */ amount_net,
+  ) {
+    /** @type {bigint[]} */
+    const outputs = [];
+    let amount = amount_net;
+    for (const hop of hops) {
+      amount = this.#quote_hop(hop, amount);
+      if (amount <= 0n) {
+        return null;
+      }
+      outputs.push(amount);
+    }
+    const builds_pol = hops.some((hop) => hop.venue === "UTBC");
+    const uses_native = hops.some(
+      (hop) => hop.from === NATIVE || hop.to === NATIVE,
+    );
     return {
-      native_burned: amount,
-      supply_before,
-      supply_after: this.supply,
+      label: get_route_label(hops),
+      hops,
+      outputs,
+      amount_out: amount,
+      builds_pol,
+      uses_native,
+      score: this.calculate_score(amount, builds_pol, uses_native),
     };
   }
 
-  #distribute(/** @type {bigint} */ minted) {
-    const user = BigMath.mul_div(minted, this.shares.user_ppm, PPM);
-    const pol = BigMath.mul_div(minted, this.shares.pol_ppm, PPM);
-    const treasury = BigMath.mul_div(minted, this.shares.treasury_ppm, PPM);
-    const team = minted - user - pol - treasury;
-    return { user, pol, treasury, team };
+  /**
+   * Output of one hop on current state, or 0 when the hop would reject the amount
+   * @note A mint must fill completely; the first mint of an asset whose pool is still empty
+   * must bring `min_initial_foreign`, as in `SmartRouter`.
+   */
+  #quote_hop(/** @type {AxialHop} */ hop, /** @type {bigint} */ amount) {
+    const { xyk_pool } = this.assets.get(hop.asset);
+    if (hop.venue === "XYK") {
+      return hop.from === NATIVE
+        ? xyk_pool.get_out_foreign(amount)
+        : xyk_pool.get_out_native(amount);
+    }
+    const value = this.assets.to_unit(hop.asset, amount);
+    if (!xyk_pool.has_liquidity() && value < this.min_initial_foreign) {
+      return 0n;
+    }
+    const quote = this.utbc_minter.get_mint_quote(value);
+    return quote && quote.foreign === value ? quote.user : 0n;
+  }
+
+  #execute_hop(
+    /** @type {AxialHop} */ hop,
+    /** @type {bigint} */ amount_in,
+    /** @type {bigint} */ amount_out,
+    /** @type {AccountId} */ account,
+  ) {
+    const { xyk_pool } = this.assets.get(hop.asset);
+    if (hop.venue === "UTBC") {
+      this.utbc_minter.mint_native(amount_in, account, hop.asset);
+    } else if (hop.from === NATIVE) {
+      xyk_pool.swap_native_to_foreign(amount_in, amount_out, account);
+    } else {
+      xyk_pool.swap_foreign_to_native(amount_in, amount_out, account);
+    }
+  }
+
+  #validate_input(
+    /** @type {AssetId} */ from,
+    /** @type {AssetId} */ to,
+    /** @type {bigint} */ amount_in,
+  ) {
+    if (from === to) {
+      throw new Error("Identical assets");
+    }
+    for (const token of [from, to]) {
+      if (token !== NATIVE) {
+        this.assets.get(token);
+      }
+    }
+    if (amount_in <= 0n) {
+      throw new Error("Amount must be positive");
+    }
+    if (
+      from !== NATIVE &&
+      this.assets.to_unit(from, amount_in) < this.min_swap_foreign
+    ) {
+      throw new Error(
+        `Amount below minimum threshold (${this.min_swap_foreign} foreign)`,
+      );
+    }
+    const router_fee = BigMath.mul_div(amount_in, this.fee_router_ppm, PPM);
+    const amount_net = amount_in - router_fee;
+    if (amount_net <= 0n) {
+      throw new Error("Amount too small");
+    }
+    return { router_fee, amount_net };
   }
 }
 
-export class FeeManager {
+/**
+ * Treasury `Drip Vault`
+ * @note Streams treasury foreign into native in fixed tranches through the router (second-order DAO spec §4.2).
+ * Purchased native is split: `pol_route_ppm` goes to POL, the remainder returns to the treasury.
+ * The vault halts when circulating user supply exceeds `cap_factor_guard_ppm` of treasury-held native,
+ * or when the treasury runs out of foreign.
+ */
+export class DripVault {
   constructor(
-    /** @type {XykPool} */ xyk_pool,
-    /** @type {UtbcMinter} */ utbc_minter,
-    /** @type {FeeManagerConfig} */ config,
-  ) {
-    this.xyk_pool = xyk_pool;
-    this.utbc_minter = utbc_minter;
-    this.min_swap_foreign = config.min_swap_foreign;
-    this.buffer_native = 0n;
-    this.buffer_foreign = 0n;
-    this.total_native_burned = 0n;
-    this.total_foreign_swapped = 0n;
-    this.fees = { native: 0n, foreign: 0n };
+    /** @type {Ledger} */ ledger,
+    /** @type {Clock} */ clock,
+    /** @type {SmartRouter} */ router,
+    /** @type {PolManager} */ pol_manager,
+    /** @type {DripVaultConfig} */ config,
+  ) {
+    if (config.tranche_foreign <= 0n) {
+      throw new Error("Tranche size must be positive");
+    }
+    if (config.pol_route_ppm > PPM) {
+      throw new Error("POL route must be <= 100%");
+    }
+    if (config.interval_blocks <= 0n) {
+      throw new Error("Drip interval must be positive");
+    }
+    this.ledger = ledger;
+    this.clock = clock;
+    this.router = router;
+    this.pol_manager = pol_manager;
+    this.account = config.account;
+    this.source = config.source;
+    this.tranche_foreign = config.tranche_foreign;
+    this.cap_factor_guard_ppm = config.cap_factor_guard_ppm;
+    this.pol_route_ppm = config.pol_route_ppm;
+    this.interval_blocks = config.interval_blocks;
+    /** @type {null | "cap_guard" | "depleted"} */
+    this.halted = null;
+    this.total_foreign_spent = 0n;
+    this.total_native_bought = 0n;
+    this.total_native_to_pol = 0n;
+    this.total_lp_generated = 0n;
+    /** @type {DripTranche[]} */
+    this.history = [];
   }
 
-  receive_fee_native(/** @type {bigint} */ native) {
-    if (native <= 0n) return;
-    this.fees.native += native;
-    this.buffer_native += native;
-    const result = this.#execute_burn(this.buffer_native, 0n);
-    this.buffer_native = result.native_buffered;
-    this.total_native_burned += result.native_burned;
+  start(/** @type {Scheduler} */ scheduler) {
+    return scheduler.schedule_every(
+      this.interval_blocks,
+      () => this.execute(),
+      "drip_vault",
+    );
   }
 
-  receive_fee_foreign(/** @type {bigint} */ foreign) {
-    if (foreign <= 0n) return;
-    this.fees.foreign += foreign;
-    this.buffer_foreign += foreign;
-    const result = this.#execute_burn(0n, this.buffer_foreign);
-    this.buffer_foreign = result.foreign_buffered;
-    this.total_native_burned += result.native_burned;
-    this.total_foreign_swapped += result.foreign_swapped;
+  resume() {
+    this.halted = null;
   }
 
-  #execute_burn(
-    /** @type {bigint} */ amount_native_fee,
-    /** @type {bigint} */ amount_foreign_fee,
-  ) {
-    let result = {
-      native_burned: 0n,
-      foreign_swapped: 0n,
-      foreign_buffered: amount_foreign_fee,
-      native_buffered: amount_native_fee,
-      native_to_burn: amount_native_fee,
-      foreign_to_swap: 0n,
-    };
-    if (
-      amount_foreign_fee >= this.min_swap_foreign &&
-      this.xyk_pool.has_liquidity()
-    ) {
-      try {
-        // Execute swap using XYK pool only
-        const swap_result = this.xyk_pool.swap_foreign_to_native(
-          amount_foreign_fee,
-          0n,
-        );
-        result.foreign_to_swap = amount_foreign_fee;
-        result.foreign_swapped = amount_foreign_fee;
-        result.foreign_buffered = 0n;
-        result.native_to_burn += swap_result.native_out;
-      } catch (e) {
-        // Swap failed, keep foreign in buffer
-        console.warn("FeeManager swap failed, keeping in buffer:", e.message);
-      }
+  get_cap_state() {
+    const treasury_locked =
+      this.ledger.get_native(this.source) +
+      this.ledger.get_native(this.account);
+    const circulating_user = this.ledger.get_circulating_native([this.account]);
+    const cap_breached =
+      circulating_user * PPM > this.cap_factor_guard_ppm * treasury_locked;
+    return { circulating_user, treasury_locked, cap_breached };
+  }
+
+  execute() {
+    if (this.halted) {
+      return null;
     }
-    if (result.native_to_burn > 0n) {
-      try {
-        this.utbc_minter.burn_native(result.native_to_burn);
-        result.native_burned = result.native_to_burn;
-        result.native_buffered = 0n;
-      } catch (e) {
-        // Burn failed, keep native in buffer
-        console.warn("FeeManager burn failed, keeping in buffer:", e.message);
-        result.native_buffered = result.native_to_burn;
-      }
+    if (this.get_cap_state().cap_breached) {
+      this.halted = "cap_guard";
+      return null;
     }
-    return result;
+    const foreign_in = BigMath.min(
+      this.tranche_foreign,
+      this.ledger.get_foreign(this.source),
+    );
+    // A remainder the router would reject stays with the source
+    if (foreign_in === 0n || foreign_in < this.router.min_swap_foreign) {
+      this.halted = "depleted";
+      return null;
+    }
+    // Quote first so a rejected swap throws before any funds move
+    this.router.quote_foreign_to_native(foreign_in);
+    const lp_before = this.pol_manager.balance_lp;
+    this.ledger.transfer_foreign(this.source, this.account, foreign_in);
+    const swap_result = this.router.swap_foreign_to_native(
+      foreign_in,
+      0n,
+      this.account,
+    );
+    const native_to_pol = BigMath.mul_div(
+      swap_result.native_out,
+      this.pol_route_ppm,
+      PPM,
+    );
+    const native_to_treasury = swap_result.native_out - native_to_pol;
+    if (native_to_pol > 0n) {
+      this.ledger.debit_native(this.account, native_to_pol);
+      this.pol_manager.add_liquidity(native_to_pol, 0n);
+    }
+    this.ledger.transfer_native(this.account, this.source, native_to_treasury);
+    const lp_generated = this.pol_manager.balance_lp - lp_before;
+    this.total_foreign_spent += foreign_in;
+    this.total_native_bought += swap_result.native_out;
+    this.total_native_to_pol += native_to_pol;
+    this.total_lp_generated += lp_generated;
+    const tranche = {
+      block: this.clock.block,
+      route: swap_result.route,
+      foreign_in,
+      native_out: swap_result.native_out,
+      native_to_pol,
+      native_to_treasury,
+      lp_generated,
+    };
+    this.history.push(tranche);
+    return tranche;
   }
 }
 
-export class SmartRouter {
+/**
+ * Treasury `Buyback` Policy
+ * @note Buys native through the router while the XYK price trades below the bonding curve by more than
+ * `discount_threshold_ppm` (second-order DAO spec §4.3). Each order aims to lift the pool back to the
+ * curve price, capped by `order_foreign` and the remaining `budget_foreign`. Bought native is then:
+ * - `relock`: returned to the treasury and held
+ * - `resell`: kept by the policy and sold once XYK recovers to the curve, proceeds back to the treasury
+ * - `redirect`: sent to `redirect_account` (e.g. another DAO as strategic collateral)
+ */
+export class BuybackPolicy {
   constructor(
-    /** @type {XykPool} */ xyk_pool,
+    /** @type {Ledger} */ ledger,
+    /** @type {Clock} */ clock,
+    /** @type {SmartRouter} */ router,
+    /** @type {Pool} */ xyk_pool,
     /** @type {UtbcMinter} */ utbc_minter,
-    /** @type {FeeManager} */ fee_manager,
-    /** @type {SmartRouterConfig} */ config,
+    /** @type {BuybackConfig} */ config,
   ) {
+    if (!["relock", "resell", "redirect"].includes(config.disposition)) {
+      throw new Error(`Unknown buyback disposition: ${config.disposition}`);
+    }
+    if (config.disposition === "redirect" && !config.redirect_account) {
+      throw new Error("Redirect disposition requires a redirect account");
+    }
+    if (config.discount_threshold_ppm >= PPM) {
+      throw new Error("Discount threshold must be < 100%");
+    }
+    if (config.order_foreign <= 0n || config.interval_blocks <= 0n) {
+      throw new Error("Order size and interval must be positive");
+    }
+    this.ledger = ledger;
+    this.clock = clock;
+    this.router = router;
     this.xyk_pool = xyk_pool;
     this.utbc_minter = utbc_minter;
-    this.fee_manager = fee_manager;
-    this.fee_router_ppm = config.fee_router_ppm;
-    this.min_swap_foreign = config.min_swap_foreign;
-    this.min_initial_foreign = config.min_initial_foreign;
+    this.account = config.account;
+    this.source = config.source;
+    this.budget_foreign = config.budget_foreign;
+    this.order_foreign = config.order_foreign;
+    this.discount_threshold_ppm = config.discount_threshold_ppm;
+    this.disposition = config.disposition;
+    this.redirect_account = config.redirect_account;
+    this.interval_blocks = config.interval_blocks;
+    this.total_foreign_spent = 0n;
+    this.total_native_bought = 0n;
+    this.total_native_sold = 0n;
+    this.total_foreign_recovered = 0n;
+    /** @type {BuybackAction[]} */
+    this.history = [];
   }
 
-  swap_foreign_to_native(
-    /** @type {bigint} */ foreign_in,
-    /** @type {bigint} */ min_native_out = 0n,
-  ) {
-    this.#validate_swap_input(
-      foreign_in,
-      this.min_swap_foreign,
-      `Amount below minimum threshold (${this.min_swap_foreign} foreign)`,
+  start(/** @type {Scheduler} */ scheduler) {
+    return scheduler.schedule_every(
+      this.interval_blocks,
+      () => this.execute(),
+      "buyback",
     );
-    // Check if this is the first mint and pool is not initialized
-    if (
-      !this.xyk_pool.has_liquidity() &&
-      foreign_in < this.min_initial_foreign
-    ) {
-      throw new Error(
-        `Initial mint requires minimum ${this.min_initial_foreign} foreign tokens`,
-      );
-    }
-    const foreign_fee = BigMath.mul_div(foreign_in, this.fee_router_ppm, PPM);
-    const foreign_net = foreign_in - foreign_fee;
-    if (foreign_net <= 0n) {
-      throw new Error("Amount too small");
+  }
+
+  get_discount_ppm() {
+    if (!this.xyk_pool.has_liquidity()) {
+      return 0n;
     }
-    // Inline #select_best_route logic
-    const utbc_quote = this.utbc_minter.get_mint_quote(foreign_net);
-    const utbc_out = utbc_quote?.user ?? 0n;
-    const xyk_out = this.xyk_pool.has_liquidity()
-      ? this.xyk_pool.get_out_native(foreign_net)
-      : 0n;
-    const utbc_viable =
-      utbc_quote && utbc_out > 0n && utbc_out >= min_native_out;
-    const xyk_viable = xyk_out > 0n && xyk_out >= min_native_out;
-    const use_utbc = utbc_viable && (!xyk_viable || utbc_out >= xyk_out);
-    if (!use_utbc && !xyk_viable) {
-      throw new Error(
-        xyk_out > 0n ? "Slippage exceeded" : "No route available",
-      );
+    const price_curve = this.utbc_minter.get_price();
+    const price_xyk = this.xyk_pool.get_price();
+    if (price_xyk >= price_curve) {
+      return 0n;
     }
-    this.fee_manager.receive_fee_foreign(foreign_fee);
-    return use_utbc
-      ? this.#execute_utbc_route(foreign_net, foreign_in, foreign_fee)
-      : this.#execute_xyk_route(
-          foreign_net,
-          foreign_in,
-          foreign_fee,
-          min_native_out,
-        );
+    return BigMath.mul_div(price_curve - price_xyk, PPM, price_curve);
   }
 
-  swap_native_to_foreign(
-    /** @type {bigint} */ native_in,
-    /** @type {bigint} */ min_foreign_out = 0n,
-  ) {
-    this.#validate_swap_input(native_in, 1n, "Amount must be positive");
-    if (!this.xyk_pool.has_liquidity()) {
-      throw new Error(
-        "Pool not initialized. Cannot sell native tokens before initial liquidity",
-      );
+  execute() {
+    if (this.disposition === "resell") {
+      const resell = this.#try_resell();
+      if (resell) {
+        return resell;
+      }
     }
-    const native_fee = BigMath.mul_div(native_in, this.fee_router_ppm, PPM);
-    const native_net = native_in - native_fee;
-    const price_spot = this.xyk_pool.get_price();
-    if (price_spot === 0n) {
-      throw new Error("Invalid pool state: no native reserves");
+    const discount_ppm = this.get_discount_ppm();
+    if (discount_ppm <= this.discount_threshold_ppm) {
+      return null;
     }
-    const native_net_as_foreign = BigMath.mul_div(
-      native_net,
-      price_spot,
-      PRECISION,
+    const foreign_in = [
+      this.#calculate_foreign_to_curve(),
+      this.order_foreign,
+      this.budget_foreign - this.total_foreign_spent,
+      this.ledger.get_foreign(this.source),
+    ].reduce(BigMath.min);
+    if (foreign_in < this.router.min_swap_foreign) {
+      return null;
+    }
+    // Quote first so a rejected swap throws before the budget moves
+    this.router.quote_foreign_to_native(foreign_in);
+    this.ledger.transfer_foreign(this.source, this.account, foreign_in);
+    const swap_result = this.router.swap_foreign_to_native(
+      foreign_in,
+      0n,
+      this.account,
     );
-    if (native_net_as_foreign < this.min_swap_foreign) {
-      throw new Error(
-        `Amount below minimum threshold (${this.min_swap_foreign} foreign equivalent)`,
+    this.total_foreign_spent += foreign_in;
+    this.total_native_bought += swap_result.native_out;
+    if (this.disposition === "relock") {
+      this.ledger.transfer_native(
+        this.account,
+        this.source,
+        swap_result.native_out,
+      );
+    } else if (this.disposition === "redirect") {
+      this.ledger.transfer_native(
+        this.account,
+        this.redirect_account,
+        swap_result.native_out,
       );
     }
-    this.fee_manager.receive_fee_native(native_fee);
-    const swap_result = this.xyk_pool.swap_native_to_foreign(
-      native_net,
-      min_foreign_out,
-    );
-    return {
-      route: "XYK",
-      foreign_out: swap_result.foreign_out,
-      native_in: native_in,
-      native_router_fee: native_fee,
-      native_net: native_net,
-      price_before: swap_result.price_before,
-      price_after: swap_result.price_after,
-      price_impact_ppm: swap_result.price_impact_ppm,
-    };
+    return this.#record("buy", foreign_in, swap_result, discount_ppm);
   }
 
-  #validate_swap_input(
-    /** @type {bigint} */ amount,
-    /** @type {bigint} */ min_threshold,
-    /** @type {string} */ error_msg,
-  ) {
-    if (amount <= 0n) {
-      throw new Error("Amount must be positive");
+  #try_resell() {
+    const native_held = this.ledger.get_native(this.account);
+    if (native_held === 0n || !this.xyk_pool.has_liquidity()) {
+      return null;
     }
-    if (amount < min_threshold) {
-      throw new Error(error_msg);
+    const price_xyk = this.xyk_pool.get_price();
+    if (price_xyk < this.utbc_minter.get_price()) {
+      return null;
+    }
+    // Dust the router would reject stays held, so it never blocks later buys
+    const native_net =
+      native_held -
+      BigMath.mul_div(native_held, this.router.fee_router_ppm, PPM);
+    if (
+      BigMath.mul_div(native_net, price_xyk, PRECISION) <
+      this.router.min_swap_foreign
+    ) {
+      return null;
     }
+    const swap_result = this.router.swap_native_to_foreign(
+      native_held,
+      0n,
+      this.account,
+    );
+    this.ledger.transfer_foreign(
+      this.account,
+      this.source,
+      swap_result.foreign_out,
+    );
+    this.total_native_sold += native_held;
+    this.total_foreign_recovered += swap_result.foreign_out;
+    return this.#record("sell", swap_result.foreign_out, swap_result, 0n);
   }
 
-  #execute_utbc_route(
-    /** @type {bigint} */ foreign_net,
-    /** @type {bigint} */ foreign_in,
-    /** @type {bigint} */ foreign_fee,
-  ) {
-    const mint_result = this.utbc_minter.mint_native(foreign_net);
-    return {
-      route: "UTBC",
-      native_out: mint_result.user_native,
-      foreign_in: foreign_in,
-      foreign_net: foreign_net,
-      foreign_router_fee: foreign_fee,
-      price_before: mint_result.price_before,
-      price_after: mint_result.price_after,
-      pol: mint_result.pol,
-    };
+  /** Foreign that moves the pool to the curve price, ignoring fees */
+  #calculate_foreign_to_curve() {
+    return this.xyk_pool.get_foreign_to_price(this.utbc_minter.get_price());
   }
 
-  #execute_xyk_route(
-    /** @type {bigint} */ foreign_net,
-    /** @type {bigint} */ foreign_in,
-    /** @type {bigint} */ foreign_fee,
-    /** @type {bigint} */ min_native_out,
+  #record(
+    /** @type {"buy" | "sell"} */ action,
+    /** @type {bigint} */ foreign,
+    /** @type {{ native_out?: bigint, native_in?: bigint, price_before: bigint, price_after: bigint }} */ swap_result,
+    /** @type {bigint} */ discount_ppm,
   ) {
-    const swap_result = this.xyk_pool.swap_foreign_to_native(
-      foreign_net,
-      min_native_out,
-    );
-    return {
-      route: "XYK",
-      native_out: swap_result.native_out,
-      foreign_in: foreign_in,
-      foreign_net: foreign_net,
-      foreign_router_fee: foreign_fee,
+    const entry = {
+      block: this.clock.block,
+      action,
+      foreign,
+      native: swap_result.native_out ?? swap_result.native_in ?? 0n,
+      discount_ppm,
       price_before: swap_result.price_before,
       price_after: swap_result.price_after,
-      price_impact_ppm: swap_result.price_impact_ppm,
     };
+    this.history.push(entry);
+    return entry;
   }
 }
 
@@ -859,20 +4560,405 @@ export const create_system = (
   /** @type {Partial<SystemConfig>} */ user_config,
 ) => {
   const config = { ...DEFAULT_CONFIG, ...user_config };
-  const xyk_pool = new XykPool({ fee_ppm: config.fee_xyk_ppm });
-  const pol_manager = new PolManager(xyk_pool);
-  const utbc_minter = new UtbcMinter(pol_manager, {
-    price_initial: config.price_initial,
-    slope_ppm: config.slope_ppm,
-    shares: config.shares,
+  const clock = new Clock({ block_time_seconds: config.block_time_seconds });
+  const scheduler = new Scheduler(clock);
+  const vesting = new VestingManager(clock, config.vesting);
+  const events = new EventBus(clock);
+  const ledger = new Ledger((account) => vesting.get_locked(account));
+  const xyk_pool = create_pool(ledger, events, {
+    fee_ppm: config.fee_xyk_ppm,
+    pool: config.pool,
   });
-  const fee_manager = new FeeManager(xyk_pool, utbc_minter, {
-    min_swap_foreign: config.min_swap_foreign,
-  });
-  const router = new SmartRouter(xyk_pool, utbc_minter, fee_manager, {
-    fee_router_ppm: config.fee_router_ppm,
-    min_swap_foreign: config.min_swap_foreign,
-    min_initial_foreign: config.min_initial_foreign,
+  const pol_manager = new PolManager(ledger, events, xyk_pool);
+  const assets = new AssetRegistry();
+  assets.register(FOREIGN, { ledger, xyk_pool, pol_manager, rate: PRECISION });
+  for (const [asset, asset_config] of Object.entries(config.foreign_assets)) {
+    const asset_ledger = new AssetLedger(ledger);
+    const asset_pool = create_pool(asset_ledger, events, {
+      fee_ppm: asset_config.fee_xyk_ppm,
+      pool: asset_config.pool ?? { kind: "xyk" },
+    });
+    assets.register(asset, {
+      ledger: asset_ledger,
+      xyk_pool: asset_pool,
+      pol_manager: new PolManager(
+        asset_ledger,
+        events,
+        asset_pool,
+        get_pol_account(asset),
+      ),
+      rate: asset_config.rate,
+    });
+  }
+  const oracle = new PriceOracle(clock, events, assets, config.oracle);
+  const circuit_breaker = new CircuitBreaker(
+    clock,
+    events,
+    assets,
+    config.circuit_breaker,
+  );
+  const utbc_minter = new UtbcMinter(
+    ledger,
+    events,
+    pol_manager,
+    vesting,
+    assets,
+    {
+      price_initial: config.price_initial,
+      slope_ppm: config.slope_ppm,
+      curve: config.curve,
+      supply_cap: config.supply_cap,
+      cap_factor_ppm: config.cap_factor_ppm,
+      cap_partial_fill: config.cap_partial_fill,
+      shares: config.shares,
+    },
+  );
+  const fee_manager = new FeeManager(
+    ledger,
+    events,
+    xyk_pool,
+    utbc_minter,
+    assets,
+    { min_swap_foreign: config.min_swap_foreign, fee_split: config.fee_split },
+  );
+  const router = new SmartRouter(
+    ledger,
+    events,
+    xyk_pool,
+    utbc_minter,
+    fee_manager,
+    assets,
+    {
+      fee_router_ppm: config.fee_router_ppm,
+      min_swap_foreign: config.min_swap_foreign,
+      min_initial_foreign: config.min_initial_foreign,
+    },
+  );
+  const axial_router = new AxialRouter(
+    ledger,
+    events,
+    utbc_minter,
+    fee_manager,
+    assets,
+    {
+      fee_router_ppm: config.fee_router_ppm,
+      min_swap_foreign: config.min_swap_foreign,
+      min_initial_foreign: config.min_initial_foreign,
+      ...config.axial_router,
+    },
+  );
+  const pause_flags = () => [
+    router.pause_flag,
+    axial_router.pause_flag,
+    utbc_minter.pause_flag,
+    ...[...assets.assets.values()].map(({ xyk_pool }) => xyk_pool.pause_flag),
+  ];
+  // Native supply must be fully held by accounts and pool reserves;
+  // foreign held in the system must equal what entered it from outside, per asset
+  const verify_conservation = () => {
+    const native_supply = utbc_minter.supply;
+    let native_held = ledger.get_total_native();
+    /** @type {Record<AssetId, { foreign_inflow: bigint, foreign_held: bigint }>} */
+    const foreign = {};
+    for (const [asset, entry] of assets.assets) {
+      native_held += entry.xyk_pool.reserve_native;
+      foreign[asset] = {
+        foreign_inflow: entry.ledger.foreign_inflow,
+        foreign_held:
+          entry.ledger.get_total_foreign() + entry.xyk_pool.reserve_foreign,
+      };
+    }
+    const { foreign_inflow, foreign_held } = foreign[FOREIGN];
+    return {
+      native_supply,
+      native_held,
+      foreign_inflow,
+      foreign_held,
+      assets: foreign,
+      balanced:
+        native_held === native_supply &&
+        Object.values(foreign).every(
+          (held) => held.foreign_held === held.foreign_inflow,
+        ),
+    };
+  };
+  return {
+    config,
+    ledger,
+    clock,
+    scheduler,
+    vesting,
+    events,
+    xyk_pool,
+    pol_manager,
+    assets,
+    oracle,
+    circuit_breaker,
+    utbc_minter,
+    router,
+    axial_router,
+    fee_manager,
+    verify_conservation,
+    /** Global circuit breaker: pauses the routers, the minter and every pool */
+    emergency_pause: (/** @type {string} */ reason = "Emergency pause") => {
+      for (const flag of pause_flags()) {
+        flag.pause(reason);
+      }
+    },
+    /** Resumes every component; pools restart their circuit breaker price windows */
+    emergency_resume: () => {
+      for (const flag of pause_flags()) {
+        flag.resume();
+      }
+      circuit_breaker.observations.clear();
+    },
+    subscribe: (
+      /** @type {(event: SystemEvent) => void} */ listener,
+      /** @type {string[] | null} */ types = null,
+    ) => events.subscribe(listener, types),
+    unsubscribe: (/** @type {number} */ id) => events.unsubscribe(id),
+  };
+};
+
+export const SNAPSHOT_VERSION = 6;
+
+/** Attributes pool LP to its recorded POL balance; any remainder went through the default provider account */
+const attribute_lp = (
+  /** @type {Record<string, any>} */ pool,
+  /** @type {Record<string, any>} */ pol_manager,
+  /** @type {AccountId} */ pol_account,
+) => ({
+  ...pool,
+  lp_balances: [
+    { account: pol_account, lp: pol_manager.balance_lp },
+    { account: ACCOUNTS.USER, lp: pool.supply_lp - pol_manager.balance_lp },
+  ].filter((entry) => entry.lp > 0n),
+});
+
+/**
+ * Forward migrations keyed by the version they upgrade from
+ * @type {Record<number, (snapshot: Record<string, any>) => Record<string, any>>}
+ */
+export const SNAPSHOT_MIGRATIONS = {
+  // Version 2 adds secondary foreign assets
+  1: (snapshot) => ({ ...snapshot, assets: [] }),
+  // Version 3 adds the price oracle; older systems restore without price history
+  2: (snapshot) => ({ ...snapshot, oracle: null }),
+  // Version 4 adds pause flags and circuit breaker windows; older systems restore unpaused
+  3: (snapshot) => ({ ...snapshot, paused: null, circuit_breaker: null }),
+  // Version 5 adds per-provider LP balances
+  4: (snapshot) => ({
+    ...snapshot,
+    xyk_pool: attribute_lp(
+      snapshot.xyk_pool,
+      snapshot.pol_manager,
+      ACCOUNTS.POL,
+    ),
+    assets: snapshot.assets.map((/** @type {Record<string, any>} */ entry) => ({
+      ...entry,
+      xyk_pool: attribute_lp(
+        entry.xyk_pool,
+        entry.pol_manager,
+        get_pol_account(entry.asset),
+      ),
+    })),
+  }),
+  // Version 6 adds fee splits; older systems only burned fees
+  5: (snapshot) => ({
+    ...snapshot,
+    fee_manager: {
+      ...snapshot.fee_manager,
+      allocated: {
+        pol: { native: 0n, foreign: 0n },
+        treasury: { native: 0n, foreign: 0n },
+        team: { native: 0n, foreign: 0n },
+      },
+    },
+  }),
+};
+
+const snapshot_pool = (/** @type {Pool} */ xyk_pool) => xyk_pool.get_state();
+
+const snapshot_pol = (/** @type {PolManager} */ pol_manager) => ({
+  balance_lp: pol_manager.balance_lp,
+  contributed_native: pol_manager.contributed_native,
+  contributed_foreign: pol_manager.contributed_foreign,
+});
+
+/**
+ * Captures the full state of a system built by `create_system`
+ * @note Scheduled tasks and event subscriptions hold closures and are not captured;
+ * re-register them after restoring.
+ */
+export const snapshot_system = (
+  /** @type {ReturnType<typeof create_system>} */ system,
+) => ({
+  version: SNAPSHOT_VERSION,
+  config: system.config,
+  clock: { block: system.clock.block },
+  events: { seq: system.events.seq },
+  ledger: {
+    accounts: [...system.ledger.accounts].map(([account, balance]) => ({
+      account,
+      ...balance,
+    })),
+    foreign_inflow: system.ledger.foreign_inflow,
+  },
+  vesting: { tranches: system.vesting.tranches.map((t) => ({ ...t })) },
+  xyk_pool: snapshot_pool(system.xyk_pool),
+  pol_manager: snapshot_pol(system.pol_manager),
+  assets: system.assets
+    .list()
+    .filter((asset) => asset !== FOREIGN)
+    .map((asset) => {
+      const { ledger, xyk_pool, pol_manager, rate } = system.assets.get(asset);
+      return {
+        asset,
+        rate,
+        ledger: {
+          accounts: [...ledger.accounts].map(([account, { foreign }]) => ({
+            account,
+            foreign,
+          })),
+          foreign_inflow: ledger.foreign_inflow,
+        },
+        xyk_pool: snapshot_pool(xyk_pool),
+        pol_manager: snapshot_pol(pol_manager),
+      };
+    }),
+  utbc_minter: {
+    supply: system.utbc_minter.supply,
+    treasury: system.utbc_minter.treasury,
+    team: system.utbc_minter.team,
+  },
+  oracle: {
+    ema_price: system.oracle.ema_price,
+    ema_previous: system.oracle.ema_previous,
+    last_price: system.oracle.last_price,
+    total_liquidity: system.oracle.total_liquidity,
+    last_updated: system.oracle.last_updated,
+  },
+  paused: {
+    router: system.router.pause_flag.reason,
+    axial_router: system.axial_router.pause_flag.reason,
+    utbc_minter: system.utbc_minter.pause_flag.reason,
+    pools: system.assets.list().map((asset) => ({
+      asset,
+      reason: system.assets.get(asset).xyk_pool.pause_flag.reason,
+    })),
+  },
+  circuit_breaker: {
+    observations: [...system.circuit_breaker.observations].map(
+      ([asset, observation]) => ({ asset, ...observation }),
+    ),
+    trips: system.circuit_breaker.trips.map((trip) => ({ ...trip })),
+  },
+  fee_manager: {
+    total_native_burned: system.fee_manager.total_native_burned,
+    total_foreign_swapped: system.fee_manager.total_foreign_swapped,
+    fees: { ...system.fee_manager.fees },
+    allocated: {
+      pol: { ...system.fee_manager.allocated.pol },
+      treasury: { ...system.fee_manager.allocated.treasury },
+      team: { ...system.fee_manager.allocated.team },
+    },
+  },
+});
+
+export const restore_system = (/** @type {Record<string, any>} */ snapshot) => {
+  const state = migrate_snapshot(snapshot);
+  const system = create_system(state.config);
+  system.clock.block = state.clock.block;
+  system.events.seq = state.events.seq;
+  for (const { account, native, foreign } of state.ledger.accounts) {
+    system.ledger.accounts.set(account, { native, foreign });
+  }
+  system.ledger.foreign_inflow = state.ledger.foreign_inflow;
+  system.vesting.set_state(state.vesting);
+  system.xyk_pool.set_state(state.xyk_pool);
+  Object.assign(system.pol_manager, state.pol_manager);
+  for (const { asset, rate, ledger, xyk_pool, pol_manager } of state.assets) {
+    const entry = system.assets.get(asset);
+    entry.rate = rate;
+    for (const { account, foreign } of ledger.accounts) {
+      entry.ledger.accounts.set(account, { native: 0n, foreign });
+    }
+    entry.ledger.foreign_inflow = ledger.foreign_inflow;
+    entry.xyk_pool.set_state(xyk_pool);
+    Object.assign(entry.pol_manager, pol_manager);
+  }
+  Object.assign(system.utbc_minter, state.utbc_minter);
+  Object.assign(system.oracle, state.oracle ?? {});
+  if (state.paused) {
+    system.router.pause_flag.reason = state.paused.router;
+    system.axial_router.pause_flag.reason = state.paused.axial_router;
+    system.utbc_minter.pause_flag.reason = state.paused.utbc_minter;
+    for (const { asset, reason } of state.paused.pools) {
+      system.assets.get(asset).xyk_pool.pause_flag.reason = reason;
+    }
+  }
+  if (state.circuit_breaker) {
+    for (const { asset, ...observation } of state.circuit_breaker
+      .observations) {
+      system.circuit_breaker.observations.set(asset, observation);
+    }
+    system.circuit_breaker.trips = state.circuit_breaker.trips.map(
+      (/** @type {Record<string, any>} */ trip) => ({ ...trip }),
+    );
+  }
+  Object.assign(system.fee_manager, {
+    ...state.fee_manager,
+    fees: { ...state.fee_manager.fees },
+    allocated: {
+      pol: { ...state.fee_manager.allocated.pol },
+      treasury: { ...state.fee_manager.allocated.treasury },
+      team: { ...state.fee_manager.allocated.team },
+    },
   });
-  return { xyk_pool, pol_manager, utbc_minter, router, fee_manager };
+  return system;
+};
+
+export const migrate_snapshot = (
+  /** @type {Record<string, any>} */ snapshot,
+) => {
+  if (!Number.isInteger(snapshot.version) || snapshot.version < 1) {
+    throw new Error(`Invalid snapshot version: ${snapshot.version}`);
+  }
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(
+      `Snapshot version ${snapshot.version} is newer than supported ${SNAPSHOT_VERSION}`,
+    );
+  }
+  let state = snapshot;
+  while (state.version < SNAPSHOT_VERSION) {
+    const migration = SNAPSHOT_MIGRATIONS[state.version];
+    if (!migration) {
+      throw new Error(`No migration from snapshot version ${state.version}`);
+    }
+    state = { ...migration(state), version: state.version + 1 };
+  }
+  return state;
 };
+
+/** Bigints are encoded as `{ "$bigint": "<digits>" }` to survive JSON */
+export const bigint_replacer = (
+  /** @type {string} */ _key,
+  /** @type {any} */ value,
+) => (typeof value === "bigint" ? { $bigint: value.toString() } : value);
+
+export const bigint_reviver = (
+  /** @type {string} */ _key,
+  /** @type {any} */ value,
+) =>
+  value !== null &&
+  typeof value === "object" &&
+  typeof value.$bigint === "string"
+    ? BigInt(value.$bigint)
+    : value;
+
+export const serialize_snapshot = (
+  /** @type {Record<string, any>} */ snapshot,
+) => JSON.stringify(snapshot, bigint_replacer);
+
+export const parse_snapshot = (/** @type {string} */ json) =>
+  JSON.parse(json, bigint_reviver);
@@ -0,0 +1,316 @@
+// @ts-check
+
+/**
+ * @name `UTBC+POL` Monte Carlo Engine
+ * @note Runs many randomized trading sessions against `create_system` and reports outcome percentiles.
+ * Every session is derived from the master seed, so a report is fully reproducible from `seed`.
+ * @units Same as `model.js`: amounts in `PRECISION`, probabilities and fractions in `PPM`.
+ * @usage node simulator/monte-carlo.js [seed] [sessions]
+ * @module monte-carlo.js
+ */
+
+import { fileURLToPath } from "node:url";
+import { create_system, BigMath, PPM, PRECISION } from "./model.js";
+import { calculate_floor, get_ceiling } from "./analytics.js";
+
+/** @typedef {{ kind: "fixed", value: bigint } | { kind: "uniform", min: bigint, max: bigint } | { kind: "lognormal", median: bigint, sigma_ppm: bigint }} Distribution */
+/** @typedef {{ seed: number | string, sessions: number, trades_per_session: number, traders: number, blocks_per_trade: bigint, buy_ppm: bigint, buy_foreign: Distribution, sell_fraction_ppm: Distribution, system: Partial<import("./model.js").SystemConfig> }} MonteCarloConfig */
+/** @typedef {{ seed: number, supply: bigint, pol_foreign: bigint, floor_price: bigint, ceiling_price: bigint, floor_ceiling_ppm: bigint, fees_burned: bigint, buys: number, sells: number, rejected: number }} SessionResult */
+/** @typedef {{ min: bigint, p5: bigint, p25: bigint, p50: bigint, p75: bigint, p95: bigint, max: bigint, mean: bigint }} Percentiles */
+
+export const DEFAULT_MONTE_CARLO_CONFIG = /** @type {MonteCarloConfig} */ ({
+  seed: 1,
+  sessions: 100,
+  trades_per_session: 200,
+  traders: 10,
+  blocks_per_trade: 1n,
+  buy_ppm: (6n * PPM) / 10n,
+  buy_foreign: {
+    kind: "lognormal",
+    median: 100n * PRECISION,
+    sigma_ppm: PPM,
+  },
+  sell_fraction_ppm: { kind: "uniform", min: PPM / 10n, max: PPM },
+  system: {},
+});
+
+/** Reported session metrics, in report order */
+export const MONTE_CARLO_METRICS = /** @type {const} */ ([
+  "supply",
+  "pol_foreign",
+  "floor_ceiling_ppm",
+  "fees_burned",
+]);
+
+/**
+ * Seedable `Random` generator (mulberry32)
+ * @note String seeds are hashed with FNV-1a. Sequences are identical across runs and platforms.
+ */
+export class Random {
+  constructor(/** @type {number | string} */ seed) {
+    this.state = typeof seed === "string" ? Random.#hash(seed) : seed >>> 0;
+  }
+
+  next_uint32() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  }
+
+  /** Uniform float in [0, 1) */
+  next() {
+    return this.next_uint32() / 2 ** 32;
+  }
+
+  /** Uniform integer in [0, n) */
+  next_int(/** @type {number} */ n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /** Standard normal via Box-Muller */
+  next_normal() {
+    const u = 1 - this.next();
+    const v = this.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /** Samples a bigint from a distribution */
+  sample(/** @type {Distribution} */ distribution) {
+    switch (distribution.kind) {
+      case "fixed":
+        return distribution.value;
+      case "uniform": {
+        const span = distribution.max - distribution.min;
+        return (
+          distribution.min + (span * BigInt(this.next_uint32())) / 2n ** 32n
+        );
+      }
+      case "lognormal": {
+        const sigma = Number(distribution.sigma_ppm) / Number(PPM);
+        const factor_ppm = BigInt(
+          Math.round(Math.exp(sigma * this.next_normal()) * Number(PPM)),
+        );
+        return BigMath.mul_div(distribution.median, factor_ppm, PPM);
+      }
+      default:
+        throw new Error(
+          `Unknown distribution: ${/** @type {{ kind: string }} */ (distribution).kind}`,
+        );
+    }
+  }
+
+  static #hash(/** @type {string} */ text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+}
+
+/** Floor after every native outside the pool is sold into it; the ceiling is the curve price */
+const measure_floor = (
+  /** @type {ReturnType<typeof create_system>} */ system,
+) => {
+  if (!system.xyk_pool.has_liquidity()) {
+    return {
+      floor_price: 0n,
+      ceiling_price: get_ceiling(system),
+      floor_ceiling_ppm: 0n,
+    };
+  }
+  const { floor_price, ceiling_price, floor_ceiling_ppm } = calculate_floor(
+    system,
+    system.ledger.get_total_native(),
+  );
+  return { floor_price, ceiling_price, floor_ceiling_ppm };
+};
+
+/**
+ * Runs one randomized trading session
+ * @note Traders are `trader_<n>` accounts. Sells pick a fraction of the trader's sellable native;
+ * a sell by a trader holding nothing, or an order the router rejects, counts as rejected.
+ * @returns {SessionResult}
+ */
+export const run_session = (
+  /** @type {MonteCarloConfig} */ config,
+  /** @type {number} */ seed,
+) => {
+  const random = new Random(seed);
+  const system = create_system(config.system);
+  let buys = 0;
+  let sells = 0;
+  let rejected = 0;
+  for (let i = 0; i < config.trades_per_session; i++) {
+    const trader = `trader_${random.next_int(config.traders)}`;
+    const is_buy = BigInt(random.next_uint32()) * PPM < config.buy_ppm << 32n;
+    try {
+      if (is_buy) {
+        system.router.swap_foreign_to_native(
+          random.sample(config.buy_foreign),
+          0n,
+          trader,
+        );
+        buys++;
+      } else {
+        const fraction_ppm = random.sample(config.sell_fraction_ppm);
+        const native = BigMath.mul_div(
+          system.router.get_sellable_native(trader),
+          fraction_ppm,
+          PPM,
+        );
+        if (native <= 0n) {
+          rejected++;
+        } else {
+          system.router.swap_native_to_foreign(native, 0n, trader);
+          sells++;
+        }
+      }
+    } catch {
+      rejected++;
+    }
+    system.scheduler.advance(config.blocks_per_trade);
+  }
+  const { xyk_pool, pol_manager } = system;
+  return {
+    seed,
+    supply: system.utbc_minter.supply,
+    pol_foreign:
+      xyk_pool.supply_lp > 0n
+        ? BigMath.mul_div(
+            xyk_pool.reserve_foreign,
+            pol_manager.balance_lp,
+            xyk_pool.supply_lp,
+          )
+        : 0n,
+    ...measure_floor(system),
+    fees_burned: system.fee_manager.total_native_burned,
+    buys,
+    sells,
+    rejected,
+  };
+};
+
+/**
+ * Nearest-rank percentiles of a bigint sample
+ * @returns {Percentiles}
+ */
+export const calculate_percentiles = (/** @type {bigint[]} */ values) => {
+  if (values.length === 0) {
+    throw new Error("Cannot calculate percentiles of an empty sample");
+  }
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const rank = (/** @type {number} */ p) =>
+    sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+  const sum = sorted.reduce((a, b) => a + b, 0n);
+  return {
+    min: sorted[0],
+    p5: rank(5),
+    p25: rank(25),
+    p50: rank(50),
+    p75: rank(75),
+    p95: rank(95),
+    max: sorted[sorted.length - 1],
+    mean: sum / BigInt(sorted.length),
+  };
+};
+
+/**
+ * Runs `sessions` sessions with seeds drawn from the master seed
+ * @returns {{ config: MonteCarloConfig, sessions: SessionResult[], percentiles: Record<typeof MONTE_CARLO_METRICS[number], Percentiles> }}
+ */
+export const run_monte_carlo = (
+  /** @type {Partial<MonteCarloConfig>} */ user_config = {},
+) => {
+  const config = { ...DEFAULT_MONTE_CARLO_CONFIG, ...user_config };
+  if (config.sessions <= 0 || config.traders <= 0) {
+    throw new Error("Sessions and traders must be positive");
+  }
+  if (config.buy_ppm < 0n || config.buy_ppm > PPM) {
+    throw new Error(`Buy probability must be within [0, ${PPM}] ppm`);
+  }
+  const master = new Random(config.seed);
+  const sessions = Array.from({ length: config.sessions }, () =>
+    run_session(config, master.next_uint32()),
+  );
+  const percentiles =
+    /** @type {Record<typeof MONTE_CARLO_METRICS[number], Percentiles>} */ (
+      Object.fromEntries(
+        MONTE_CARLO_METRICS.map((metric) => [
+          metric,
+          calculate_percentiles(sessions.map((s) => s[metric])),
+        ]),
+      )
+    );
+  return { config, sessions, percentiles };
+};
+
+/** Formats percentiles as a table; token metrics in whole tokens, ratios in percent */
+export const format_report = (
+  /** @type {ReturnType<typeof run_monte_carlo>} */ report,
+) => {
+  const columns = /** @type {(keyof Percentiles)[]} */ ([
+    "min",
+    "p5",
+    "p25",
+    "p50",
+    "p75",
+    "p95",
+    "max",
+    "mean",
+  ]);
+  const format = (/** @type {string} */ metric, /** @type {bigint} */ value) =>
+    metric.endsWith("_ppm")
+      ? `${(Number(value) / 10_000).toFixed(2)}%`
+      : (Number(value) / Number(PRECISION)).toFixed(2);
+  const rows = MONTE_CARLO_METRICS.map((metric) => [
+    metric,
+    ...columns.map((c) => format(metric, report.percentiles[metric][c])),
+  ]);
+  const header = ["metric", ...columns];
+  const widths = header.map((h, i) =>
+    Math.max(h.length, ...rows.map((row) => row[i].length)),
+  );
+  const line = (/** @type {string[]} */ cells) =>
+    cells
+      .map((cell, i) =>
+        i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]),
+      )
+      .join("  ");
+  return [
+    `seed ${report.config.seed}, ${report.sessions.length} sessions x ${report.config.trades_per_session} trades`,
+    line(header),
+    widths.map((w) => "-".repeat(w)).join("  "),
+    ...rows.map(line),
+  ].join("\n");
+};
+
+const main = (/** @type {string[]} */ argv) => {
+  const [seed = "1", sessions = "100", ...rest] = argv;
+  // Numeric seeds are taken as 32-bit integers; any other non-empty text is hashed
+  const numeric = /^\d+$/.test(seed);
+  if (
+    rest.length > 0 ||
+    seed === "" ||
+    (numeric && Number(seed) > 0xffffffff) ||
+    !/^\d+$/.test(sessions) ||
+    Number(sessions) === 0
+  ) {
+    console.error(
+      "Usage: node simulator/monte-carlo.js [seed: uint32 or text] [sessions: positive integer]",
+    );
+    return 2;
+  }
+  const report = run_monte_carlo({
+    seed: numeric ? Number(seed) : seed,
+    sessions: Number(sessions),
+  });
+  console.log(format_report(report));
+  return 0;
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  process.exitCode = main(process.argv.slice(2));
+}
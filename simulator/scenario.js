@@ -0,0 +1,435 @@
+// @ts-check
+
+/**
+ * @name `UTBC+POL` Scenario Runner
+ * @note Runs declarative JSON scenarios (config overrides, actors, steps) against `create_system`.
+ * @units Token amounts and prices in scenario files are decimal strings or numbers in whole tokens
+ * (e.g. `"1000.5"`) and are converted to `PRECISION` units; `_ppm`, `_blocks`, `_seconds` and `exponent` values are integers.
+ * @usage node simulator/scenario.js [--verbose] <scenario.json>...
+ * @module scenario.js
+ */
+
+import { readFileSync } from "node:fs";
+import { basename } from "node:path";
+import { fileURLToPath } from "node:url";
+import { create_system, DECIMALS, FOREIGN, PRECISION } from "./model.js";
+
+/** @typedef {ReturnType<typeof create_system>} System */
+/** @typedef {string | number} Amount */
+/** @typedef {{ action: "buy", actor: string, foreign: Amount, min_native?: Amount, asset?: string } | { action: "sell", actor: string, native: Amount | "all", min_foreign?: Amount, asset?: string } | { action: "burn", actor: string, native: Amount } | { action: "add_liquidity", actor: string, native: Amount, foreign: Amount, asset?: string } | { action: "remove_liquidity", actor: string, lp: Amount | "all", min_native?: Amount, min_foreign?: Amount, asset?: string } | { action: "advance", blocks: number | string } | { action: "assert", metric: string, actor?: string, op: string, value: Amount }} ScenarioStep */
+/** @typedef {{ name: string, description?: string, config?: Record<string, any>, actors?: Record<string, { foreign?: Amount }>, steps: ScenarioStep[] }} Scenario */
+/** @typedef {{ index: number, action: string, ok: boolean, detail: string }} StepResult */
+/** @typedef {{ name: string, passed: boolean, steps: StepResult[], assertions: number, assertions_failed: number, error: string | null, system: System | null }} ScenarioResult */
+
+/** Config keys holding token amounts or prices rather than integers */
+const UNIT_KEYS = new Set([
+  "price_initial",
+  "min_swap_foreign",
+  "min_initial_foreign",
+  "min_liquidity",
+  "min_reserve_foreign",
+  "supply_cap",
+  "rate",
+  "price_max",
+  "midpoint",
+  "width",
+  "supply",
+  "price",
+]);
+
+/** Config keys holding plain integers without a unit suffix */
+const INTEGER_KEYS = new Set(["exponent", "amplification"]);
+
+/**
+ * Metrics available to `assert` steps
+ * @type {Record<string, { units: boolean, actor: boolean, read: (system: System, actor: string) => bigint }>}
+ */
+export const METRICS = {
+  block: { units: false, actor: false, read: (s) => s.clock.block },
+  supply: { units: true, actor: false, read: (s) => s.utbc_minter.supply },
+  price_curve: {
+    units: true,
+    actor: false,
+    read: (s) => s.utbc_minter.get_price(),
+  },
+  price_xyk: {
+    units: true,
+    actor: false,
+    read: (s) => (s.xyk_pool.has_liquidity() ? s.xyk_pool.get_price() : 0n),
+  },
+  curve_premium: {
+    units: true,
+    actor: false,
+    read: (s) =>
+      s.utbc_minter.get_price() -
+      (s.xyk_pool.has_liquidity() ? s.xyk_pool.get_price() : 0n),
+  },
+  price_oracle: {
+    units: true,
+    actor: false,
+    read: (s) => s.oracle.get_ema_price() ?? 0n,
+  },
+  pool_native: {
+    units: true,
+    actor: false,
+    read: (s) => s.xyk_pool.reserve_native,
+  },
+  pool_foreign: {
+    units: true,
+    actor: false,
+    read: (s) => s.xyk_pool.reserve_foreign,
+  },
+  pol_lp: { units: true, actor: false, read: (s) => s.pol_manager.balance_lp },
+  lp: { units: true, actor: true, read: (s, a) => s.xyk_pool.get_lp(a) },
+  fees_burned: {
+    units: true,
+    actor: false,
+    read: (s) => s.fee_manager.total_native_burned,
+  },
+  native: { units: true, actor: true, read: (s, a) => s.ledger.get_native(a) },
+  foreign: {
+    units: true,
+    actor: true,
+    read: (s, a) => s.ledger.get_foreign(a),
+  },
+  sellable: {
+    units: true,
+    actor: true,
+    read: (s, a) => s.router.get_sellable_native(a),
+  },
+};
+
+/** @type {Record<string, (a: bigint, b: bigint) => boolean>} */
+const COMPARATORS = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+/**
+ * Converts a decimal token amount to `PRECISION` units
+ * @note Numbers are accepted for convenience; use strings for values JavaScript would print in exponent form.
+ */
+export const parse_units = (/** @type {Amount} */ value) => {
+  const text = String(value).trim();
+  const match = /^(-?)(\d+)(?:\.(\d+))?$/.exec(text);
+  if (!match) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  const [, sign, whole, fraction = ""] = match;
+  if (BigInt(fraction.length) > DECIMALS) {
+    throw new Error(`Amount ${value} has more than ${DECIMALS} decimals`);
+  }
+  const units =
+    BigInt(whole) * PRECISION +
+    BigInt(fraction.padEnd(Number(DECIMALS), "0") || "0");
+  return sign ? -units : units;
+};
+
+export const format_units = (/** @type {bigint} */ units) => {
+  const sign = units < 0n ? "-" : "";
+  const abs = units < 0n ? -units : units;
+  const fraction = (abs % PRECISION)
+    .toString()
+    .padStart(Number(DECIMALS), "0")
+    .replace(/0+$/, "");
+  return `${sign}${abs / PRECISION}${fraction ? `.${fraction}` : ""}`;
+};
+
+const parse_integer = (/** @type {string | number} */ value) => {
+  const text = String(value).trim();
+  if (!/^-?\d+$/.test(text)) {
+    throw new Error(`Invalid integer: ${value}`);
+  }
+  return BigInt(text);
+};
+
+/**
+ * Converts scenario config overrides into a partial `SystemConfig`
+ * @returns {Record<string, any>}
+ */
+export const parse_config = (/** @type {Record<string, any>} */ overrides) =>
+  Object.fromEntries(
+    Object.entries(overrides).map(([key, value]) => {
+      if (Array.isArray(value)) {
+        return [key, value.map((item) => parse_config(item))];
+      }
+      if (value !== null && typeof value === "object") {
+        return [key, parse_config(value)];
+      }
+      if (typeof value !== "string" && typeof value !== "number") {
+        return [key, value];
+      }
+      if (UNIT_KEYS.has(key)) {
+        return [key, parse_units(value)];
+      }
+      if (INTEGER_KEYS.has(key) || /_(ppm|blocks|seconds)$/.test(key)) {
+        return [key, parse_integer(value)];
+      }
+      return [key, value];
+    }),
+  );
+
+/**
+ * Executes a single step and returns a human-readable detail line
+ * @returns {{ ok: boolean, detail: string }}
+ */
+const run_step = (
+  /** @type {System} */ system,
+  /** @type {ScenarioStep} */ step,
+) => {
+  switch (step.action) {
+    case "buy": {
+      const result = system.router.swap_foreign_to_native(
+        parse_units(step.foreign),
+        parse_units(step.min_native ?? 0),
+        step.actor,
+        step.asset,
+      );
+      return {
+        ok: true,
+        detail: `${step.actor} bought ${format_units(result.native_out)} native for ${format_units(result.foreign_in)} ${step.asset ?? "foreign"} via ${result.route}`,
+      };
+    }
+    case "sell": {
+      const native =
+        step.native === "all"
+          ? system.router.get_sellable_native(step.actor)
+          : parse_units(step.native);
+      const result = system.router.swap_native_to_foreign(
+        native,
+        parse_units(step.min_foreign ?? 0),
+        step.actor,
+        step.asset,
+      );
+      return {
+        ok: true,
+        detail: `${step.actor} sold ${format_units(result.native_in)} native for ${format_units(result.foreign_out)} ${step.asset ?? "foreign"}`,
+      };
+    }
+    case "burn": {
+      const native = parse_units(step.native);
+      system.utbc_minter.burn_native(native, step.actor);
+      return {
+        ok: true,
+        detail: `${step.actor} burned ${format_units(native)} native`,
+      };
+    }
+    case "add_liquidity": {
+      const { xyk_pool } = system.assets.get(step.asset ?? FOREIGN);
+      const result = xyk_pool.add_liquidity(
+        parse_units(step.native),
+        parse_units(step.foreign),
+        step.actor,
+      );
+      return {
+        ok: true,
+        detail: `${step.actor} added ${format_units(result.native_used)} native and ${format_units(result.foreign_used)} ${step.asset ?? "foreign"} for ${format_units(result.lp_minted)} LP`,
+      };
+    }
+    case "remove_liquidity": {
+      const { xyk_pool } = system.assets.get(step.asset ?? FOREIGN);
+      const result = xyk_pool.remove_liquidity(
+        step.lp === "all" ? xyk_pool.get_lp(step.actor) : parse_units(step.lp),
+        parse_units(step.min_native ?? 0),
+        parse_units(step.min_foreign ?? 0),
+        step.actor,
+      );
+      return {
+        ok: true,
+        detail: `${step.actor} removed ${format_units(result.lp_burned)} LP for ${format_units(result.native_out)} native and ${format_units(result.foreign_out)} ${step.asset ?? "foreign"}`,
+      };
+    }
+    case "advance": {
+      const blocks = parse_integer(step.blocks);
+      const executions = system.scheduler.advance(blocks);
+      return {
+        ok: true,
+        detail: `advanced ${blocks} blocks to ${system.clock.block} (${executions.length} tasks)`,
+      };
+    }
+    case "assert": {
+      const metric = METRICS[step.metric];
+      if (!metric) {
+        throw new Error(`Unknown metric: ${step.metric}`);
+      }
+      if (metric.actor && !step.actor) {
+        throw new Error(`Metric ${step.metric} requires an actor`);
+      }
+      const compare = COMPARATORS[step.op];
+      if (!compare) {
+        throw new Error(`Unknown comparison: ${step.op}`);
+      }
+      const actual = metric.read(system, step.actor ?? "");
+      const expected = metric.units
+        ? parse_units(step.value)
+        : parse_integer(step.value);
+      const format = metric.units ? format_units : String;
+      const subject = step.actor ? `${step.actor}.${step.metric}` : step.metric;
+      return {
+        ok: compare(actual, expected),
+        detail: `${subject} = ${format(actual)} ${step.op} ${format(expected)}`,
+      };
+    }
+    default:
+      throw new Error(
+        `Unknown action: ${/** @type {{ action: string }} */ (step).action}`,
+      );
+  }
+};
+
+/** Result of a scenario that failed before its first step; it has no system */
+const setup_error = (
+  /** @type {string} */ name,
+  /** @type {unknown} */ e,
+  /** @type {string} */ stage,
+) =>
+  /** @type {ScenarioResult} */ ({
+    name,
+    passed: false,
+    steps: [],
+    assertions: 0,
+    assertions_failed: 0,
+    error: `${stage}: ${e instanceof Error ? e.message : e}`,
+    system: null,
+  });
+
+/**
+ * Runs a scenario to completion
+ * @note Failed assertions are recorded and the run continues; a step that throws stops the scenario.
+ * A missing step list, an invalid config or an invalid actor balance fails the scenario before
+ * its first step.
+ * @returns {ScenarioResult}
+ */
+export const run_scenario = (/** @type {Scenario} */ scenario) => {
+  /** @type {System} */
+  let system;
+  try {
+    if (!Array.isArray(scenario.steps)) {
+      throw new Error(`Scenario ${scenario.name} has no step list`);
+    }
+    system = create_system(parse_config(scenario.config ?? {}));
+    for (const [actor, { foreign = 0 }] of Object.entries(
+      scenario.actors ?? {},
+    )) {
+      system.ledger.deposit_foreign(actor, parse_units(foreign));
+    }
+  } catch (e) {
+    return setup_error(scenario.name, e, "setup");
+  }
+
+  /** @type {StepResult[]} */
+  const steps = [];
+  let error = null;
+  for (const [index, step] of scenario.steps.entries()) {
+    try {
+      const { ok, detail } = run_step(system, step);
+      steps.push({ index, action: step.action, ok, detail });
+    } catch (e) {
+      error = `step ${index + 1} (${step.action}): ${e instanceof Error ? e.message : e}`;
+      steps.push({ index, action: step.action, ok: false, detail: error });
+      break;
+    }
+  }
+  const assertions = steps.filter((s) => s.action === "assert");
+  const assertions_failed = assertions.filter((s) => !s.ok).length;
+  return {
+    name: scenario.name,
+    passed: error === null && assertions_failed === 0,
+    steps,
+    assertions: assertions.length,
+    assertions_failed,
+    error,
+    system,
+  };
+};
+
+/**
+ * Reads and runs the scenario in `file`, named after the file unless it names itself
+ * @note An unreadable file or malformed JSON yields an error result instead of throwing.
+ * @returns {ScenarioResult}
+ */
+export const run_scenario_file = (/** @type {string} */ file) => {
+  const name = basename(file, ".json");
+  /** @type {Scenario} */
+  let scenario;
+  try {
+    scenario = JSON.parse(readFileSync(file, "utf8"));
+  } catch (e) {
+    return setup_error(name, e, "load");
+  }
+  scenario.name ??= name;
+  return run_scenario(scenario);
+};
+
+/** Formats scenario results as a fixed-width summary table; scenarios without a system show `-` */
+export const format_summary = (/** @type {ScenarioResult[]} */ results) => {
+  const header = [
+    "Scenario",
+    "Steps",
+    "Asserts",
+    "Supply",
+    "Curve price",
+    "XYK price",
+    "Result",
+  ];
+  const rows = results.map((r) => [
+    r.name,
+    String(r.steps.length),
+    `${r.assertions - r.assertions_failed}/${r.assertions}`,
+    ...["supply", "price_curve", "price_xyk"].map((metric) =>
+      r.system ? format_units(METRICS[metric].read(r.system, "")) : "-",
+    ),
+    r.passed ? "PASS" : r.error ? "ERROR" : "FAIL",
+  ]);
+  const widths = header.map((h, i) =>
+    Math.max(h.length, ...rows.map((row) => row[i].length)),
+  );
+  const line = (/** @type {string[]} */ cells) =>
+    cells
+      .map((cell, i) =>
+        i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]),
+      )
+      .join("  ");
+  return [
+    line(header),
+    widths.map((w) => "-".repeat(w)).join("  "),
+    ...rows.map(line),
+  ].join("\n");
+};
+
+const main = (/** @type {string[]} */ argv) => {
+  const verbose = argv.includes("--verbose");
+  const files = argv.filter((arg) => arg !== "--verbose");
+  if (files.length === 0) {
+    console.error(
+      "Usage: node simulator/scenario.js [--verbose] <scenario.json>...",
+    );
+    return 2;
+  }
+  const results = files.map((file) => {
+    const result = run_scenario_file(file);
+    if (verbose || !result.passed) {
+      console.log(`\n${result.name}`);
+      if (result.system === null) {
+        console.log(`  FAIL ${result.error}`);
+      }
+      for (const step of result.steps) {
+        const mark = step.ok ? "ok  " : "FAIL";
+        if (verbose || !step.ok) {
+          console.log(`  ${mark} ${step.index + 1}. ${step.detail}`);
+        }
+      }
+    }
+    return result;
+  });
+  console.log(`\n${format_summary(results)}`);
+  return results.every((r) => r.passed) ? 0 : 1;
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -5,7 +5,51 @@
  * Tests all components, formulas, edge cases, and parameter boundaries
  */
 
-import { create_system, PRECISION, PPM, BigMath } from "./model.js";
+import {
+  create_system,
+  PRECISION,
+  PPM,
+  BigMath,
+  ACCOUNTS,
+  DripVault,
+  BuybackPolicy,
+  EVENTS,
+  snapshot_system,
+  restore_system,
+  serialize_snapshot,
+  parse_snapshot,
+  SNAPSHOT_VERSION,
+  create_curve,
+  FOREIGN,
+  get_pol_account,
+  is_protocol_account,
+  NATIVE,
+  Pool,
+} from "./model.js";
+import { TraceRecorder, replay_trace } from "./trace.js";
+import {
+  run_scenario,
+  run_scenario_file,
+  parse_units,
+  format_units,
+  format_summary,
+  parse_config,
+} from "./scenario.js";
+import {
+  Random,
+  run_monte_carlo,
+  calculate_percentiles,
+  format_report,
+} from "./monte-carlo.js";
+import { ArbitrageAgent } from "./arbitrage.js";
+import {
+  get_ceiling,
+  calculate_floor,
+  calculate_floor_for_share,
+  estimate_floor_ceiling_ppm,
+  analyze_price_boundaries,
+  format_price_boundaries,
+} from "./analytics.js";
 
 const formatPrice = (price) => (Number(price) / Number(PRECISION)).toFixed(9);
 const formatSupply = (supply) =>
@@ -1955,6 +1999,2947 @@ runTest("System Invariants After Heavy Use", () => {
   console.log("\n✅ All system invariants maintained after heavy use");
 });
 
+// SECTION 6: ACCOUNTING TESTS
+
+runTest("Ledger Balances and Conservation", () => {
+  console.log("Tracking per-account balances across multi-user trading...\n");
+
+  const system = create_system({
+    price_initial: PRECISION / 100n,
+    slope_ppm: 1000n,
+  });
+  const { ledger, router, utbc_minter } = system;
+
+  const alice = "alice";
+  const bob = "bob";
+  ledger.deposit_foreign(alice, 20000n * PRECISION);
+
+  const alice_buy = router.swap_foreign_to_native(
+    10000n * PRECISION,
+    0n,
+    alice,
+  );
+  const bob_buy = router.swap_foreign_to_native(500n * PRECISION, 0n, bob);
+
+  console.log("1. Balances after purchases:");
+  console.log(`   Alice native: ${formatTokens(ledger.get_native(alice))}`);
+  console.log(`   Alice foreign: ${formatTokens(ledger.get_foreign(alice))}`);
+  console.log(`   Bob native: ${formatTokens(ledger.get_native(bob))}`);
+
+  assert(
+    ledger.get_native(alice) === alice_buy.native_out,
+    "Alice holds exactly the purchased amount",
+  );
+  assert(
+    ledger.get_foreign(alice) === 10000n * PRECISION,
+    "Alice paid from deposited foreign",
+  );
+  assert(
+    ledger.get_native(bob) === bob_buy.native_out,
+    "Bob holds exactly the purchased amount",
+  );
+  assert(
+    ledger.foreign_inflow === 20500n * PRECISION,
+    "Bob's unfunded payment counted as outside inflow",
+  );
+  assert(
+    ledger.get_native(ACCOUNTS.TREASURY) === utbc_minter.treasury,
+    "Treasury allocation credited to treasury account",
+  );
+  assert(
+    ledger.get_native(ACCOUNTS.TEAM) === utbc_minter.team,
+    "Team allocation credited to team account",
+  );
+
+  console.log("\n2. Selling and burning:");
+  const native_sell = ledger.get_native(bob) / 2n;
+  const sell = router.swap_native_to_foreign(native_sell, 0n, bob);
+  assert(
+    ledger.get_foreign(bob) === sell.foreign_out,
+    "Bob received foreign for the sale",
+  );
+  assert(
+    ledger.get_native(bob) === bob_buy.native_out - native_sell,
+    "Bob's native debited by full sale amount",
+  );
+  utbc_minter.burn_native(PRECISION, alice);
+  assert(
+    ledger.get_native(alice) === alice_buy.native_out - PRECISION,
+    "Burn debits the burning account",
+  );
+
+  try {
+    router.swap_native_to_foreign(ledger.get_native(bob) + 1n, 0n, bob);
+    assert(false, "Should fail when selling more than held");
+  } catch (e) {
+    assert(
+      e.message.includes("Insufficient native balance"),
+      "Overselling rejected before any state change",
+    );
+  }
+
+  console.log("\n3. Conservation:");
+  const conservation = system.verify_conservation();
+  console.log(`   Native supply: ${formatTokens(conservation.native_supply)}`);
+  console.log(`   Native held: ${formatTokens(conservation.native_held)}`);
+  console.log(
+    `   Foreign inflow: ${formatTokens(conservation.foreign_inflow)}`,
+  );
+  console.log(`   Foreign held: ${formatTokens(conservation.foreign_held)}`);
+  assert(
+    conservation.balanced,
+    "Supply fully accounted by balances and reserves",
+  );
+  assert(
+    system.pol_manager.buffer_native === ledger.get_native(ACCOUNTS.POL),
+    "POL buffer is the POL account balance",
+  );
+});
+
+runTest("Clock and Block Scheduler", () => {
+  console.log("Driving the system block by block with scheduled actions...\n");
+
+  const system = create_system({
+    price_initial: PRECISION / 100n,
+    slope_ppm: 1000n,
+  });
+  const { clock, scheduler, router } = system;
+
+  router.swap_foreign_to_native(1000n * PRECISION);
+
+  const purchases = [];
+  const drip_id = scheduler.schedule_every(
+    10n,
+    () => {
+      const result = router.swap_foreign_to_native(50n * PRECISION, 0n, "drip");
+      purchases.push(result.native_out);
+      return result.route;
+    },
+    "drip_purchase",
+  );
+  scheduler.schedule_every(
+    15n,
+    () => router.swap_native_to_foreign(PRECISION, 0n, "drip"),
+    "limited_sell",
+    2n,
+  );
+  scheduler.schedule_after(25n, () => scheduler.cancel(drip_id), "stop_drip");
+  scheduler.schedule_at(
+    7n,
+    () => {
+      throw new Error("Scheduled failure");
+    },
+    "failing",
+  );
+
+  const executions = scheduler.advance(60n);
+
+  console.log(`Block: ${clock.block}, timestamp: ${clock.get_timestamp()}s`);
+  for (const execution of executions) {
+    console.log(
+      `  Block ${execution.block}: ${execution.name}${execution.error ? ` (error: ${execution.error})` : ""}`,
+    );
+  }
+
+  assert(clock.block === 60n, "Clock advanced 60 blocks");
+  assert(clock.get_timestamp() === 360n, "Timestamp follows block time");
+  assert(purchases.length === 2, "Recurring purchase ran until cancelled");
+  assert(
+    executions.filter((e) => e.name === "limited_sell").length === 2,
+    "Recurring task respects run limit",
+  );
+  const failure = executions.find((e) => e.name === "failing");
+  assert(
+    failure?.block === 7n && failure.error === "Scheduled failure",
+    "Failing action recorded without halting the run",
+  );
+  assert(scheduler.tasks.length === 0, "Finished tasks removed");
+
+  try {
+    scheduler.schedule_at(clock.block, () => {});
+    assert(false, "Should fail scheduling in the past");
+  } catch (e) {
+    assert(e.message.includes("not in the future"), "Past blocks rejected");
+  }
+
+  const ran = [];
+  let cancelled_id = 0;
+  scheduler.schedule_after(5n, () => scheduler.cancel(cancelled_id), "cancel");
+  cancelled_id = scheduler.schedule_after(5n, () => ran.push(clock.block));
+  const same_block = scheduler.advance(5n);
+  assert(
+    ran.length === 0 &&
+      same_block.length === 1 &&
+      same_block[0].result === true,
+    "Task cancelled earlier in the same block does not run",
+  );
+});
+
+runTest("Team and Treasury Vesting Schedules", () => {
+  console.log("Locking team and treasury allocations per mint tranche...\n");
+
+  const system = create_system({
+    price_initial: PRECISION / 100n,
+    slope_ppm: 1000n,
+    vesting: {
+      team: {
+        kind: "linear",
+        cliff_blocks: 100n,
+        duration_blocks: 1000n,
+        step_blocks: 0n,
+      },
+      treasury: {
+        kind: "step",
+        cliff_blocks: 0n,
+        duration_blocks: 400n,
+        step_blocks: 100n,
+      },
+    },
+  });
+  const { router, vesting, scheduler, ledger } = system;
+
+  const first = router.swap_foreign_to_native(10000n * PRECISION);
+  scheduler.advance(500n);
+  system.utbc_minter.mint_native(1000n * PRECISION);
+  const team_total = ledger.get_native(ACCOUNTS.TEAM);
+
+  console.log("1. Tranches at block 500:");
+  for (const tranche of vesting.get_tranches(ACCOUNTS.TEAM)) {
+    console.log(
+      `   Team tranche @${tranche.start_block}: unlocked ${formatTokens(tranche.unlocked)}, locked ${formatTokens(tranche.locked)}`,
+    );
+  }
+  const [team_first, team_second] = vesting.get_tranches(ACCOUNTS.TEAM);
+  assert(
+    vesting.get_tranches(ACCOUNTS.TEAM).length === 2,
+    "One team tranche per mint",
+  );
+  assert(
+    team_first.unlocked === team_first.amount / 2n,
+    "Linear tranche half unlocked at mid-duration",
+  );
+  assert(team_second.unlocked === 0n, "New tranche locked before its cliff");
+  assert(
+    router.get_sellable_native(ACCOUNTS.TEAM) === team_first.unlocked,
+    "Router exposes only unlocked team tokens as sellable",
+  );
+  assert(
+    vesting.get_locked(ACCOUNTS.USER) === 0n,
+    "User purchases are never locked",
+  );
+
+  console.log("\n2. Selling locked tokens is refused:");
+  try {
+    router.swap_native_to_foreign(team_total, 0n, ACCOUNTS.TEAM);
+    assert(false, "Should fail selling locked team tokens");
+  } catch (e) {
+    assert(
+      e.message.includes("Insufficient native balance"),
+      "Locked team tokens cannot be sold",
+    );
+  }
+  const sale = router.swap_native_to_foreign(
+    team_first.unlocked,
+    0n,
+    ACCOUNTS.TEAM,
+  );
+  assert(sale.foreign_out > 0n, "Unlocked team tokens can be sold");
+
+  console.log("\n3. Step schedule for treasury:");
+  scheduler.advance(50n);
+  const [treasury_first] = vesting.get_tranches(ACCOUNTS.TREASURY);
+  console.log(
+    `   Treasury first tranche at block 550: ${formatTokens(treasury_first.unlocked)} of ${formatTokens(treasury_first.amount)}`,
+  );
+  assert(
+    treasury_first.unlocked === treasury_first.amount,
+    "Step tranche fully unlocked after duration",
+  );
+  const [, treasury_second] = vesting.get_tranches(ACCOUNTS.TREASURY);
+  assert(
+    treasury_second.unlocked === 0n,
+    "Step tranche locked until first step",
+  );
+  scheduler.advance(50n);
+  const [, treasury_stepped] = vesting.get_tranches(ACCOUNTS.TREASURY);
+  assert(
+    treasury_stepped.unlocked === treasury_stepped.amount / 4n,
+    "Step tranche unlocks a quarter per step",
+  );
+
+  const restored = restore_system(
+    parse_snapshot(serialize_snapshot(snapshot_system(system))),
+  );
+  assert(
+    restored.vesting.get_locked(ACCOUNTS.TREASURY) ===
+      vesting.get_locked(ACCOUNTS.TREASURY) &&
+      restored.vesting.pending.get(ACCOUNTS.TREASURY)?.length === 1,
+    "Restored vesting locks the same tranches",
+  );
+
+  scheduler.advance(1000n);
+  assert(
+    vesting.get_locked(ACCOUNTS.TEAM) === 0n,
+    "All team tranches unlocked after full duration",
+  );
+  assert(
+    vesting.pending.get(ACCOUNTS.TEAM)?.length === 0 &&
+      vesting.get_tranches(ACCOUNTS.TEAM).length === 2,
+    "Unlocked tranches leave the pending queue but stay on record",
+  );
+  assert(first.native_out > 0n, "Initial purchase unaffected by vesting");
+  assert(
+    system.verify_conservation().balanced,
+    "Vesting preserves conservation",
+  );
+});
+
+runTest("Treasury Drip Vault Streaming Purchases", () => {
+  console.log("Streaming treasury foreign into native in tranches...\n");
+
+  const system = create_system({
+    price_initial: PRECISION,
+    slope_ppm: 10n,
+    shares: {
+      user_ppm: 330000n,
+      pol_ppm: 300000n,
+      treasury_ppm: 370000n,
+      team_ppm: 0n,
+    },
+  });
+  const { ledger, router, scheduler } = system;
+
+  router.swap_foreign_to_native(10000n * PRECISION, 0n, "alice");
+  ledger.deposit_foreign(ACCOUNTS.TREASURY, 1000n * PRECISION);
+  const treasury_native_before = ledger.get_native(ACCOUNTS.TREASURY);
+
+  const vault = new DripVault(
+    ledger,
+    system.clock,
+    router,
+    system.pol_manager,
+    {
+      account: "drip_vault",
+      source: ACCOUNTS.TREASURY,
+      tranche_foreign: 150n * PRECISION,
+      cap_factor_guard_ppm: 950000n,
+      pol_route_ppm: 400000n,
+      interval_blocks: 10n,
+    },
+  );
+  vault.start(scheduler);
+
+  console.log("1. Streaming 5 tranches:");
+  scheduler.advance(50n);
+  for (const tranche of vault.history) {
+    console.log(
+      `   Block ${tranche.block} via ${tranche.route}: ${formatTokens(tranche.foreign_in)} foreign → ${formatTokens(tranche.native_out)} native, LP +${formatTokens(tranche.lp_generated)}`,
+    );
+  }
+  assert(vault.history.length === 5, "One tranche every 10 blocks");
+  assert(
+    ledger.get_foreign(ACCOUNTS.TREASURY) === 250n * PRECISION,
+    "Tranches pulled from treasury foreign",
+  );
+  assert(
+    vault.total_native_to_pol ===
+      vault.history.reduce((sum, t) => sum + t.native_to_pol, 0n),
+    "POL routing totals match history",
+  );
+  assert(vault.total_lp_generated > 0n, "Drip purchases generated POL");
+  assert(
+    ledger.get_native(ACCOUNTS.TREASURY) - treasury_native_before >=
+      vault.total_native_bought - vault.total_native_to_pol,
+    "Treasury received its routed native",
+  );
+  assert(ledger.get_native("drip_vault") === 0n, "Vault keeps no native");
+
+  console.log("\n2. Depletion:");
+  scheduler.advance(30n);
+  assert(
+    vault.history.at(-1)?.foreign_in === 100n * PRECISION,
+    "Last tranche limited to remaining treasury foreign",
+  );
+  assert(vault.halted === "depleted", "Vault halts when treasury is empty");
+  ledger.deposit_foreign(ACCOUNTS.TREASURY, 1000n);
+  vault.resume();
+  scheduler.advance(10n);
+  assert(
+    vault.halted === "depleted" &&
+      ledger.get_foreign(ACCOUNTS.TREASURY) === 1000n &&
+      ledger.get_foreign("drip_vault") === 0n,
+    "A remainder below the swap minimum stays in the treasury",
+  );
+  ledger.deposit_foreign(ACCOUNTS.TREASURY, 100n * PRECISION);
+  vault.resume();
+  router.pause_flag.pause("Maintenance");
+  const treasury_foreign = ledger.get_foreign(ACCOUNTS.TREASURY);
+  try {
+    vault.execute();
+    assert(false, "Paused router should reject the tranche");
+  } catch (e) {
+    console.log(`   Rejected: ${e.message}`);
+  }
+  assert(
+    ledger.get_foreign(ACCOUNTS.TREASURY) === treasury_foreign &&
+      ledger.get_foreign("drip_vault") === 0n,
+    "A rejected swap moves no funds",
+  );
+  router.pause_flag.resume();
+
+  console.log("\n3. Cap guard:");
+  ledger.deposit_foreign(ACCOUNTS.TREASURY, 1000n * PRECISION);
+  vault.resume();
+  system.xyk_pool.swap_foreign_to_native(20000n * PRECISION, 0n, "whale");
+  const cap_state = vault.get_cap_state();
+  console.log(
+    `   Circulating user: ${formatTokens(cap_state.circulating_user)}, treasury locked: ${formatTokens(cap_state.treasury_locked)}`,
+  );
+  const tranches_before = vault.history.length;
+  scheduler.advance(10n);
+  assert(cap_state.cap_breached, "Whale purchase breaches the cap factor");
+  assert(vault.halted === "cap_guard", "Vault halts when cap guard trips");
+  assert(vault.history.length === tranches_before, "No tranche after halt");
+  assert(
+    system.verify_conservation().balanced,
+    "Drip vault preserves conservation",
+  );
+});
+
+runTest("Treasury Buyback Below the Curve", () => {
+  console.log("Defending the XYK floor with treasury buybacks...\n");
+
+  const setup = (disposition) => {
+    const system = create_system({
+      price_initial: PRECISION / 100n,
+      slope_ppm: 1000n,
+    });
+    system.router.swap_foreign_to_native(10000n * PRECISION, 0n, "alice");
+    // Panic sale pushes the pool below the curve
+    system.router.swap_native_to_foreign(
+      system.ledger.get_native("alice"),
+      0n,
+      "alice",
+    );
+    system.ledger.deposit_foreign(ACCOUNTS.TREASURY, 5000n * PRECISION);
+    const policy = new BuybackPolicy(
+      system.ledger,
+      system.clock,
+      system.router,
+      system.xyk_pool,
+      system.utbc_minter,
+      {
+        account: "buyback",
+        source: ACCOUNTS.TREASURY,
+        budget_foreign: 3000n * PRECISION,
+        order_foreign: 1000n * PRECISION,
+        discount_threshold_ppm: 100000n,
+        disposition,
+        redirect_account: "partner_dao",
+        interval_blocks: 10n,
+      },
+    );
+    return { system, policy };
+  };
+
+  console.log("1. Relock disposition:");
+  const relock = setup("relock");
+  const discount_before = relock.policy.get_discount_ppm();
+  const treasury_native_before = relock.system.ledger.get_native(
+    ACCOUNTS.TREASURY,
+  );
+  relock.policy.start(relock.system.scheduler);
+  relock.system.scheduler.advance(50n);
+  const discount_after = relock.policy.get_discount_ppm();
+  for (const entry of relock.policy.history) {
+    console.log(
+      `   Block ${entry.block} ${entry.action}: ${formatTokens(entry.foreign)} foreign → ${formatTokens(entry.native)} native at discount ${formatPPM(entry.discount_ppm)}`,
+    );
+  }
+  console.log(
+    `   Discount: ${formatPPM(discount_before)} → ${formatPPM(discount_after)}`,
+  );
+  assert(discount_before > 100000n, "XYK trades below the curve after launch");
+  assert(relock.policy.history.length > 0, "Buyback triggered");
+  assert(discount_after < discount_before, "Buybacks narrow the discount");
+  assert(
+    relock.policy.total_foreign_spent <= 3000n * PRECISION,
+    "Budget respected",
+  );
+  assert(
+    relock.policy.history.every((entry) => entry.foreign <= 1000n * PRECISION),
+    "Order size respected",
+  );
+  assert(
+    relock.system.ledger.get_native(ACCOUNTS.TREASURY) ===
+      treasury_native_before + relock.policy.total_native_bought,
+    "Relocked native returned to treasury",
+  );
+
+  console.log("\n2. Resell disposition:");
+  const resell = setup("resell");
+  resell.policy.execute();
+  resell.policy.execute();
+  assert(
+    resell.policy.history.every((entry) => entry.action === "buy"),
+    "No resale while below the curve",
+  );
+  assert(
+    resell.system.ledger.get_native("buyback") ===
+      resell.policy.total_native_bought,
+    "Resell keeps bought native",
+  );
+  resell.system.xyk_pool.swap_foreign_to_native(
+    20000n * PRECISION,
+    0n,
+    "whale",
+  );
+  const treasury_foreign_before = resell.system.ledger.get_foreign(
+    ACCOUNTS.TREASURY,
+  );
+  const sale = resell.policy.execute();
+  console.log(
+    `   Resold ${formatTokens(resell.policy.total_native_sold)} native for ${formatTokens(resell.policy.total_foreign_recovered)} foreign`,
+  );
+  assert(sale?.action === "sell", "Resold after XYK recovered above curve");
+  assert(
+    resell.system.ledger.get_native("buyback") === 0n,
+    "All held native resold",
+  );
+  assert(
+    resell.system.ledger.get_foreign(ACCOUNTS.TREASURY) ===
+      treasury_foreign_before + resell.policy.total_foreign_recovered,
+    "Resale proceeds returned to treasury",
+  );
+  resell.system.ledger.transfer_native("whale", "buyback", 1n);
+  assert(
+    resell.policy.execute() === null,
+    "Dust is held rather than resold above the curve",
+  );
+  resell.system.router.swap_native_to_foreign(
+    resell.system.router.get_sellable_native("whale"),
+    0n,
+    "whale",
+  );
+  const after_dust = resell.policy.execute();
+  assert(
+    after_dust?.action === "buy" &&
+      resell.system.ledger.get_native("buyback") === 1n + after_dust.native,
+    "Dust below the sell minimum does not block buys",
+  );
+
+  console.log("\n3. Redirect disposition:");
+  const redirect = setup("redirect");
+  const budget_before = redirect.system.ledger.get_foreign(ACCOUNTS.TREASURY);
+  redirect.system.router.pause_flag.pause("Maintenance");
+  try {
+    redirect.policy.execute();
+    assert(false, "Paused router should reject the order");
+  } catch (e) {
+    console.log(`   Rejected: ${e.message}`);
+  }
+  assert(
+    redirect.system.ledger.get_foreign(ACCOUNTS.TREASURY) === budget_before &&
+      redirect.system.ledger.get_foreign("buyback") === 0n,
+    "A rejected order leaves the budget in the treasury",
+  );
+  redirect.system.router.pause_flag.resume();
+  redirect.policy.execute();
+  assert(
+    redirect.system.ledger.get_native("partner_dao") ===
+      redirect.policy.total_native_bought,
+    "Bought native redirected to partner account",
+  );
+  assert(
+    redirect.system.verify_conservation().balanced,
+    "Buybacks preserve conservation",
+  );
+});
+
+runTest("Structured Event Stream", () => {
+  console.log("Subscribing to component state transitions...\n");
+
+  const system = create_system({
+    price_initial: PRECISION / 100n,
+    slope_ppm: 1000n,
+  });
+  const events = [];
+  const swaps = [];
+  const all_id = system.subscribe((event) => events.push(event));
+  system.subscribe((event) => swaps.push(event), [EVENTS.SWAPPED]);
+  system.subscribe(() => {
+    throw new Error("Listener bug");
+  }, [EVENTS.MINTED]);
+
+  const buy = system.router.swap_foreign_to_native(10000n * PRECISION);
+  const types_buy = events.map((event) => event.type);
+  console.log(`1. UTBC purchase: ${types_buy.join(" → ")}`);
+  const route_buy = events.at(-1);
+  assert(
+    route_buy?.type === EVENTS.ROUTE_SELECTED &&
+      route_buy.route === buy.route &&
+      route_buy.amount_out === buy.native_out,
+    "Route reported once the trade settles, with the amount received",
+  );
+  const curve = events.find((event) => event.type === EVENTS.CURVE_SWAPPED);
+  assert(
+    buy.route === "UTBC" &&
+      curve?.account === ACCOUNTS.USER &&
+      curve.native_out === buy.native_out &&
+      curve.foreign_in === buy.foreign_net,
+    "Curve buy leaves a trade record",
+  );
+  assert(types_buy.includes(EVENTS.FEE_RECEIVED), "Router fee reported");
+  assert(
+    types_buy.indexOf(EVENTS.MINTED) < types_buy.indexOf(EVENTS.DISTRIBUTED),
+    "Mint precedes distribution",
+  );
+  assert(
+    types_buy.includes(EVENTS.LIQUIDITY_ADDED),
+    "POL liquidity addition reported",
+  );
+  const minted = events.find((event) => event.type === EVENTS.MINTED);
+  assert(
+    minted?.account === ACCOUNTS.USER && minted.total_native > 0n,
+    "Minted event carries account and amount",
+  );
+  const distributed = events.find((event) => event.type === EVENTS.DISTRIBUTED);
+  assert(
+    distributed?.user_native === buy.native_out,
+    "Distributed event matches user output",
+  );
+  assert(buy.native_out > 0n, "Throwing listener did not abort the mint");
+  assert(
+    system.events.failures.length === 1 &&
+      system.events.failures[0].type === EVENTS.MINTED &&
+      system.events.failures[0].message === "Listener bug",
+    "Listener failure recorded on the bus",
+  );
+
+  events.length = 0;
+  const sell = system.router.swap_native_to_foreign(buy.native_out / 2n);
+  const types_sell = events.map((event) => event.type);
+  console.log(`2. Sale: ${types_sell.join(" → ")}`);
+  assert(types_sell.includes(EVENTS.BURNED), "Native fee burn reported");
+  assert(
+    events.at(-1)?.type === EVENTS.ROUTE_SELECTED &&
+      events.at(-1)?.amount_out === sell.foreign_out,
+    "Sale route reports the foreign received",
+  );
+
+  const swapped = events.find((event) => event.type === EVENTS.SWAPPED);
+  assert(
+    swapped?.foreign_out === sell.foreign_out,
+    "Swapped event matches router result",
+  );
+  assert(
+    swaps.length === 1 && swaps[0].type === EVENTS.SWAPPED,
+    "Filtered subscriber only sees swaps",
+  );
+  assert(
+    events.every((event, i) => i === 0 || event.seq > events[i - 1].seq),
+    "Events are sequenced",
+  );
+
+  events.length = 0;
+  try {
+    system.router.swap_foreign_to_native(1000n * PRECISION, PRECISION ** 3n);
+    assert(false, "Should enforce minimum output");
+  } catch (e) {
+    assert(
+      !events.some((event) => event.type === EVENTS.ROUTE_SELECTED),
+      "Reverted trade reports no route",
+    );
+  }
+
+  system.scheduler.advance(3n);
+  assert(system.unsubscribe(all_id), "Unsubscribe succeeds");
+  events.length = 0;
+  system.xyk_pool.swap_foreign_to_native(PRECISION);
+  assert(events.length === 0, "No events after unsubscribe");
+  assert(swaps.at(-1)?.block === 3n, "Events stamped with current block");
+});
+
+runTest("Snapshot Serialization and Restore", () => {
+  console.log("Checkpointing a running system and restoring it...\n");
+
+  const system = create_system({
+    price_initial: PRECISION / 100n,
+    slope_ppm: 1000n,
+    vesting: {
+      team: {
+        kind: "cliff",
+        cliff_blocks: 100n,
+        duration_blocks: 0n,
+        step_blocks: 0n,
+      },
+    },
+  });
+  system.router.swap_foreign_to_native(10000n * PRECISION, 0n, "alice");
+  system.scheduler.advance(20n);
+  system.router.swap_native_to_foreign(50n * PRECISION, 0n, "alice");
+  system.utbc_minter.mint_native(PRECISION / 10n, "bob");
+
+  const json = serialize_snapshot(snapshot_system(system));
+  console.log(`1. Serialized snapshot: ${json.length} bytes`);
+  const restored = restore_system(parse_snapshot(json));
+
+  assert(
+    serialize_snapshot(snapshot_system(restored)) === json,
+    "Restored system re-serializes identically",
+  );
+  assert(restored.clock.block === 20n, "Clock restored");
+  assert(
+    restored.ledger.get_native("alice") === system.ledger.get_native("alice"),
+    "Ledger balances restored",
+  );
+  assert(
+    restored.fee_manager.buffer_foreign === system.fee_manager.buffer_foreign,
+    "Fee buffers restored",
+  );
+  assert(
+    restored.router.get_sellable_native(ACCOUNTS.TEAM) === 0n,
+    "Vesting locks restored",
+  );
+  assert(restored.verify_conservation().balanced, "Restored system balanced");
+
+  console.log("2. Continuing both systems identically:");
+  const original_sell = system.router.swap_native_to_foreign(
+    10n * PRECISION,
+    0n,
+    "alice",
+  );
+  const restored_sell = restored.router.swap_native_to_foreign(
+    10n * PRECISION,
+    0n,
+    "alice",
+  );
+  const original_buy = system.router.swap_foreign_to_native(500n * PRECISION);
+  const restored_buy = restored.router.swap_foreign_to_native(500n * PRECISION);
+  assert(
+    original_sell.foreign_out === restored_sell.foreign_out &&
+      original_buy.native_out === restored_buy.native_out,
+    "Restored system behaves identically",
+  );
+  assert(
+    serialize_snapshot(snapshot_system(system)) ===
+      serialize_snapshot(snapshot_system(restored)),
+    "States remain identical after further trading",
+  );
+
+  console.log("3. Versioning:");
+  const snapshot = parse_snapshot(json);
+  try {
+    restore_system({ ...snapshot, version: SNAPSHOT_VERSION + 1 });
+    assert(false, "Should reject newer snapshot versions");
+  } catch (e) {
+    assert(
+      e.message.includes("newer than supported"),
+      "Newer version rejected",
+    );
+  }
+  try {
+    restore_system({ ...snapshot, version: 0 });
+    assert(false, "Should reject invalid versions");
+  } catch (e) {
+    assert(
+      e.message.includes("Invalid snapshot version"),
+      "Invalid version rejected",
+    );
+  }
+});
+
+runTest("Trace Recording and Deterministic Replay", () => {
+  console.log("Recording router, pool and minter calls...\n");
+
+  const system = create_system({
+    price_initial: PRECISION / 100n,
+    slope_ppm: 1000n,
+    vesting: {
+      team: {
+        kind: "linear",
+        cliff_blocks: 0n,
+        duration_blocks: 100n,
+        step_blocks: 0n,
+      },
+    },
+  });
+  const recorder = new TraceRecorder(system);
+  system.router.swap_foreign_to_native(10000n * PRECISION, 0n, "alice");
+  system.scheduler.advance(50n);
+  system.router.swap_native_to_foreign(
+    system.router.get_sellable_native(ACCOUNTS.TEAM),
+    0n,
+    ACCOUNTS.TEAM,
+  );
+  system.utbc_minter.mint_native(PRECISION / 10n, "bob");
+  try {
+    system.router.swap_foreign_to_native(PRECISION, PRECISION ** 3n, "bob");
+  } catch (e) {}
+  recorder.stop();
+
+  const trace = recorder.to_jsonl();
+  const lines = trace
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  const top_level = lines.filter((line) => line.depth === 0);
+  console.log(
+    `1. Recorded ${recorder.calls} calls (${top_level.length} top-level)`,
+  );
+  assert(lines[0].kind === "header", "Trace starts with config header");
+  assert(
+    lines.some((line) => line.depth === 1 && line.component === "utbc_minter"),
+    "Nested minter calls from the router are recorded",
+  );
+  assert(
+    lines.some((line) => line.depth === 0 && line.error),
+    "Thrown errors are recorded",
+  );
+  assert(
+    system.router.swap_foreign_to_native.name === "swap_foreign_to_native",
+    "Stopping restores original methods",
+  );
+
+  console.log("2. Replaying against a fresh system:");
+  const replay = replay_trace(trace);
+  assert(replay.divergence === null, "Replay matches bit-for-bit");
+  assert(replay.calls === recorder.calls, "Replay re-executes every call");
+  assert(
+    replay.system.clock.block === 50n &&
+      replay.system.ledger.get_foreign("alice") ===
+        system.ledger.get_foreign("alice"),
+    "Replayed system reaches the same state",
+  );
+
+  console.log("3. Tampered trace:");
+  const index_mint = lines.indexOf(top_level[3]);
+  const tampered = trace
+    .split("\n")
+    .map((line, i) =>
+      i === index_mint
+        ? line.replace('"result":{', '"result":{"tampered":true,')
+        : line,
+    )
+    .join("\n");
+  const diverged = replay_trace(tampered);
+  console.log(`   First divergence at line ${diverged.divergence?.line}`);
+  assert(
+    diverged.divergence?.line === index_mint + 1 &&
+      diverged.divergence.expected?.method === "mint_native",
+    "Reports the first divergent line",
+  );
+});
+
+runTest("Declarative Scenario Runner", () => {
+  console.log("Running a JSON scenario without writing model code...\n");
+
+  assert(
+    parse_units("1000.5") === 1000n * PRECISION + PRECISION / 2n,
+    "Decimal amounts parsed to units",
+  );
+  assert(
+    parse_units(0.001) === PRECISION / 1000n,
+    "Numeric amounts parsed to units",
+  );
+  assert(
+    format_units(PRECISION / 4n) === "0.25",
+    "Units formatted back to decimals",
+  );
+  try {
+    parse_units("0.0000000000001");
+    assert(false, "Should reject amounts below precision");
+  } catch (e) {
+    assert(e.message.includes("decimals"), "Excess decimals rejected");
+  }
+
+  /** @type {import("./scenario.js").Scenario} */
+  const scenario = {
+    name: "launch",
+    config: { price_initial: "0.01", slope_ppm: 1000, fee_router_ppm: "2000" },
+    actors: { alice: { foreign: "5000" } },
+    steps: [
+      { action: "buy", actor: "alice", foreign: "5000" },
+      { action: "advance", blocks: 10 },
+      { action: "sell", actor: "alice", native: "10" },
+      { action: "burn", actor: "alice", native: "1.5" },
+      {
+        action: "assert",
+        metric: "foreign",
+        actor: "alice",
+        op: ">",
+        value: "0",
+      },
+      { action: "assert", metric: "block", op: "==", value: 10 },
+      { action: "assert", metric: "supply", op: "<", value: "1" },
+      { action: "assert", metric: "curve_premium", op: "<", value: "0" },
+    ],
+  };
+  const result = run_scenario(scenario);
+  for (const step of result.steps) {
+    console.log(`  ${step.ok ? "ok  " : "FAIL"} ${step.detail}`);
+  }
+  assert(
+    result.system.config.price_initial === PRECISION / 100n,
+    "Config overrides converted",
+  );
+  assert(
+    result.steps.length === 8 && result.error === null,
+    "All steps executed",
+  );
+  assert(
+    result.assertions === 4 && result.assertions_failed === 1,
+    "Failed assertions recorded without stopping the run",
+  );
+  assert(!result.passed, "Scenario with a failed assertion does not pass");
+  assert(
+    result.system.verify_conservation().balanced,
+    "Scenario system balanced",
+  );
+
+  const broken = run_scenario({
+    name: "broken",
+    steps: [
+      { action: "sell", actor: "nobody", native: "1" },
+      { action: "advance", blocks: 1 },
+    ],
+  });
+  assert(
+    broken.error?.startsWith("step 1 (sell)") && broken.steps.length === 1,
+    "Throwing step stops the scenario",
+  );
+
+  const summary = format_summary([result, broken]);
+  console.log(`\n${summary}`);
+  assert(
+    summary.includes("FAIL") && summary.includes("ERROR"),
+    "Summary table reports outcomes",
+  );
+
+  const invalid = run_scenario({
+    name: "invalid",
+    config: { price_initial: "0" },
+    steps: [],
+  });
+  const missing = run_scenario_file("scenarios/does-not-exist.json");
+  const malformed = run_scenario_file(
+    new URL("./model.js", import.meta.url).pathname,
+  );
+  assert(
+    invalid.error?.startsWith("setup:") && invalid.system === null,
+    "Invalid config fails the scenario instead of throwing",
+  );
+  assert(
+    missing.name === "does-not-exist" &&
+      missing.error?.startsWith("load:") &&
+      malformed.error?.startsWith("load:"),
+    "Unreadable and malformed files fail the scenario instead of throwing",
+  );
+  const errors = format_summary([invalid, missing, result]);
+  console.log(`\n${errors}`);
+  assert(
+    errors.split("\n").filter((row) => row.endsWith("ERROR")).length === 2,
+    "Scenarios that never ran are reported as errors",
+  );
+});
+
+runTest("Seeded Monte Carlo Sessions", () => {
+  console.log("Running randomized sessions from a seed...\n");
+
+  const first = new Random("launch");
+  const second = new Random("launch");
+  const sequence = Array.from({ length: 5 }, () => first.next_uint32());
+  assert(
+    sequence.every((value) => value === second.next_uint32()),
+    "Same seed yields the same sequence",
+  );
+  const uniform = Array.from({ length: 200 }, () =>
+    first.sample({ kind: "uniform", min: 10n, max: 20n }),
+  );
+  assert(
+    uniform.every((value) => value >= 10n && value < 20n),
+    "Uniform samples stay within bounds",
+  );
+
+  const percentiles = calculate_percentiles(
+    Array.from({ length: 100 }, (_, i) => BigInt(100 - i)),
+  );
+  assert(
+    percentiles.p5 === 5n &&
+      percentiles.p50 === 50n &&
+      percentiles.p95 === 95n &&
+      percentiles.mean === 50n,
+    "Nearest-rank percentiles of 1..100",
+  );
+
+  const config = {
+    seed: 42,
+    sessions: 6,
+    trades_per_session: 40,
+    system: { min_initial_foreign: 10n * PRECISION },
+  };
+  const report = run_monte_carlo(config);
+  console.log(format_report(report));
+  const replay = run_monte_carlo(config);
+  assert(
+    report.sessions.every(
+      (session, i) =>
+        session.supply === replay.sessions[i].supply &&
+        session.fees_burned === replay.sessions[i].fees_burned,
+    ),
+    "Reports are reproducible from the seed",
+  );
+  const other = run_monte_carlo({ ...config, seed: 43 });
+  assert(
+    other.sessions.some((s, i) => s.supply !== report.sessions[i].supply),
+    "Different seeds produce different sessions",
+  );
+  assert(
+    report.sessions.every((s) => s.buys + s.sells + s.rejected === 40),
+    "Every trade is accounted for",
+  );
+  assert(
+    report.percentiles.floor_ceiling_ppm.max < PPM &&
+      report.percentiles.floor_ceiling_ppm.p5 > 0n,
+    "Floor stays between zero and the ceiling",
+  );
+  const buy_only = run_monte_carlo({ ...config, buy_ppm: PPM });
+  assert(
+    buy_only.sessions.every((s) => s.sells === 0),
+    "Buy/sell mix is configurable",
+  );
+});
+
+runTest("Curve/Pool Arbitrage Agent", () => {
+  console.log("Measuring value leaked to arbitrage under different fees...\n");
+
+  const run = (fee_xyk_ppm, fee_router_ppm) => {
+    const system = create_system({
+      price_initial: PRECISION / 100n,
+      slope_ppm: 1000n,
+      fee_xyk_ppm,
+      fee_router_ppm,
+      shares: {
+        user_ppm: 800000n,
+        pol_ppm: 200000n,
+        treasury_ppm: 0n,
+        team_ppm: 0n,
+      },
+    });
+    system.router.swap_foreign_to_native(10000n * PRECISION, 0n, "alice");
+    const agent = new ArbitrageAgent(system, {
+      account: "arbitrageur",
+      order_foreign_max: 50000n * PRECISION,
+      min_profit_foreign: 0n,
+      interval_blocks: 1n,
+      search_iterations: 60,
+    });
+    agent.start(system.scheduler);
+    system.scheduler.advance(2n);
+    // A whale buys straight from the pool, pushing it far above the curve
+    system.xyk_pool.swap_foreign_to_native(20000n * PRECISION, 0n, "whale");
+    const spread_before = agent.get_spread_ppm();
+    const quoted = agent.quote_profit(1000n * PRECISION);
+    const quoted_again = agent.quote_profit(1000n * PRECISION);
+    const clone = restore_system(snapshot_system(system));
+    const buy = clone.router.swap_foreign_to_native(
+      1000n * PRECISION,
+      0n,
+      "arbitrageur",
+    );
+    const executed =
+      clone.router.swap_native_to_foreign(buy.native_out, 0n, "arbitrageur")
+        .foreign_out -
+      1000n * PRECISION;
+    system.scheduler.advance(2n);
+    return { system, agent, spread_before, quoted, quoted_again, executed };
+  };
+
+  const low = run(1000n, 1000n);
+  const high = run(10000n, 10000n);
+  for (const [label, agent] of Object.entries({
+    "0.1% fees": low.agent,
+    "1% fees": high.agent,
+  })) {
+    console.log(`${label}:`);
+    for (const step of agent.history) {
+      console.log(
+        `  block ${step.block}: spread ${formatPPM(step.spread_ppm)}, in ${formatTokens(step.foreign_in)}, profit ${formatTokens(step.profit)}, total ${formatTokens(step.total_profit)}`,
+      );
+    }
+  }
+
+  const [launch, idle, pumped, settled] = low.agent.history;
+  assert(
+    launch.foreign_in > 0n && launch.profit > 0n,
+    "Agent captures the launch premium",
+  );
+  assert(
+    idle.foreign_in === 0n && idle.spread_ppm < 0n,
+    "No trade once the pool is below the mint cost",
+  );
+  assert(low.spread_before > 0n, "Pool premium detected after fees");
+  assert(
+    low.quoted !== null && low.quoted === low.quoted_again,
+    "Quotes leave the live system untouched",
+  );
+  assert(
+    BigMath.abs(low.quoted - low.executed) < 1_000n,
+    "Quoted profit matches the executed loop up to zap dust",
+  );
+  assert(
+    pumped.profit > 0n && pumped.profit >= low.quoted,
+    "Chosen order beats a fixed-size order",
+  );
+  assert(
+    settled.foreign_in === 0n && low.agent.get_spread_ppm() < 0n,
+    "Arbitrage closes the spread",
+  );
+  assert(
+    low.agent.total_profit ===
+      low.agent.history.reduce((sum, step) => sum + step.profit, 0n),
+    "Profit series accumulates per step",
+  );
+  assert(
+    low.system.verify_conservation().balanced,
+    "Conservation holds after arbitrage",
+  );
+});
+
+runTest("Live Price Boundary Analytics", () => {
+  console.log("Computing floor and ceiling from live state...\n");
+
+  const system = create_system();
+  system.router.swap_foreign_to_native(50000n * PRECISION, 0n, "alice");
+  system.router.swap_foreign_to_native(20000n * PRECISION, 0n, "bob");
+
+  const ceiling = get_ceiling(system);
+  assert(
+    ceiling === system.utbc_minter.get_price(),
+    "Ceiling is the curve price",
+  );
+
+  const native_sold = system.router.get_sellable_native("alice");
+  const estimate = calculate_floor(system, native_sold);
+  const clone = restore_system(snapshot_system(system));
+  clone.router.swap_native_to_foreign(native_sold, 0n, "alice");
+  console.log(
+    `1. Selling ${formatTokens(native_sold)}: floor ${formatPrice(estimate.floor_price)}, ceiling ${formatPrice(estimate.ceiling_price)} → ${formatPrice(estimate.ceiling_price_after)}`,
+  );
+  assert(
+    estimate.floor_price === clone.xyk_pool.get_price(),
+    "Floor matches an actual router sale exactly",
+  );
+  assert(
+    estimate.ceiling_price_after === clone.utbc_minter.get_price(),
+    "Ceiling after the sale reflects the burned router fee",
+  );
+  const treasury_fees = create_system({
+    fee_split: { burn_ppm: 0n, pol_ppm: 0n, treasury_ppm: PPM, team_ppm: 0n },
+  });
+  treasury_fees.router.swap_foreign_to_native(50000n * PRECISION, 0n, "alice");
+  const unburned = calculate_floor(
+    treasury_fees,
+    treasury_fees.router.get_sellable_native("alice"),
+  );
+  assert(
+    unburned.ceiling_price_after === unburned.ceiling_price,
+    "Fees sent to the treasury leave the ceiling unchanged",
+  );
+  assert(
+    system.xyk_pool.reserve_native !== clone.xyk_pool.reserve_native &&
+      calculate_floor(system, native_sold).floor_price === estimate.floor_price,
+    "Analytics do not mutate the system",
+  );
+
+  const half = calculate_floor_for_share(system, PPM / 2n);
+  const third = calculate_floor_for_share(system, PPM / 3n);
+  assert(
+    half.floor_price < third.floor_price,
+    "Selling a larger share lowers the floor",
+  );
+  assert(
+    estimate_floor_ceiling_ppm(PPM / 3n) === 250000n,
+    "Closed-form ratio at s = 1/3 is 25%",
+  );
+
+  console.log("2. Scenario matrix for the current state:");
+  const scenarios = analyze_price_boundaries(system);
+  console.log(format_price_boundaries(scenarios));
+  const [team, treasury, panic, , , abandonment] = scenarios;
+  assert(
+    team.native_sold === system.ledger.get_spendable_native(ACCOUNTS.TEAM) &&
+      treasury.native_sold === system.ledger.get_native(ACCOUNTS.TREASURY),
+    "Team and treasury scenarios sell their holdings",
+  );
+  assert(
+    panic.native_sold ===
+      system.ledger.get_native("alice") + system.ledger.get_native("bob"),
+    "User panic sells every user balance",
+  );
+  assert(
+    abandonment.floor_ceiling_ppm < panic.floor_ceiling_ppm &&
+      panic.floor_ceiling_ppm < team.floor_ceiling_ppm,
+    "Floors order by sellable share",
+  );
+
+  const vested = create_system({
+    vesting: {
+      team: {
+        kind: "linear",
+        cliff_blocks: 0n,
+        duration_blocks: 1000n,
+        step_blocks: 0n,
+      },
+    },
+  });
+  vested.router.swap_foreign_to_native(10000n * PRECISION, 0n, "alice");
+  vested.scheduler.advance(250n);
+  const [team_unlock, , , , , vested_abandonment] =
+    analyze_price_boundaries(vested);
+  const team_total = vested.ledger.get_native(ACCOUNTS.TEAM);
+  assert(
+    team_unlock.native_sold ===
+      vested.ledger.get_spendable_native(ACCOUNTS.TEAM) &&
+      team_unlock.native_sold < team_total &&
+      vested_abandonment.native_sold >= team_total,
+    "Team unlocks sell only vested tokens; abandonment sells the whole allocation",
+  );
+});
+
+runTest("Split Routing Between Pool and Curve", () => {
+  console.log("Splitting a large buy between XYK and the curve...\n");
+
+  const build = () => {
+    const system = create_system();
+    system.router.swap_foreign_to_native(50000n * PRECISION, 0n, "alice");
+    return system;
+  };
+  const system = build();
+  const foreign_in = 100000n * PRECISION;
+  const foreign_net =
+    foreign_in - (foreign_in * system.config.fee_router_ppm) / PPM;
+  const xyk_only = system.xyk_pool.get_out_native(foreign_net);
+  const utbc_only = system.utbc_minter.get_mint_quote(foreign_net).user;
+
+  const before = serialize_snapshot(snapshot_system(system));
+  try {
+    system.router.swap_foreign_to_native_split(
+      foreign_in,
+      PRECISION ** 3n,
+      "bob",
+    );
+    assert(false, "Should enforce minimum output");
+  } catch (e) {
+    assert(e.message === "Slippage exceeded", "Minimum output enforced");
+  }
+  assert(
+    serialize_snapshot(snapshot_system(system)) === before,
+    "Rejected split leaves state untouched",
+  );
+
+  const result = system.router.swap_foreign_to_native_split(
+    foreign_in,
+    0n,
+    "bob",
+  );
+  const { xyk, utbc } = result.legs;
+  console.log(
+    `  XYK leg: ${formatTokens(xyk.foreign_in)} → ${formatTokens(xyk.native_out)}`,
+  );
+  console.log(
+    `  UTBC leg: ${formatTokens(utbc.foreign_in)} → ${formatTokens(utbc.native_out)}`,
+  );
+  console.log(
+    `  Split ${formatTokens(result.native_out)} vs XYK only ${formatTokens(xyk_only)} vs UTBC only ${formatTokens(utbc_only)}`,
+  );
+  assert(result.route === "SPLIT", "Large order is split");
+  assert(
+    xyk.foreign_in + utbc.foreign_in === result.foreign_net,
+    "Legs spend the whole net amount",
+  );
+  assert(
+    result.native_out === xyk.native_out + utbc.native_out &&
+      result.native_out === system.ledger.get_native("bob"),
+    "Per-leg outputs add up to the amount received",
+  );
+  assert(
+    result.native_out > xyk_only && result.native_out > utbc_only,
+    "Split beats both single routes",
+  );
+
+  const reference = build();
+  const plain = reference.router.swap_foreign_to_native(foreign_in, 0n, "bob");
+  assert(
+    result.native_out > plain.native_out,
+    "Split beats the all-or-nothing router",
+  );
+
+  const small = build().router.swap_foreign_to_native_split(
+    10n * PRECISION,
+    0n,
+    "carol",
+  );
+  assert(small.route === "XYK", "Small order uses a single route");
+  assert(system.verify_conservation().balanced, "Conservation holds");
+
+  const guarded = create_system({
+    circuit_breaker: {
+      max_price_move_ppm: PPM / 100n,
+      min_reserve_foreign: 0n,
+    },
+  });
+  guarded.router.swap_foreign_to_native(50000n * PRECISION, 0n, "alice");
+  guarded.circuit_breaker.check();
+  const tripping = guarded.router.swap_foreign_to_native_split(
+    foreign_in,
+    0n,
+    "bob",
+  );
+  assert(
+    tripping.route === "SPLIT" &&
+      guarded.xyk_pool.pause_flag.is_paused() &&
+      guarded.ledger.get_native("bob") === tripping.native_out &&
+      guarded.verify_conservation().balanced,
+    "A breaker tripped by the pool leg does not strand the curve leg",
+  );
+  guarded.utbc_minter.pause_flag.pause("Maintenance");
+  const guarded_before = serialize_snapshot(snapshot_system(guarded));
+  try {
+    guarded.router.swap_foreign_to_native_split(foreign_in, 0n, "carol");
+    assert(false, "Should reject without a route");
+  } catch (e) {
+    assert(
+      e.message.startsWith("No route available") &&
+        serialize_snapshot(snapshot_system(guarded)) === guarded_before,
+      "No leg runs when neither route is available",
+    );
+  }
+
+  const capped = create_system({
+    price_initial: PRECISION / 100n,
+    slope_ppm: 1000n,
+    cap_factor_ppm: 2n * PPM,
+  });
+  capped.router.swap_foreign_to_native(5000n * PRECISION, 0n, "alice");
+  capped.router.swap_native_to_foreign(
+    capped.router.get_sellable_native("alice") / 2n,
+    0n,
+    "alice",
+  );
+  const capped_split = capped.router.swap_foreign_to_native_split(
+    10000n * PRECISION,
+    0n,
+    "bob",
+  );
+  console.log(
+    `  Capped split: XYK ${formatTokens(capped_split.legs.xyk.foreign_in)}, UTBC ${formatTokens(capped_split.legs.utbc.foreign_in)}`,
+  );
+  assert(
+    capped_split.legs.utbc.native_out > 0n &&
+      capped.ledger.get_native("bob") === capped_split.native_out &&
+      capped.verify_conservation().balanced,
+    "Curve leg fits the cap factor after the pool leg circulates its native",
+  );
+});
+
+runTest("Exact-Output Swaps and Inverse Curve Math", () => {
+  console.log("Buying an exact amount of native...\n");
+
+  const system = create_system();
+  const { xyk_pool, utbc_minter, router } = system;
+  router.swap_foreign_to_native(1000n * PRECISION, 0n, "alice");
+
+  console.log("1. XYK inverse:");
+  for (const native of [1n, PRECISION, 50n * PRECISION]) {
+    const foreign = xyk_pool.get_in_foreign(native);
+    assert(
+      xyk_pool.get_out_native(foreign) >= native &&
+        xyk_pool.get_out_native(foreign - 1n) < native,
+      `Minimal foreign input for ${formatTokens(native)} native`,
+    );
+  }
+  const foreign_target = 10n * PRECISION;
+  const native_in = xyk_pool.get_in_native(foreign_target);
+  assert(
+    xyk_pool.get_out_foreign(native_in) >= foreign_target &&
+      xyk_pool.get_out_foreign(native_in - 1n) < foreign_target,
+    "Minimal native input for an exact foreign output",
+  );
+  try {
+    xyk_pool.get_in_foreign(xyk_pool.reserve_native);
+    assert(false, "Should reject outputs beyond reserves");
+  } catch (e) {
+    assert(
+      e.message.includes("exceeds pool reserves"),
+      "Output capped by reserves",
+    );
+  }
+
+  console.log("2. Curve inverse:");
+  for (const native of [PRECISION, 1234n * PRECISION + 567n]) {
+    const foreign = utbc_minter.calculate_mint_cost(native);
+    assert(
+      utbc_minter.calculate_mint(foreign) >= native &&
+        utbc_minter.calculate_mint(foreign - 1n) < native,
+      `Minimal foreign to mint ${formatTokens(native)} native`,
+    );
+  }
+  const quote = utbc_minter.get_mint_cost_quote(100n * PRECISION);
+  assert(
+    quote.user >= 100n * PRECISION &&
+      quote.minted === quote.user + quote.pol + quote.treasury + quote.team,
+    "Cost quote covers the user share after distribution",
+  );
+
+  console.log("3. Router exact-out:");
+  const native_out = 20n * PRECISION;
+  try {
+    router.swap_foreign_to_native_exact_out(native_out, PRECISION, "bob");
+    assert(false, "Should enforce max_foreign_in");
+  } catch (e) {
+    assert(e.message.includes("exceeds maximum"), "Maximum input enforced");
+  }
+  assert(system.ledger.get_native("bob") === 0n, "Rejected swap moves nothing");
+  const clone = restore_system(snapshot_system(system));
+  const result = router.swap_foreign_to_native_exact_out(
+    native_out,
+    1000n * PRECISION,
+    "bob",
+  );
+  console.log(
+    `   ${result.route}: paid ${formatTokens(result.foreign_in)} for ${formatTokens(result.native_out)}`,
+  );
+  assert(
+    result.native_out >= native_out &&
+      result.native_out - native_out < PRECISION / 1000n,
+    "Receives the requested amount up to dust",
+  );
+  assert(
+    system.ledger.get_native("bob") === result.native_out,
+    "Native credited to the buyer",
+  );
+  const quote_in = clone.router.quote_foreign_to_native(result.foreign_in);
+  assert(
+    quote_in.amount_out === result.native_out &&
+      quote_in.router_fee === result.foreign_router_fee,
+    "Execution matches the exact-in quote for the same input",
+  );
+  assert(
+    clone.router.quote_foreign_to_native(result.foreign_in - 1n).amount_out <
+      native_out,
+    "The input is the smallest that delivers the amount",
+  );
+  const big = router.swap_foreign_to_native_exact_out(
+    500n * PRECISION,
+    100000n * PRECISION,
+    "carol",
+  );
+  assert(
+    big.native_out >= 500n * PRECISION && big.route === "UTBC",
+    "Large exact-out order mints when the pool is expensive",
+  );
+  assert(system.verify_conservation().balanced, "Conservation holds");
+});
+
+runTest("Side-Effect-Free Router Quotes", () => {
+  console.log("Quoting trades and comparing with execution...\n");
+
+  const system = create_system();
+  const { router } = system;
+  router.swap_foreign_to_native(1000n * PRECISION, 0n, "alice");
+  // Flush the launch fee, then leave a fee below the swap threshold buffered
+  router.swap_foreign_to_native(10n * PRECISION, 0n, "alice");
+  router.swap_foreign_to_native(2n * PRECISION, 0n, "alice");
+  assert(system.fee_manager.buffer_foreign > 0n, "Fee buffer is non-empty");
+
+  const distributed = [];
+  system.subscribe((event) => distributed.push(event), [EVENTS.DISTRIBUTED]);
+  const state = () => serialize_snapshot(snapshot_system(system));
+  const check = (label, quote, execute, amount_out) => {
+    const before = state();
+    const events_before = system.events.seq;
+    const result = quote();
+    assert(
+      state() === before && system.events.seq === events_before,
+      `${label}: quote mutates nothing`,
+    );
+    const burned_before = system.fee_manager.total_native_burned;
+    const executed = execute();
+    console.log(
+      `   ${label}: ${result.route} out ${formatTokens(result.amount_out)}, alt ${result.alternative_route} ${formatTokens(result.alternative_amount_out)}, impact ${formatPPM(result.price_impact_ppm)}, burn ${formatTokens(result.fee_burn_native)}`,
+    );
+    assert(
+      result.route === executed.route &&
+        result.amount_out === amount_out(executed) &&
+        result.price_after === executed.price_after,
+      `${label}: quote matches execution`,
+    );
+    assert(
+      result.fee_burn_native ===
+        system.fee_manager.total_native_burned - burned_before,
+      `${label}: expected fee burn matches`,
+    );
+    return { result, executed };
+  };
+
+  const buy_xyk = check(
+    "XYK buy",
+    () => router.quote_foreign_to_native(20n * PRECISION),
+    () => router.swap_foreign_to_native(20n * PRECISION, 0n, "bob"),
+    (r) => r.native_out,
+  );
+  assert(buy_xyk.result.xyk_fee > 0n, "XYK fee reported for pool route");
+
+  const buy_utbc = check(
+    "UTBC buy",
+    () => router.quote_foreign_to_native(5000n * PRECISION),
+    () => router.swap_foreign_to_native(5000n * PRECISION, 0n, "bob"),
+    (r) => r.native_out,
+  );
+  assert(
+    buy_utbc.result.pol_native === distributed.at(-1).pol_native,
+    "POL native contribution matches the mint distribution",
+  );
+  assert(
+    buy_utbc.result.pol_foreign === buy_utbc.executed.foreign_net,
+    "POL receives the whole net foreign",
+  );
+
+  check(
+    "Sell",
+    () => router.quote_native_to_foreign(100n * PRECISION),
+    () => router.swap_native_to_foreign(100n * PRECISION, 0n, "bob"),
+    (r) => r.foreign_out,
+  );
+
+  try {
+    router.quote_foreign_to_native(0n);
+    assert(false, "Should validate input");
+  } catch (e) {
+    assert(
+      e.message === "Amount must be positive",
+      "Quotes validate like swaps",
+    );
+  }
+});
+
+runTest("Pluggable Bonding Curves", () => {
+  console.log("Checking curve shapes, inverses and system integration...\n");
+
+  const e = BigMath.exp(PRECISION);
+  assert(
+    e > 2_718_281_828_458n && e < 2_718_281_828_460n,
+    "exp(1) matches e to 12 decimals",
+  );
+  assert(BigMath.exp(0n) === PRECISION, "exp(0) is one");
+
+  const tokens = (/** @type {bigint} */ n) => n * PRECISION;
+  const price_initial = PRECISION / 1_000n;
+  /** @type {Record<string, import("./model.js").CurveConfig>} */
+  const curves = {
+    linear: { kind: "linear" },
+    exponential: { kind: "exponential", growth_ppm: 500n },
+    power: { kind: "power", exponent: 2n },
+    sigmoid: {
+      kind: "sigmoid",
+      price_max: PRECISION / 10n,
+      midpoint: tokens(5_000n),
+      width: tokens(2_000n),
+    },
+    piecewise: {
+      kind: "piecewise",
+      points: [
+        { supply: 0n, price: price_initial },
+        { supply: tokens(1_000n), price: 2n * price_initial },
+        { supply: tokens(5_000n), price: 2n * price_initial },
+        { supply: tokens(10_000n), price: 20n * price_initial },
+      ],
+    },
+  };
+
+  const samples = [0n, 1n, 500n, 999n, 1_000n, 4_999n, 5_000n, 12_000n].map(
+    tokens,
+  );
+  for (const [name, curve_config] of Object.entries(curves)) {
+    const curve = create_curve({
+      price_initial,
+      slope_ppm: PPM / 1_000n,
+      curve: curve_config,
+    });
+    const prices = samples.map((s) => curve.get_price(s));
+    assert(
+      prices.every((p, i) => p > 0n && (i === 0 || p >= prices[i - 1])),
+      `${name}: price is positive and non-decreasing`,
+    );
+
+    let consistent = true;
+    for (const supply of samples) {
+      for (const foreign of [1n, PRECISION / 7n, tokens(3n), tokens(50n)]) {
+        const minted = curve.get_mint(supply, foreign);
+        if (
+          curve.get_cost(supply, minted) > foreign ||
+          curve.get_cost(supply, minted + 1n) <= foreign
+        ) {
+          consistent = false;
+        }
+      }
+    }
+    assert(consistent, `${name}: mint is the largest amount its cost covers`);
+
+    const system = create_system({ curve: curve_config });
+    const { router, utbc_minter } = system;
+    router.swap_foreign_to_native(tokens(1_000n), 0n, "alice");
+    const bought = router.swap_foreign_to_native(tokens(20n), 0n, "bob");
+    const cost = utbc_minter.get_mint_cost_quote(tokens(1n));
+    const exact = router.swap_foreign_to_native_exact_out(
+      tokens(1n),
+      tokens(1_000n),
+      "carol",
+    );
+    console.log(
+      `   ${name}: supply ${formatTokens(utbc_minter.supply)}, price ${formatPrice(utbc_minter.get_price())}, bob got ${formatTokens(bought.native_out)} via ${bought.route}`,
+    );
+    assert(
+      cost !== null && exact.native_out >= tokens(1n),
+      `${name}: exact-out mint delivers the requested amount`,
+    );
+    assert(
+      system.verify_conservation().balanced,
+      `${name}: conservation holds`,
+    );
+  }
+
+  const legacy = create_system();
+  const linear = create_system({ curve: { kind: "linear" } });
+  for (const system of [legacy, linear]) {
+    system.router.swap_foreign_to_native(tokens(1_000n), 0n, "alice");
+    system.router.swap_foreign_to_native(tokens(333n), 0n, "alice");
+  }
+  const { supply, slope_ppm } = legacy.utbc_minter;
+  assert(
+    supply === linear.utbc_minter.supply &&
+      legacy.utbc_minter.get_price() ===
+        price_initial + BigMath.mul_div(slope_ppm, supply, PPM),
+    "Default config uses the linear curve",
+  );
+
+  const parsed = parse_config({
+    curve: {
+      kind: "piecewise",
+      points: [
+        { supply: "0", price: "0.001" },
+        { supply: "1000", price: "0.005" },
+      ],
+    },
+  });
+  assert(
+    Array.isArray(parsed.curve.points) &&
+      parsed.curve.points[1].supply === tokens(1_000n) &&
+      parsed.curve.points[1].price === PRECISION / 200n,
+    "Scenario configs parse piecewise points",
+  );
+
+  try {
+    create_system({ curve: { kind: "power", exponent: 0n } });
+    assert(false, "Should reject a zero exponent");
+  } catch (e) {
+    assert(
+      e.message.includes("positive integer"),
+      "Power curve rejects a zero exponent",
+    );
+  }
+  try {
+    create_system({
+      curve: {
+        kind: "piecewise",
+        points: [
+          { supply: 0n, price: price_initial },
+          { supply: tokens(10n), price: price_initial / 2n },
+        ],
+      },
+    });
+    assert(false, "Should reject a falling price");
+  } catch (e) {
+    assert(
+      e.message.includes("non-decreasing price"),
+      "Piecewise curve rejects a falling price",
+    );
+  }
+});
+
+runTest("Supply Cap and Cap Factor Guard", () => {
+  console.log("Checking hard and relative mint caps...\n");
+
+  console.log("1. Hard cap refuses and the router falls back to XYK:");
+  const capped = create_system({ supply_cap: 1_500n * PRECISION });
+  capped.router.swap_foreign_to_native(1_000n * PRECISION, 0n, "alice");
+  const capacity = capped.utbc_minter.get_mint_capacity();
+  console.log(
+    `   Supply ${formatTokens(capped.utbc_minter.supply)}, capacity ${formatTokens(capacity)}`,
+  );
+  assert(
+    capacity === 1_500n * PRECISION - capped.utbc_minter.supply,
+    "Capacity is the distance to the cap",
+  );
+  try {
+    capped.utbc_minter.mint_native(5_000n * PRECISION, "bob");
+    assert(false, "Should refuse a mint beyond the cap");
+  } catch (e) {
+    assert(e.message.includes("exceeds supply cap"), "Minter refuses");
+  }
+  assert(
+    capped.router.quote_foreign_to_native(5_000n * PRECISION).route === "XYK",
+    "Quote falls back to XYK",
+  );
+  const supply_before = capped.utbc_minter.supply;
+  const fallback = capped.router.swap_foreign_to_native(
+    5_000n * PRECISION,
+    0n,
+    "bob",
+  );
+  assert(
+    fallback.route === "XYK" && capped.utbc_minter.supply <= supply_before,
+    "Router buys from the pool without minting",
+  );
+  const small = capped.router.swap_foreign_to_native(PRECISION, 0n, "bob");
+  assert(small.route === "UTBC", "Mints within capacity still route to UTBC");
+  assert(
+    capped.verify_conservation().balanced,
+    "Conservation holds with the cap",
+  );
+
+  console.log("\n2. Partial fill trims the mint to capacity:");
+  const partial = create_system({
+    supply_cap: 1_500n * PRECISION,
+    cap_partial_fill: true,
+  });
+  partial.router.swap_foreign_to_native(1_000n * PRECISION, 0n, "alice");
+  partial.ledger.deposit_foreign("bob", 5_000n * PRECISION);
+  const mint = partial.utbc_minter.mint_native(5_000n * PRECISION, "bob");
+  console.log(
+    `   Minted ${formatTokens(mint.total_native)} for ${formatTokens(mint.foreign_in)}, unused ${formatTokens(mint.foreign_unused)}`,
+  );
+  assert(
+    partial.utbc_minter.supply <= 1_500n * PRECISION &&
+      partial.utbc_minter.get_mint_capacity() < PRECISION / 1_000n,
+    "Mint fills up to the cap",
+  );
+  assert(
+    mint.foreign_unused > 0n &&
+      partial.ledger.get_foreign("bob") === mint.foreign_unused,
+    "Unspent foreign stays with the payer",
+  );
+  assert(
+    partial.router.swap_foreign_to_native(100n * PRECISION, 0n, "bob").route ===
+      "XYK",
+    "Router does not take partial fills",
+  );
+  assert(
+    partial.verify_conservation().balanced,
+    "Conservation holds after a partial fill",
+  );
+
+  console.log("\n3. Cap factor bounds circulating native by treasury native:");
+  const guarded = create_system({ cap_factor_ppm: 1_600_000n });
+  const { ledger, utbc_minter, router } = guarded;
+  router.swap_foreign_to_native(1_000n * PRECISION, 0n, "alice");
+  assert(
+    utbc_minter.get_mint_capacity() === null,
+    "Mints cannot breach the factor when user share ≤ factor × treasury share",
+  );
+  guarded.xyk_pool.swap_foreign_to_native(100n * PRECISION, 0n, "whale");
+  assert(
+    ledger.get_circulating_native() * PPM >
+      1_600_000n * ledger.get_native(ACCOUNTS.TREASURY),
+    "Pool purchases breach the factor",
+  );
+  assert(utbc_minter.get_mint_capacity() === 0n, "Breach blocks minting");
+  assert(
+    router.swap_foreign_to_native(10n * PRECISION, 0n, "bob").route === "XYK",
+    "Router falls back to XYK while breached",
+  );
+
+  // A factor below user / treasury shares bounds each mint
+  ledger.transfer_native("alice", ACCOUNTS.TREASURY, 100n * PRECISION);
+  utbc_minter.cap_factor_ppm = 1_400_000n;
+  utbc_minter.cap_partial_fill = true;
+  const bound = utbc_minter.get_mint_capacity() ?? 0n;
+  assert(bound > 0n, "Headroom allows a bounded mint");
+  const bounded = utbc_minter.mint_native(100_000n * PRECISION, "carol");
+  console.log(
+    `   Bound ${formatTokens(bound)}, minted ${formatTokens(bounded.total_native)}`,
+  );
+  assert(
+    bounded.foreign_unused > 0n &&
+      bounded.total_native <= bound &&
+      ledger.get_circulating_native() * PPM <=
+        1_400_000n * ledger.get_native(ACCOUNTS.TREASURY),
+    "Mint stops at the factor",
+  );
+  assert(
+    guarded.verify_conservation().balanced,
+    "Conservation holds under the factor",
+  );
+});
+
+runTest("Multiple Foreign Assets", () => {
+  console.log("Trading native against several collateral assets...\n");
+
+  const system = create_system({
+    foreign_assets: {
+      eth: { rate: 2_000n * PRECISION, fee_xyk_ppm: 3_000n },
+      usdc: { rate: PRECISION, fee_xyk_ppm: 1_000n },
+    },
+  });
+  const { router, assets, utbc_minter } = system;
+  assert(
+    assets.list().join() === [FOREIGN, "eth", "usdc"].join(),
+    "Primary and configured assets are registered",
+  );
+  router.swap_foreign_to_native(1_000n * PRECISION, 0n, "alice");
+
+  console.log("1. Minting with a secondary asset:");
+  const eth = assets.get("eth");
+  const primary_reserve_before = system.xyk_pool.reserve_foreign;
+  // The eth pool does not exist yet, so the eth fee stays buffered and supply is unchanged
+  const fee = BigMath.mul_div(
+    PRECISION / 2n,
+    system.config.fee_router_ppm,
+    PPM,
+  );
+  const expected = utbc_minter.get_mint_quote(
+    assets.to_unit("eth", PRECISION / 2n - fee),
+  ).user;
+  const buy = router.swap_foreign_to_native(PRECISION / 2n, 0n, "bob", "eth");
+  console.log(
+    `   0.5 eth bought ${formatTokens(buy.native_out)} native via ${buy.route}`,
+  );
+  assert(
+    buy.route === "UTBC" && buy.native_out === expected,
+    "Mint is valued in the unit of account",
+  );
+  assert(
+    eth.xyk_pool.has_liquidity() &&
+      eth.pol_manager.balance_lp > 0n &&
+      system.xyk_pool.reserve_foreign === primary_reserve_before,
+    "POL seeds the eth pool and leaves the primary pool alone",
+  );
+  assert(
+    eth.pol_manager.account === get_pol_account("eth") &&
+      is_protocol_account(eth.pol_manager.account),
+    "Each asset buffers POL in its own protocol account",
+  );
+  const eth_price_unit = assets.to_unit("eth", eth.xyk_pool.get_price());
+  console.log(
+    `   eth pool price ${formatPrice(eth.xyk_pool.get_price())} eth = ${formatPrice(eth_price_unit)} foreign, curve ${formatPrice(utbc_minter.get_price())}`,
+  );
+
+  console.log("\n2. The router uses the input asset's pool:");
+  const eth_reserve = eth.xyk_pool.reserve_foreign;
+  const primary_reserve = system.xyk_pool.reserve_foreign;
+  const sell = router.swap_native_to_foreign(
+    router.get_sellable_native("bob"),
+    0n,
+    "bob",
+    "eth",
+  );
+  assert(
+    eth.ledger.get_foreign("bob") === sell.foreign_out &&
+      eth.xyk_pool.reserve_foreign === eth_reserve - sell.foreign_out &&
+      system.xyk_pool.reserve_foreign === primary_reserve,
+    "Selling for eth pays out of the eth pool",
+  );
+  const buffered = system.fee_manager.get_buffer_foreign("eth");
+  const swapped_before = system.fee_manager.total_foreign_swapped;
+  const quote = router.quote_foreign_to_native(PRECISION / 100n, "eth");
+  const dip = router.swap_foreign_to_native(PRECISION / 100n, 0n, "bob", "eth");
+  assert(
+    dip.route === "XYK" &&
+      quote.route === "XYK" &&
+      quote.amount_out === dip.native_out,
+    "Cheap eth pool wins the buy and matches its quote",
+  );
+  assert(
+    buffered > 0n &&
+      system.fee_manager.get_buffer_foreign("eth") === 0n &&
+      system.fee_manager.total_foreign_swapped - swapped_before ===
+        assets.to_unit("eth", buffered + dip.foreign_router_fee),
+    "Eth fees buffer in eth and swap through the eth pool",
+  );
+  try {
+    router.swap_foreign_to_native(PRECISION / 1_000_000n, 0n, "bob", "eth");
+    assert(false, "Should enforce the minimum swap value");
+  } catch (e) {
+    assert(
+      e.message.includes("minimum threshold"),
+      "Minimum swap applies to the unit-of-account value",
+    );
+  }
+
+  const primary_before = system.xyk_pool.get_state();
+  const eth_foreign_before = eth.xyk_pool.reserve_foreign;
+  const split = router.swap_foreign_to_native_split(
+    2n * PRECISION,
+    0n,
+    "carol",
+    "eth",
+  );
+  console.log(
+    `   Split 2 eth via ${split.route}: pool ${formatTokens(split.legs.xyk.foreign_in)} eth, curve ${formatTokens(split.legs.utbc.foreign_in)} eth`,
+  );
+  assert(
+    split.route === "SPLIT" &&
+      split.legs.xyk.foreign_in + split.legs.utbc.foreign_in ===
+        split.foreign_net &&
+      system.ledger.get_native("carol") === split.native_out &&
+      eth.xyk_pool.reserve_foreign > eth_foreign_before &&
+      system.xyk_pool.reserve_native === primary_before.reserve_native &&
+      system.xyk_pool.reserve_foreign === primary_before.reserve_foreign,
+    "Split buys use the eth pool and mint against eth",
+  );
+  const target = 5n * PRECISION;
+  const planned = restore_system(snapshot_system(system));
+  const exact = router.swap_foreign_to_native_exact_out(
+    target,
+    PRECISION,
+    "dave",
+    "eth",
+  );
+  console.log(
+    `   Exact-out ${formatTokens(target)} native via ${exact.route} for ${formatTokens(exact.foreign_in)} eth`,
+  );
+  assert(
+    exact.native_out >= target &&
+      planned.router.quote_foreign_to_native(exact.foreign_in, "eth")
+        .amount_out === exact.native_out &&
+      system.xyk_pool.reserve_native === primary_before.reserve_native &&
+      system.xyk_pool.reserve_foreign === primary_before.reserve_foreign,
+    "Exact-out buys are sized and paid in eth",
+  );
+
+  console.log("\n3. Rates, accounting and snapshots:");
+  assets.set_rate("usdc", PRECISION / 2n);
+  assert(
+    assets.to_unit("usdc", 10n * PRECISION) === 5n * PRECISION,
+    "Rates convert into the unit of account",
+  );
+  try {
+    assets.set_rate(FOREIGN, 2n * PRECISION);
+    assert(false, "Should keep the unit of account fixed");
+  } catch (e) {
+    assert(e.message.includes("unit of account"), "Primary rate is fixed");
+  }
+  try {
+    router.swap_foreign_to_native(PRECISION, 0n, "bob", "doge");
+    assert(false, "Should reject an unknown asset");
+  } catch (e) {
+    assert(e.message.includes("Unknown foreign asset"), "Unknown asset");
+  }
+  const conservation = system.verify_conservation();
+  assert(
+    conservation.balanced &&
+      conservation.assets.eth.foreign_held ===
+        conservation.assets.eth.foreign_inflow,
+    "Conservation holds per asset",
+  );
+  const restored = restore_system(
+    parse_snapshot(serialize_snapshot(snapshot_system(system))),
+  );
+  assert(
+    serialize_snapshot(snapshot_system(restored)) ===
+      serialize_snapshot(snapshot_system(system)) &&
+      restored.assets.get("usdc").rate === PRECISION / 2n,
+    "Snapshots round-trip secondary assets",
+  );
+  const legacy = snapshot_system(create_system());
+  delete legacy.assets;
+  assert(
+    restore_system({ ...legacy, version: 1 }).assets.list().length === 1,
+    "Version 1 snapshots migrate without secondary assets",
+  );
+});
+
+runTest("Axial Multi-Hop Routing", () => {
+  console.log("Routing across the pool graph through the native anchor...\n");
+
+  const system = create_system({
+    foreign_assets: { usdc: { rate: PRECISION, fee_xyk_ppm: 1_000n } },
+  });
+  const { axial_router, assets, utbc_minter } = system;
+  system.router.swap_foreign_to_native(1_000n * PRECISION, 0n, "seed");
+  system.router.swap_foreign_to_native(1_000n * PRECISION, 0n, "seed", "usdc");
+  const usdc = assets.get("usdc");
+
+  console.log("1. Direct routes compete with POL preference:");
+  const direct = axial_router.quote(FOREIGN, NATIVE, 10n * PRECISION);
+  for (const route of direct.routes) {
+    console.log(
+      `   ${route.label.padEnd(28)} out ${formatTokens(route.amount_out)} score ${formatTokens(route.score)}`,
+    );
+  }
+  assert(
+    direct.routes
+      .map((r) => r.label)
+      .sort()
+      .join() === ["UTBC:foreign", "XYK:foreign"].join(),
+    "Mint and pool are both direct routes",
+  );
+  const mint = direct.routes.find((r) => r.builds_pol);
+  assert(
+    mint.score === axial_router.calculate_score(mint.amount_out, true, true) &&
+      mint.score > mint.amount_out,
+    "Mint routes earn the POL and native bonuses",
+  );
+
+  console.log("\n2. Foreign to usdc takes two hops:");
+  const quote = axial_router.quote(FOREIGN, "usdc", 10n * PRECISION);
+  assert(
+    quote.routes.length === 2 &&
+      quote.routes.every((r) => r.hops.length === 2 && r.hops[0].to === NATIVE),
+    "Both routes go through native",
+  );
+  const usdc_before = usdc.ledger.get_foreign("alice");
+  const swap = axial_router.swap(
+    FOREIGN,
+    "usdc",
+    10n * PRECISION,
+    quote.best.amount_out,
+    "alice",
+  );
+  console.log(
+    `   ${formatTokens(swap.amount_in)} foreign → ${formatTokens(swap.amount_out)} usdc via ${swap.route}`,
+  );
+  assert(
+    swap.route === quote.best.label &&
+      swap.amount_out === quote.best.amount_out &&
+      usdc.ledger.get_foreign("alice") - usdc_before === swap.amount_out,
+    "Executed output equals the quote",
+  );
+  assert(
+    system.ledger.get_native("alice") === 0n,
+    "Intermediate native does not remain with the trader",
+  );
+  assert(
+    swap.router_fee ===
+      BigMath.mul_div(swap.amount_in, system.config.fee_router_ppm, PPM),
+    "Router fee is charged once per route",
+  );
+
+  console.log("\n3. Native input routes through a single pool:");
+  system.router.swap_foreign_to_native(50n * PRECISION, 0n, "bob");
+  const native_in = system.ledger.get_native("bob");
+  const sell = axial_router.swap(NATIVE, "usdc", native_in, 0n, "bob");
+  console.log(
+    `   ${formatTokens(native_in)} native → ${formatTokens(sell.amount_out)} usdc via ${sell.route}`,
+  );
+  assert(
+    sell.route === "XYK:usdc" && system.ledger.get_native("bob") === 0n,
+    "Native sells into the target asset's pool",
+  );
+
+  console.log("\n4. Reverted routes leave no trace:");
+  const reserves = [
+    system.xyk_pool.reserve_foreign,
+    usdc.xyk_pool.reserve_native,
+    utbc_minter.supply,
+  ].join();
+  try {
+    const best = axial_router.quote(FOREIGN, "usdc", 5n * PRECISION).best;
+    axial_router.swap(
+      FOREIGN,
+      "usdc",
+      5n * PRECISION,
+      best.amount_out + 1n,
+      "carol",
+    );
+    assert(false, "Should reject an unreachable minimum output");
+  } catch (e) {
+    assert(e.message.includes("Slippage"), "Slippage is rejected");
+  }
+  assert(
+    [
+      system.xyk_pool.reserve_foreign,
+      usdc.xyk_pool.reserve_native,
+      utbc_minter.supply,
+    ].join() === reserves,
+    "Nothing executes before the route is validated",
+  );
+  assert(system.verify_conservation().balanced, "Conservation holds");
+
+  console.log("\n5. Unhealthy pools are filtered:");
+  const thin = create_system({
+    foreign_assets: { usdc: { rate: PRECISION, fee_xyk_ppm: 1_000n } },
+    axial_router: {
+      ...system.config.axial_router,
+      min_liquidity: 1_000_000n * PRECISION,
+    },
+  });
+  thin.router.swap_foreign_to_native(1_000n * PRECISION, 0n, "seed");
+  const xyk_hop = thin.axial_router
+    .get_hops()
+    .find((hop) => hop.venue === "XYK" && hop.asset === FOREIGN);
+  console.log(`   XYK:foreign ${thin.axial_router.get_hop_health(xyk_hop)}`);
+  assert(
+    thin.axial_router.get_hop_health(xyk_hop) ===
+      "Pool liquidity below minimum",
+    "Thin pools report why they are unhealthy",
+  );
+  assert(
+    thin.axial_router
+      .quote(FOREIGN, NATIVE, 10n * PRECISION)
+      .routes.every((r) => r.label === "UTBC:foreign"),
+    "Only the curve remains",
+  );
+  try {
+    thin.axial_router.swap(FOREIGN, "usdc", 10n * PRECISION, 0n, "alice");
+    assert(false, "Should find no route into an empty pool");
+  } catch (e) {
+    assert(e.message.includes("No route"), "Missing routes are reported");
+  }
+});
+
+runTest("TVL-Weighted EMA Price Oracle", () => {
+  console.log("Smoothing the native price across pools...\n");
+
+  const system = create_system({
+    foreign_assets: { usdc: { rate: PRECISION, fee_xyk_ppm: 1_000n } },
+  });
+  const { oracle, router, assets } = system;
+  assert(
+    oracle.get_ema_price() === null && oracle.is_stale(),
+    "No price before any pool has liquidity",
+  );
+
+  console.log("1. The first observation seeds the EMA:");
+  router.swap_foreign_to_native(1_000n * PRECISION, 0n, "seed");
+  const seeded = oracle.get_ema_price();
+  console.log(`   EMA ${formatPrice(seeded)}`);
+  assert(
+    seeded === system.xyk_pool.get_price() && !oracle.is_stale(),
+    "EMA follows the only pool's price in its first block",
+  );
+
+  console.log("\n2. Trades within a block do not compound:");
+  system.scheduler.advance(1n);
+  router.swap_foreign_to_native(1_000n * PRECISION, 0n, "whale", FOREIGN);
+  const alpha = system.config.oracle.ema_alpha_ppm;
+  const step = (/** @type {bigint} */ previous, /** @type {bigint} */ spot) =>
+    BigMath.mul_div(previous, PPM - alpha, PPM) +
+    BigMath.mul_div(spot, alpha, PPM);
+  const whale = router.swap_native_to_foreign(
+    router.get_sellable_native("whale"),
+    0n,
+    "whale",
+  );
+  const spot = oracle.get_spot_price();
+  console.log(
+    `   spot ${formatPrice(whale.price_before)} → ${formatPrice(spot)}, EMA ${formatPrice(oracle.get_ema_price())}`,
+  );
+  assert(
+    oracle.get_ema_price() === step(seeded, spot),
+    "Latest trade in the block sets the block's EMA step",
+  );
+  const gap_spot = BigMath.abs(spot - seeded);
+  const gap_ema = BigMath.abs(oracle.get_ema_price() - seeded);
+  assert(
+    gap_ema <= BigMath.mul_div(gap_spot, alpha, PPM) + 1n,
+    "EMA moves by at most alpha of the spot move",
+  );
+
+  console.log("\n3. Each block steps from the previous EMA:");
+  const previous = oracle.get_ema_price();
+  system.scheduler.advance(1n);
+  system.xyk_pool.swap_foreign_to_native(PRECISION, 0n, "bob");
+  assert(
+    oracle.get_ema_price() === step(previous, oracle.get_spot_price()),
+    "Next block folds the new spot into the EMA",
+  );
+
+  console.log("\n4. Pools are weighted by TVL:");
+  router.swap_foreign_to_native(500n * PRECISION, 0n, "seed", "usdc");
+  const usdc = assets.get("usdc").xyk_pool;
+  const tvl_foreign = 2n * system.xyk_pool.reserve_foreign;
+  const tvl_usdc = 2n * usdc.reserve_foreign;
+  const expected =
+    (system.xyk_pool.get_price() * tvl_foreign + usdc.get_price() * tvl_usdc) /
+    (tvl_foreign + tvl_usdc);
+  console.log(
+    `   foreign ${formatPrice(system.xyk_pool.get_price())}, usdc ${formatPrice(usdc.get_price())} → ${formatPrice(oracle.get_spot_price())}`,
+  );
+  assert(
+    oracle.get_spot_price() === expected &&
+      oracle.total_liquidity === tvl_foreign + tvl_usdc,
+    "Spot price is the TVL-weighted mean",
+  );
+
+  console.log("\n5. Staleness and snapshots:");
+  system.scheduler.advance(system.config.oracle.ttl_blocks + 1n);
+  assert(oracle.is_stale(), "Oracle goes stale without pool activity");
+  const restored = restore_system(
+    parse_snapshot(serialize_snapshot(snapshot_system(system))),
+  );
+  assert(
+    restored.oracle.get_ema_price() === oracle.get_ema_price() &&
+      restored.oracle.last_updated === oracle.last_updated,
+    "Snapshots keep the price history",
+  );
+  const legacy = snapshot_system(system);
+  delete legacy.oracle;
+  assert(
+    restore_system({ ...legacy, version: 2 }).oracle.get_ema_price() === null,
+    "Version 2 snapshots restore without price history",
+  );
+});
+
+runTest("Pause Flags and Circuit Breakers", () => {
+  console.log("Switching components off and tripping breakers...\n");
+
+  const system = create_system({});
+  const { router, xyk_pool, utbc_minter, pol_manager } = system;
+  router.swap_foreign_to_native(1_000n * PRECISION, 0n, "seed");
+
+  console.log("1. A paused minter leaves the pool route:");
+  utbc_minter.pause_flag.pause("Curve audit");
+  const quote = router.quote_foreign_to_native(PRECISION);
+  console.log(
+    `   filtered: ${quote.filtered.map((f) => `${f.route} (${f.reason})`).join(", ")}`,
+  );
+  assert(
+    quote.route === "XYK" &&
+      quote.filtered.length === 1 &&
+      quote.filtered[0].reason === "Minter paused: Curve audit",
+    "Quote reports the paused curve",
+  );
+  assert(
+    router.swap_foreign_to_native(PRECISION, 0n, "alice").route === "XYK",
+    "Buys fall back to the pool",
+  );
+  try {
+    utbc_minter.mint_native(PRECISION, "alice");
+    assert(false, "Should reject mints while paused");
+  } catch (e) {
+    assert(
+      e.message === "Minter is paused: Curve audit",
+      "Direct mints are rejected with the reason",
+    );
+  }
+  utbc_minter.pause_flag.resume();
+
+  console.log("\n2. A paused pool keeps POL in buffers:");
+  xyk_pool.pause_flag.pause();
+  const reserves = `${xyk_pool.reserve_native}/${xyk_pool.reserve_foreign}`;
+  const lp = pol_manager.balance_lp;
+  const buy = router.swap_foreign_to_native(100n * PRECISION, 0n, "bob");
+  assert(
+    buy.route === "UTBC" &&
+      `${xyk_pool.reserve_native}/${xyk_pool.reserve_foreign}` === reserves &&
+      pol_manager.balance_lp === lp &&
+      pol_manager.buffer_foreign > 0n,
+    "Mints route around the pool and buffer POL",
+  );
+  try {
+    router.swap_native_to_foreign(buy.native_out, 0n, "bob");
+    assert(false, "Should reject sells into a paused pool");
+  } catch (e) {
+    assert(e.message.includes("Pool is paused"), "Sells are rejected");
+  }
+  xyk_pool.pause_flag.resume();
+  assert(system.verify_conservation().balanced, "Conservation holds");
+
+  console.log("\n3. A price spike trips the breaker:");
+  const guarded = create_system({
+    circuit_breaker: { max_price_move_ppm: 50_000n, min_reserve_foreign: 0n },
+  });
+  guarded.router.swap_foreign_to_native(1_000n * PRECISION, 0n, "seed");
+  guarded.scheduler.advance(1n);
+  guarded.router.swap_foreign_to_native(10n * PRECISION, 0n, "alice");
+  assert(
+    guarded.circuit_breaker.trips.length === 0,
+    "Small trades stay within the limit",
+  );
+  const dump = guarded.router.swap_native_to_foreign(
+    guarded.router.get_sellable_native("seed"),
+    0n,
+    "seed",
+  );
+  const trip = guarded.circuit_breaker.trips[0];
+  console.log(
+    `   impact ${formatPPM(dump.price_impact_ppm)}, tripped: ${trip?.reason}`,
+  );
+  assert(
+    trip?.asset === FOREIGN &&
+      trip.reason.startsWith("Price moved") &&
+      guarded.xyk_pool.pause_flag.is_paused(),
+    "The pool is paused with the breaker's reason",
+  );
+  const axial = guarded.axial_router.quote(FOREIGN, NATIVE, 10n * PRECISION);
+  console.log(
+    `   axial routes: ${axial.routes.map((r) => r.label).join(", ")}; filtered: ${axial.filtered.map((f) => f.label).join(", ")}`,
+  );
+  assert(
+    axial.routes.every((r) => r.builds_pol) &&
+      axial.filtered.some(
+        (f) => f.hop === "XYK:foreign" && f.reason.includes("Price moved"),
+      ),
+    "The axial router reports the filtered pool route and why",
+  );
+  try {
+    guarded.axial_router.swap(NATIVE, FOREIGN, PRECISION, 0n, "alice");
+    assert(false, "Should find no route out of native");
+  } catch (e) {
+    console.log(`   ${e.message}`);
+    assert(
+      e.message.includes("XYK:foreign") && e.message.includes("Price moved"),
+      "Missing routes are explained",
+    );
+  }
+  const restored = restore_system(
+    parse_snapshot(serialize_snapshot(snapshot_system(guarded))),
+  );
+  assert(
+    restored.xyk_pool.pause_flag.reason === trip.reason &&
+      restored.circuit_breaker.trips.length === 1,
+    "Snapshots keep pauses and trips",
+  );
+  guarded.circuit_breaker.resume(FOREIGN);
+  assert(
+    guarded.router.swap_foreign_to_native(10n * PRECISION, 0n, "alice")
+      .native_out > 0n && guarded.circuit_breaker.trips.length === 1,
+    "Admin resume restarts the price window",
+  );
+
+  console.log("\n4. Thin reserves trip the breaker:");
+  const thin = create_system({
+    circuit_breaker: {
+      max_price_move_ppm: 0n,
+      min_reserve_foreign: 2_000n * PRECISION,
+    },
+  });
+  thin.router.swap_foreign_to_native(1_000n * PRECISION, 0n, "seed");
+  console.log(`   tripped: ${thin.circuit_breaker.trips[0]?.reason}`);
+  assert(
+    thin.circuit_breaker.trips[0]?.reason.includes("below minimum") &&
+      thin.xyk_pool.pause_flag.is_paused(),
+    "A pool below the reserve minimum is paused",
+  );
+
+  console.log("\n5. Emergency pause stops every component:");
+  system.emergency_pause("Incident");
+  for (const [name, action] of /** @type {[string, () => unknown][]} */ ([
+    ["router", () => router.swap_foreign_to_native(PRECISION, 0n, "alice")],
+    [
+      "axial router",
+      () => system.axial_router.swap(FOREIGN, NATIVE, PRECISION, 0n, "alice"),
+    ],
+    ["pool", () => xyk_pool.swap_foreign_to_native(PRECISION, 0n, "alice")],
+  ])) {
+    try {
+      action();
+      assert(false, `Should reject ${name} calls`);
+    } catch (e) {
+      assert(e.message.endsWith("paused: Incident"), `${name} is paused`);
+    }
+  }
+  system.emergency_resume();
+  assert(
+    router.swap_foreign_to_native(PRECISION, 0n, "alice").native_out > 0n,
+    "Emergency resume restores trading",
+  );
+});
+
+runTest("Alternative Pool Models", () => {
+  console.log("Running one scenario against every pool model...\n");
+
+  /** @type {[string, import("./model.js").PoolConfig][]} */
+  const models = [
+    ["XYK", { kind: "xyk" }],
+    ["StableSwap A=50", { kind: "stable", amplification: 50n }],
+    ["Weighted 50/50", { kind: "weighted", weight_native_ppm: 500_000n }],
+    ["Weighted 80/20", { kind: "weighted", weight_native_ppm: 800_000n }],
+    [
+      "Concentrated 0.5x-100x",
+      {
+        kind: "concentrated",
+        price_lower_ppm: 500_000n,
+        price_upper_ppm: 100_000_000n,
+      },
+    ],
+  ];
+  const systems = new Map(
+    models.map(([name, pool]) => {
+      const system = create_system({ pool });
+      for (let i = 0; i < 5; i++) {
+        system.router.swap_foreign_to_native(10_000n * PRECISION, 0n, "alice");
+      }
+      return [name, system];
+    }),
+  );
+
+  console.log("1. Every model serves the router, POL and analytics:");
+  console.log(
+    "   Model                   Impact 100   Floor 10%   Floor 20%   Floor 67%",
+  );
+  /** @type {Map<string, bigint[]>} */
+  const floors = new Map();
+  for (const [name, system] of systems) {
+    const { router, xyk_pool, pol_manager } = system;
+    const quote = router.quote_native_to_foreign(100n * PRECISION);
+    const row = [100_000n, 200_000n, 670_000n].map(
+      (share) => calculate_floor_for_share(system, share).floor_ceiling_ppm,
+    );
+    floors.set(name, row);
+    console.log(
+      `   ${name.padEnd(22)}  ${formatPPM(quote.price_impact_ppm).padStart(10)}  ${row.map((ppm) => formatPPM(ppm).padStart(10)).join("  ")}`,
+    );
+    const sell = router.swap_native_to_foreign(100n * PRECISION, 0n, "alice");
+    assert(
+      sell.foreign_out === quote.amount_out &&
+        pol_manager.balance_lp > 0n &&
+        system.verify_conservation().balanced,
+      `${name}: quote matches execution, POL holds LP, conservation holds`,
+    );
+    const native = xyk_pool.get_in_foreign(10n * PRECISION);
+    assert(
+      xyk_pool.get_out_native(native) >= 10n * PRECISION &&
+        xyk_pool.get_out_native(native - 1n) < 10n * PRECISION,
+      `${name}: exact-output quote is the minimal input`,
+    );
+  }
+
+  console.log("\n2. Model shapes:");
+  const [xyk, weighted] = [
+    systems.get("XYK"),
+    systems.get("Weighted 50/50"),
+  ].map((s) => /** @type {NonNullable<typeof s>} */ (s));
+  assert(
+    BigMath.abs(
+      weighted.xyk_pool.get_out_foreign(PRECISION) -
+        xyk.xyk_pool.get_out_foreign(PRECISION),
+    ) <= 1n &&
+      floors.get("Weighted 50/50")?.join() === floors.get("XYK")?.join(),
+    "A 50/50 weighted pool matches constant product",
+  );
+  const stable = /** @type {bigint[]} */ (floors.get("StableSwap A=50"));
+  assert(
+    stable[2] - stable[0] < PPM / 10n,
+    "StableSwap holds its price near the peg while selling drains it",
+  );
+  const concentrated = /** @type {bigint[]} */ (
+    floors.get("Concentrated 0.5x-100x")
+  );
+  const xyk_floors = /** @type {bigint[]} */ (floors.get("XYK"));
+  assert(
+    concentrated[0] > xyk_floors[0] &&
+      concentrated[2] === 0n &&
+      xyk_floors[2] > 0n,
+    "Concentrated liquidity is deeper in range but its floor collapses to zero",
+  );
+
+  console.log("\n3. A depleted range stops trading and buffers POL:");
+  const depleted = create_system({
+    pool: {
+      kind: "concentrated",
+      price_lower_ppm: 900_000n,
+      price_upper_ppm: 100_000_000n,
+    },
+  });
+  depleted.router.swap_foreign_to_native(10_000n * PRECISION, 0n, "alice");
+  const pool = depleted.xyk_pool;
+  const dump = depleted.router.swap_native_to_foreign(
+    depleted.router.get_sellable_native("alice"),
+    0n,
+    "alice",
+  );
+  console.log(
+    `   sold for ${formatTokens(dump.foreign_out)}, foreign left ${formatTokens(pool.reserve_foreign)}`,
+  );
+  assert(
+    pool.reserve_foreign === 0n &&
+      pool.is_depleted() &&
+      !pool.is_tradable() &&
+      dump.price_after === 0n,
+    "The sale drains the foreign reserve",
+  );
+  const lp = depleted.pol_manager.balance_lp;
+  const buy = depleted.router.swap_foreign_to_native(
+    1_000n * PRECISION,
+    0n,
+    "bob",
+  );
+  assert(
+    buy.route === "UTBC" &&
+      depleted.pol_manager.balance_lp === lp &&
+      depleted.pol_manager.buffer_foreign > 0n &&
+      depleted.verify_conservation().balanced,
+    "Mints keep working and POL stays in buffers",
+  );
+
+  console.log("\n4. Pool parameters survive snapshots:");
+  for (const name of ["StableSwap A=50", "Concentrated 0.5x-100x"]) {
+    const system = /** @type {NonNullable<ReturnType<typeof systems.get>>} */ (
+      systems.get(name)
+    );
+    const restored = restore_system(
+      parse_snapshot(serialize_snapshot(snapshot_system(system))),
+    );
+    assert(
+      restored.xyk_pool.constructor === system.xyk_pool.constructor &&
+        restored.xyk_pool.get_out_native(PRECISION) ===
+          system.xyk_pool.get_out_native(PRECISION),
+      `${name}: restored pool quotes identically`,
+    );
+  }
+  try {
+    create_system({
+      pool: {
+        kind: "concentrated",
+        price_lower_ppm: 1_200_000n,
+        price_upper_ppm: 2_000_000n,
+      },
+    });
+    assert(false, "Should reject a range excluding the initial price");
+  } catch (e) {
+    assert(
+      e.message === "Price range must contain the initial price",
+      "Range must contain the initial price",
+    );
+  }
+});
+
+runTest("Third-Party Liquidity Providers", () => {
+  console.log("Mercenary LP entering and leaving the pool...\n");
+
+  const system = create_system({});
+  const { router, xyk_pool, pol_manager, ledger, oracle } = system;
+  router.swap_foreign_to_native(10_000n * PRECISION, 0n, "seed");
+  ledger.deposit_foreign("whale", 5_000n * PRECISION);
+  const bought = router.swap_foreign_to_native(2_000n * PRECISION, 0n, "whale");
+  const floor_before = calculate_floor_for_share(system, 300_000n);
+
+  console.log("1. Providers own their LP:");
+  const added = xyk_pool.add_liquidity(
+    bought.native_out,
+    3_000n * PRECISION,
+    "whale",
+  );
+  const floor_during = calculate_floor_for_share(system, 300_000n);
+  const total_lp = [...xyk_pool.lp_balances.values()].reduce(
+    (a, b) => a + b,
+    0n,
+  );
+  console.log(
+    `   whale ${formatTokens(added.lp_minted)} LP, POL ${formatTokens(xyk_pool.get_lp(ACCOUNTS.POL))} LP`,
+  );
+  assert(
+    xyk_pool.get_lp("whale") === added.lp_minted &&
+      xyk_pool.get_lp(ACCOUNTS.POL) === pol_manager.balance_lp &&
+      total_lp === xyk_pool.supply_lp,
+    "Balances sum to the LP supply",
+  );
+  console.log(
+    `   floor at 30% sold: ${formatPPM(floor_before.floor_ceiling_ppm)} -> ${formatPPM(floor_during.floor_ceiling_ppm)}`,
+  );
+  assert(
+    floor_during.floor_price > floor_before.floor_price,
+    "Third-party depth raises the floor",
+  );
+
+  console.log("\n2. Withdrawals are guarded:");
+  const reserves = `${xyk_pool.reserve_native}/${xyk_pool.reserve_foreign}`;
+  const rejected = /** @type {[string, () => unknown, string][]} */ ([
+    [
+      "POL",
+      () => xyk_pool.remove_liquidity(1n, 0n, 0n, ACCOUNTS.POL),
+      "Protocol-owned liquidity cannot be withdrawn",
+    ],
+    [
+      "overdraw",
+      () => xyk_pool.remove_liquidity(added.lp_minted + 1n, 0n, 0n, "whale"),
+      "Insufficient LP balance",
+    ],
+    [
+      "min-out",
+      () =>
+        xyk_pool.remove_liquidity(
+          added.lp_minted,
+          added.native_used + 1n,
+          0n,
+          "whale",
+        ),
+      "Slippage exceeded",
+    ],
+  ]);
+  for (const [name, action, message] of rejected) {
+    try {
+      action();
+      assert(false, `Should reject ${name}`);
+    } catch (e) {
+      assert(e.message.startsWith(message), `Rejects ${name}: ${message}`);
+    }
+  }
+  assert(
+    `${xyk_pool.reserve_native}/${xyk_pool.reserve_foreign}` === reserves,
+    "Rejected withdrawals leave the pool untouched",
+  );
+
+  console.log("\n3. The mercenary exits:");
+  /** @type {any[]} */
+  const removed_events = [];
+  system.subscribe((e) => removed_events.push(e), [EVENTS.LIQUIDITY_REMOVED]);
+  const liquidity_before = oracle.total_liquidity;
+  const half = xyk_pool.remove_liquidity(added.lp_minted / 2n, 0n, 0n, "whale");
+  const rest = xyk_pool.remove_liquidity(
+    xyk_pool.get_lp("whale"),
+    0n,
+    0n,
+    "whale",
+  );
+  const native_back = half.native_out + rest.native_out;
+  const foreign_back = half.foreign_out + rest.foreign_out;
+  console.log(
+    `   back ${formatTokens(native_back)} native + ${formatTokens(foreign_back)} foreign`,
+  );
+  assert(
+    native_back <= added.native_used &&
+      foreign_back <= added.foreign_used &&
+      added.native_used - native_back <= 2n &&
+      added.foreign_used - foreign_back <= 2n,
+    "Withdrawal is proportional and never exceeds the deposit",
+  );
+  assert(
+    !xyk_pool.lp_balances.has("whale") &&
+      removed_events.length === 2 &&
+      oracle.total_liquidity < liquidity_before &&
+      system.verify_conservation().balanced,
+    "Events fire, the oracle follows and conservation holds",
+  );
+  const floor_after = calculate_floor_for_share(system, 300_000n);
+  assert(
+    BigMath.abs(floor_after.floor_price - floor_before.floor_price) <=
+      floor_before.floor_price / 1_000_000n,
+    "The floor returns to its POL-only level",
+  );
+
+  console.log("\n4. LP balances survive snapshots:");
+  xyk_pool.add_liquidity(
+    ledger.get_native("whale"),
+    ledger.get_foreign("whale"),
+    "whale",
+  );
+  const snapshot = snapshot_system(system);
+  const restored = restore_system(parse_snapshot(serialize_snapshot(snapshot)));
+  assert(
+    restored.xyk_pool.get_lp("whale") === xyk_pool.get_lp("whale") &&
+      serialize_snapshot(snapshot_system(restored)) ===
+        serialize_snapshot(snapshot),
+    "Snapshots round-trip provider balances",
+  );
+  const legacy = restore_system({
+    ...snapshot,
+    version: 4,
+    xyk_pool: { ...snapshot.xyk_pool, lp_balances: undefined },
+  });
+  assert(
+    legacy.xyk_pool.get_lp(ACCOUNTS.POL) === pol_manager.balance_lp &&
+      legacy.xyk_pool.get_lp(ACCOUNTS.USER) === xyk_pool.get_lp("whale"),
+    "Version 4 snapshots attribute LP to POL first",
+  );
+
+  console.log("\n5. Scenarios drive providers:");
+  const result = run_scenario({
+    name: "mercenary",
+    actors: { alice: { foreign: "3000" }, whale: { foreign: "3000" } },
+    steps: [
+      { action: "buy", actor: "alice", foreign: "2000" },
+      { action: "buy", actor: "whale", foreign: "1000" },
+      {
+        action: "add_liquidity",
+        actor: "whale",
+        native: "1000000",
+        foreign: "500",
+      },
+      { action: "assert", metric: "lp", actor: "whale", op: ">", value: "0" },
+      { action: "remove_liquidity", actor: "whale", lp: "all" },
+      { action: "assert", metric: "lp", actor: "whale", op: "==", value: "0" },
+    ],
+  });
+  assert(result.passed, `Scenario passes (${result.error ?? "ok"})`);
+});
+
+runTest("Optimal Zap", () => {
+  console.log("POL zaps its excess side with the sqrt formula...\n");
+
+  const system = create_system({});
+  const { router, xyk_pool, pol_manager, ledger } = system;
+  router.swap_foreign_to_native(10_000n * PRECISION, 0n, "seed");
+
+  console.log("1. The swap leaves both sides in the post-swap ratio:");
+  for (const [amount, native_in] of /** @type {[bigint, boolean][]} */ ([
+    [1_000n * PRECISION, false],
+    [50n * PRECISION, true],
+  ])) {
+    const swap = xyk_pool.get_zap_swap(amount, native_in);
+    const out = native_in
+      ? xyk_pool.get_out_foreign(swap)
+      : xyk_pool.get_out_native(swap);
+    const [reserve_in, reserve_out] = native_in
+      ? [xyk_pool.reserve_native + swap, xyk_pool.reserve_foreign - out]
+      : [xyk_pool.reserve_foreign + swap, xyk_pool.reserve_native - out];
+    const mismatch_ppm = BigMath.mul_div(
+      BigMath.abs((amount - swap) * reserve_out - out * reserve_in),
+      PPM,
+      out * reserve_in,
+    );
+    const search = Pool.prototype.get_zap_swap.call(
+      xyk_pool,
+      amount,
+      native_in,
+    );
+    console.log(
+      `   ${native_in ? "native " : "foreign"} ${formatTokens(amount)}: swap ${formatTokens(swap)}, mismatch ${mismatch_ppm} ppm`,
+    );
+    assert(
+      mismatch_ppm === 0n && BigMath.abs(search - swap) <= 10n,
+      "Fee-aware closed form agrees with the generic search",
+    );
+  }
+
+  console.log("\n2. Excess foreign from a mint no longer strands native:");
+  /** @type {any[]} */
+  const zaps = [];
+  system.subscribe((e) => zaps.push(e), [EVENTS.ZAP_SWAPPED]);
+  const buy = router.swap_foreign_to_native(50_000n * PRECISION, 0n, "alice");
+  const capital = pol_manager.get_capital();
+  console.log(
+    `   LP ${formatTokens(capital.native_in_lp)} native + ${formatTokens(capital.foreign_in_lp)} foreign, buffered ${capital.native_buffered} + ${capital.foreign_buffered} units`,
+  );
+  assert(
+    buy.route === "UTBC" &&
+      zaps.length === 1 &&
+      zaps[0].foreign_in > 0n &&
+      zaps[0].native_out > 0n,
+    "The excess foreign is partly swapped",
+  );
+  assert(
+    capital.native_buffered < PRECISION / 1_000_000n &&
+      capital.foreign_buffered < PRECISION / 1_000_000n &&
+      capital.lp_ppm >= PPM - 1n,
+    "Only dust stays buffered",
+  );
+
+  console.log("\n3. Excess native is zapped into foreign:");
+  const native = router.get_sellable_native("alice") / 2n;
+  ledger.debit_native("alice", native);
+  const result = pol_manager.add_liquidity(native, 0n);
+  console.log(
+    `   LP minted ${formatTokens(result.lp_minted)}, buffered ${result.native_buffered} + ${result.foreign_buffered} units`,
+  );
+  assert(
+    zaps.length === 2 &&
+      zaps[1].native_in > 0n &&
+      zaps[1].foreign_out > 0n &&
+      result.lp_minted > 0n &&
+      result.native_used > native - PRECISION / 1_000_000n,
+    "Native is swapped in part and added",
+  );
+  assert(
+    result.native_buffered < PRECISION / 1_000_000n &&
+      result.foreign_buffered < PRECISION / 1_000_000n &&
+      system.verify_conservation().balanced,
+    "Buffers hold only dust and conservation holds",
+  );
+
+  console.log("\n4. Other pool models zap by search:");
+  const weighted = create_system({
+    pool: { kind: "weighted", weight_native_ppm: 800_000n },
+  });
+  weighted.router.swap_foreign_to_native(10_000n * PRECISION, 0n, "seed");
+  weighted.router.swap_foreign_to_native(50_000n * PRECISION, 0n, "alice");
+  const weighted_capital = weighted.pol_manager.get_capital();
+  console.log(
+    `   buffered ${weighted_capital.native_buffered} + ${weighted_capital.foreign_buffered} units, in LP ${formatPPM(weighted_capital.lp_ppm)}`,
+  );
+  assert(
+    weighted_capital.lp_ppm >= PPM - 1n &&
+      weighted.verify_conservation().balanced,
+    "Weighted pools keep POL in LP too",
+  );
+});
+
+runTest("Fee Allocation Policies", () => {
+  console.log("Router fees split between burn, POL, treasury and team...\n");
+
+  const policies = {
+    "burn only": {
+      burn_ppm: PPM,
+      pol_ppm: 0n,
+      treasury_ppm: 0n,
+      team_ppm: 0n,
+    },
+    "fee to POL": {
+      burn_ppm: 0n,
+      pol_ppm: PPM,
+      treasury_ppm: 0n,
+      team_ppm: 0n,
+    },
+    "fee to treasury": {
+      burn_ppm: 0n,
+      pol_ppm: 0n,
+      treasury_ppm: PPM,
+      team_ppm: 0n,
+    },
+    mixed: {
+      burn_ppm: PPM / 2n,
+      pol_ppm: PPM / 4n,
+      treasury_ppm: PPM / 8n,
+      team_ppm: PPM / 8n,
+    },
+  };
+  /** Identical trading for every policy */
+  const trade = (/** @type {ReturnType<typeof create_system>} */ system) => {
+    const { router } = system;
+    router.swap_foreign_to_native(10_000n * PRECISION, 0n, "alice");
+    router.swap_foreign_to_native(500n * PRECISION, 0n, "bob");
+    router.swap_native_to_foreign(
+      router.get_sellable_native("alice") / 2n,
+      0n,
+      "alice",
+    );
+    router.swap_foreign_to_native(5_000n * PRECISION, 0n, "bob");
+  };
+
+  console.log("1. Same trades under each policy:");
+  /** @type {Record<string, ReturnType<typeof create_system>>} */
+  const systems = {};
+  for (const [name, fee_split] of Object.entries(policies)) {
+    const system = create_system({ fee_split });
+    trade(system);
+    systems[name] = system;
+    const { fee_manager, pol_manager, ledger } = system;
+    console.log(
+      `   ${name.padEnd(16)} burned ${formatTokens(fee_manager.total_native_burned)}, POL LP ${formatTokens(pol_manager.balance_lp)}, treasury ${formatTokens(ledger.get_native(ACCOUNTS.TREASURY))} native`,
+    );
+    assert(
+      system.verify_conservation().balanced,
+      `${name}: conservation holds`,
+    );
+  }
+  const burn_only = systems["burn only"];
+  const to_pol = systems["fee to POL"];
+  const to_treasury = systems["fee to treasury"];
+  assert(
+    burn_only.fee_manager.total_native_burned > 0n &&
+      to_pol.fee_manager.total_native_burned === 0n &&
+      to_treasury.fee_manager.total_native_burned === 0n,
+    "Only the burn share is burned",
+  );
+  assert(
+    burn_only.fee_manager.allocated.pol.foreign === 0n &&
+      to_pol.fee_manager.allocated.pol.foreign ===
+        burn_only.fee_manager.fees.foreign &&
+      to_pol.fee_manager.allocated.pol.native ===
+        burn_only.fee_manager.fees.native,
+    "Fee-to-POL routes every fee to POL",
+  );
+  assert(
+    to_pol.pol_manager.contributed_foreign >
+      burn_only.pol_manager.contributed_foreign,
+    "POL fee shares join the pool with the next zap",
+  );
+  assert(
+    to_treasury.ledger.get_foreign(ACCOUNTS.TREASURY) ===
+      to_treasury.fee_manager.fees.foreign &&
+      to_treasury.ledger.get_native(ACCOUNTS.TREASURY) ===
+        burn_only.ledger.get_native(ACCOUNTS.TREASURY) +
+          to_treasury.fee_manager.fees.native,
+    "Fee-to-treasury sends fees as is",
+  );
+
+  const lp_before = to_pol.pol_manager.balance_lp;
+  /** @type {any[]} */
+  const mints = [];
+  to_pol.subscribe((e) => mints.push(e), [EVENTS.MINTED]);
+  to_pol.router.swap_native_to_foreign(
+    to_pol.router.get_sellable_native("bob") / 2n,
+    0n,
+    "bob",
+  );
+  console.log(
+    `   XYK-only sell under fee to POL: POL LP +${formatTokens(to_pol.pol_manager.balance_lp - lp_before)}`,
+  );
+  assert(
+    mints.length === 0 &&
+      to_pol.pol_manager.balance_lp > lp_before &&
+      to_pol.fee_manager.pending_pol.size === 0 &&
+      to_pol.verify_conservation().balanced,
+    "POL fee shares are added to the pool without a mint",
+  );
+
+  console.log("\n2. Splits round toward the burn:");
+  const mixed = systems.mixed;
+  const split = mixed.fee_manager.get_split(1_001n);
+  console.log(
+    `   1001 units -> burn ${split.burn}, POL ${split.pol}, treasury ${split.treasury}, team ${split.team}`,
+  );
+  assert(
+    split.burn === 501n &&
+      split.pol === 250n &&
+      split.treasury === 125n &&
+      split.team === 125n,
+    "Shares floor and the burn takes the remainder",
+  );
+  /** @type {any[]} */
+  const allocations = [];
+  mixed.subscribe((e) => allocations.push(e), [EVENTS.FEE_ALLOCATED]);
+  const fee = BigMath.mul_div(
+    1_000n * PRECISION,
+    mixed.config.fee_router_ppm,
+    PPM,
+  );
+  const team_before = mixed.ledger.get_foreign(ACCOUNTS.TEAM);
+  mixed.router.swap_foreign_to_native(1_000n * PRECISION, 0n, "carol");
+  assert(
+    allocations.length === 1 &&
+      allocations[0].token === FOREIGN &&
+      allocations[0].team === fee / 8n &&
+      mixed.ledger.get_foreign(ACCOUNTS.TEAM) - team_before === fee / 8n,
+    "Each fee reports its allocation",
+  );
+
+  console.log("\n3. Quotes still match execution:");
+  const quote = mixed.router.quote_foreign_to_native(2_000n * PRECISION);
+  const result = mixed.router.swap_foreign_to_native(
+    2_000n * PRECISION,
+    0n,
+    "carol",
+  );
+  console.log(
+    `   quoted ${formatTokens(quote.amount_out)}, received ${formatTokens(result.native_out)}`,
+  );
+  assert(quote.amount_out === result.native_out, "Quote is exact");
+
+  console.log("\n4. Invalid splits and snapshots:");
+  try {
+    create_system({ fee_split: { ...policies.mixed, team_ppm: PPM / 4n } });
+    assert(false, "Should validate the split");
+  } catch (e) {
+    assert(
+      e.message === `Fee split must sum to ${PPM}, got ${PPM + PPM / 8n}`,
+      "Split must sum to 100%",
+    );
+  }
+  const restored = restore_system(
+    parse_snapshot(serialize_snapshot(snapshot_system(mixed))),
+  );
+  assert(
+    restored.fee_manager.allocated.pol.foreign ===
+      mixed.fee_manager.allocated.pol.foreign &&
+      restored.fee_manager.fee_split.pol_ppm === PPM / 4n,
+    "Allocations survive a snapshot round trip",
+  );
+});
+
 // SUMMARY
 
 console.log("\n" + "=".repeat(80));
@@ -0,0 +1,174 @@
+// @ts-check
+
+/**
+ * @name `UTBC+POL` Trace Recorder
+ * @note Records public calls into the router, pool and minter as JSONL and replays them against a fresh system.
+ * @units Same as `model.js`; bigints are encoded as `{ "$bigint": "<digits>" }`.
+ * @module trace.js
+ */
+
+import { create_system, bigint_replacer, bigint_reviver } from "./model.js";
+
+/** @typedef {ReturnType<typeof create_system>} System */
+/** @typedef {{ kind: "header", version: number, config: import("./model.js").SystemConfig }} TraceHeader */
+/** @typedef {{ kind: "call", depth: number, block: bigint, component: string, method: string, args: any[], result?: any, error?: string }} TraceCall */
+/** @typedef {{ line: number, expected: TraceCall | null, actual: TraceCall | null }} TraceDivergence */
+
+export const TRACE_VERSION = 1;
+
+/** Components of `create_system` whose public methods are traced */
+export const TRACED_COMPONENTS = ["router", "xyk_pool", "utbc_minter"];
+
+const encode = (/** @type {any} */ entry) =>
+  JSON.stringify(entry, bigint_replacer);
+
+const decode = (/** @type {string} */ line) => JSON.parse(line, bigint_reviver);
+
+/**
+ * `TraceRecorder` wraps the public methods of traced components
+ * @note Calls made by one component into another are recorded with `depth > 0` in call order;
+ * only top-level calls are re-executed on replay. Attach to a freshly created system:
+ * state changed outside traced components (direct ledger credits, fee manager calls) is not captured.
+ */
+export class TraceRecorder {
+  constructor(/** @type {System} */ system) {
+    this.system = system;
+    this.depth = 0;
+    /** @type {string[]} */
+    this.lines = [
+      encode({ kind: "header", version: TRACE_VERSION, config: system.config }),
+    ];
+    /** @type {{ target: Record<string, any>, method: string }[]} */
+    this.wrapped = [];
+    for (const component of TRACED_COMPONENTS) {
+      this.#wrap(component);
+    }
+  }
+
+  get calls() {
+    return this.lines.length - 1;
+  }
+
+  stop() {
+    for (const { target, method } of this.wrapped) {
+      delete target[method];
+    }
+    this.wrapped = [];
+  }
+
+  to_jsonl() {
+    return this.lines.join("\n") + "\n";
+  }
+
+  #wrap(/** @type {string} */ component) {
+    const target = /** @type {Record<string, any>} */ (
+      this.system[/** @type {keyof System} */ (component)]
+    );
+    // Walk the prototype chain so inherited methods (e.g. `Pool` via `XykPool`) are traced once
+    const seen = new Set(["constructor"]);
+    for (
+      let prototype = Object.getPrototypeOf(target);
+      prototype !== Object.prototype;
+      prototype = Object.getPrototypeOf(prototype)
+    ) {
+      for (const method of Object.getOwnPropertyNames(prototype)) {
+        const descriptor = Object.getOwnPropertyDescriptor(prototype, method);
+        if (seen.has(method) || typeof descriptor?.value !== "function") {
+          continue;
+        }
+        seen.add(method);
+        const original = descriptor.value;
+        target[method] = (/** @type {any[]} */ ...args) =>
+          this.#record(component, method, args, () =>
+            original.apply(target, args),
+          );
+        this.wrapped.push({ target, method });
+      }
+    }
+  }
+
+  #record(
+    /** @type {string} */ component,
+    /** @type {string} */ method,
+    /** @type {any[]} */ args,
+    /** @type {() => any} */ call,
+  ) {
+    /** @type {TraceCall} */
+    const entry = {
+      kind: "call",
+      depth: this.depth,
+      block: this.system.clock.block,
+      component,
+      method,
+      args,
+    };
+    // Reserve the slot so the outer call precedes the nested calls it makes
+    const index = this.lines.push("") - 1;
+    this.depth++;
+    try {
+      const result = call();
+      this.lines[index] = encode({ ...entry, result });
+      return result;
+    } catch (error) {
+      this.lines[index] = encode({
+        ...entry,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      throw error;
+    } finally {
+      this.depth--;
+    }
+  }
+}
+
+/**
+ * Rebuilds a system from the trace header and re-executes its top-level calls
+ * @note The clock is advanced to each call's block before executing it. Every call,
+ * nested ones included, is re-recorded and compared by its exact JSON encoding.
+ * @returns {{ system: System, calls: number, divergence: TraceDivergence | null }}
+ */
+export const replay_trace = (/** @type {string} */ jsonl) => {
+  const lines = jsonl.split("\n").filter((line) => line.trim() !== "");
+  if (lines.length === 0) {
+    throw new Error("Trace is empty");
+  }
+  const header = /** @type {TraceHeader} */ (decode(lines[0]));
+  if (header.kind !== "header" || header.version !== TRACE_VERSION) {
+    throw new Error(`Unsupported trace version: ${header.version}`);
+  }
+  const expected = lines.slice(1).map(decode);
+
+  const system = create_system(header.config);
+  const recorder = new TraceRecorder(system);
+  for (const call of expected) {
+    if (call.depth !== 0) continue;
+    while (system.clock.block < call.block) {
+      system.clock.tick();
+    }
+    const target = /** @type {Record<string, any>} */ (
+      system[/** @type {keyof System} */ (call.component)]
+    );
+    try {
+      target[call.method](...call.args);
+    } catch {
+      // Errors are part of the recorded result and compared below
+    }
+  }
+  recorder.stop();
+
+  const actual = recorder.lines.slice(1).map(decode);
+  let divergence = null;
+  for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+    const expected_call = expected[i] ?? null;
+    const actual_call = actual[i] ?? null;
+    if (encode(expected_call) !== encode(actual_call)) {
+      divergence = {
+        line: i + 2,
+        expected: expected_call,
+        actual: actual_call,
+      };
+      break;
+    }
+  }
+  return { system, calls: actual.length, divergence };
+};